@@ -10,6 +10,10 @@ import Bowl from '../src/models/Bowl.js';
 import Company from '../src/models/Company.js';
 import Comment from '../src/models/Comment.js';
 import Market from '../src/models/Market.js';
+import LedgerEntry from '../src/models/LedgerEntry.js';
+import { grantSignupBonus, fundTreasury } from '../src/services/ledgerService.js';
+import { fundSubsidy } from '../src/services/liquidityService.js';
+import { runInTransaction } from '../src/utils/transaction.js';
 
 // Load environment variables
 dotenv.config();
@@ -37,6 +41,7 @@ const seedData = async () => {
             Company.deleteMany({}),
             Comment.deleteMany({}),
             Market.deleteMany({}),
+            LedgerEntry.deleteMany({}),
         ]);
         console.log('✅ Existing data cleared\n');
 
@@ -114,6 +119,14 @@ const seedData = async () => {
         await Promise.all(users.map(user => user.save()));
         console.log(`✅ Created ${users.length} users\n`);
 
+        // Credit the signup grant through the ledger so balances match entries
+        console.log('💰 Granting starting points...');
+        await fundTreasury();
+        for (const user of users) {
+            await runInTransaction(session => grantSignupBonus(user._id, session));
+        }
+        console.log('✅ Starting points granted\n');
+
         // ========================================
         // 2. Create Communities
         // ========================================
@@ -368,6 +381,12 @@ const seedData = async () => {
                 company: companies[0]._id,
                 creator: users[4]._id,
                 type: 'binary',
+                // LMSR state for a 65% YES price: q_yes - q_no = b * ln(0.65 / 0.35)
+                liquidityParameter: 100,
+                options: [
+                    { label: 'Yes', totalShares: 61.9 },
+                    { label: 'No', totalShares: 0 },
+                ],
                 yesPrice: 0.65,
                 noPrice: 0.35,
                 totalVolume: 15000,
@@ -383,6 +402,11 @@ const seedData = async () => {
                 company: companies[0]._id,
                 creator: users[1]._id,
                 type: 'binary',
+                liquidityParameter: 100,
+                options: [
+                    { label: 'Yes', totalShares: 94.4 },
+                    { label: 'No', totalShares: 0 },
+                ],
                 yesPrice: 0.72,
                 noPrice: 0.28,
                 totalVolume: 8500,
@@ -393,6 +417,14 @@ const seedData = async () => {
                 traderCount: 8,
             },
         ]);
+
+        // Fund each market's AMM from the treasury, as market creation does
+        for (const market of markets) {
+            await runInTransaction(async (session) => {
+                await fundSubsidy(market, session);
+                await market.save({ session });
+            });
+        }
         console.log(`✅ Created ${markets.length} prediction markets\n`);
 
         // ========================================
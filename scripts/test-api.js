@@ -296,6 +296,40 @@ async function testUserModule() {
             assert(response.ok || response.status === 404, 'Should remove bookmark');
         }
     });
+
+    // Test 8: Get points balance
+    await runTest('GET /api/users/me/balance - Get points balance', async () => {
+        const response = await makeRequest('GET', '/api/users/me/balance', null, true);
+
+        assert(response.ok, 'Should get balance');
+        assert(typeof response.data.data.balance.available === 'number', 'Should return available balance');
+    });
+
+    // Test 9: Get own portfolio
+    await runTest('GET /api/users/:id/portfolio - Get own portfolio', async () => {
+        const response = await makeRequest('GET', `/api/users/${testUserId}/portfolio`, null, true);
+
+        assert(response.ok, 'Should get own portfolio');
+        assert(Array.isArray(response.data.data.positions), 'Should return open positions');
+        assert(Array.isArray(response.data.data.history), 'Should return position history');
+        assert(typeof response.data.data.summary.unrealizedPnl === 'number', 'Should return unrealized P&L');
+    });
+
+    // Test 10: Private portfolio is hidden from anonymous viewers
+    await runTest('GET /api/users/:id/portfolio - Reject private portfolio', async () => {
+        const response = await makeRequest('GET', `/api/users/${testUserId}/portfolio`);
+
+        assertEqual(response.status, 403, 'Portfolio should be private by default');
+    });
+
+    // Test 11: Get own mentions
+    await runTest('GET /api/users/me/mentions - Get posts and comments mentioning me', async () => {
+        const response = await makeRequest('GET', '/api/users/me/mentions?limit=10', null, true);
+
+        assert(response.ok, 'Should get mentions');
+        assert(Array.isArray(response.data.data.mentions), 'Should return array');
+        assert(typeof response.data.data.pagination.totalItems === 'number', 'Should return total');
+    });
 }
 
 // ============================================
@@ -393,7 +427,73 @@ async function testPostModule() {
         assert(response.ok, 'Should increment share count');
     });
 
-    // Test 10: Delete post
+    // Test 10: Mention users in a post edit and a comment
+    await runTest('PUT /api/posts/:id + POST comments - Resolve @mentions', async () => {
+        const usersResponse = await makeRequest('GET', '/api/users/alice_crypto');
+        const mentionedId = usersResponse.data.data.user._id;
+
+        const updated = await makeRequest('PUT', `/api/posts/${testPostId}`, {
+            content: 'Asking @alice_crypto and @no_such_user_here, not test@example.com',
+        }, true);
+        assert(updated.ok, 'Should update post');
+        assertEqual(updated.data.data.post.mentions.length, 1, 'Should only keep existing users');
+        assertEqual(updated.data.data.post.mentions[0], mentionedId, 'Should reference the mentioned user');
+
+        const comment = await makeRequest('POST', `/api/posts/${testPostId}/comments`, {
+            content: 'Thoughts, @alice_crypto?',
+        }, true);
+        assert(comment.ok, 'Should add comment');
+        assert(comment.data.data.comment.mentions.includes(mentionedId), 'Should store the comment mention');
+    });
+
+    // Test 11: Ranked sorts
+    await runTest('GET /api/posts?sort=hot|trending|top - Rank posts by stored scores', async () => {
+        const isDescending = (posts, key) => posts.every((post, i) => i === 0 || posts[i - 1][key] >= post[key]);
+
+        const hot = await makeRequest('GET', '/api/posts?sort=hot');
+        assert(hot.ok, 'Should get hot posts');
+        assert(isDescending(hot.data.data.posts, 'hotScore'), 'Should order by hot score');
+
+        // The test post was just voted and commented on
+        const trending = await makeRequest('GET', '/api/posts?sort=trending');
+        assert(trending.ok, 'Should get trending posts');
+        assert(trending.data.data.posts[0].trendingScore > 0, 'Should rank recent activity first');
+        assert(isDescending(trending.data.data.posts, 'trendingScore'), 'Should order by trending score');
+
+        const top = await makeRequest('GET', '/api/posts?sort=top&t=day');
+        assert(top.ok, 'Should get top posts of the day');
+        assert(isDescending(top.data.data.posts, 'voteScore'), 'Should order by vote score');
+        assert(top.data.data.posts.every(post => Date.now() - new Date(post.createdAt) <= 24 * 60 * 60 * 1000), 'Should only include posts from the last day');
+
+        const invalid = await makeRequest('GET', '/api/posts?sort=top&t=decade');
+        assertEqual(invalid.status, 400, 'Should reject unknown time windows');
+    });
+
+    // Test 12: Cursor pagination
+    await runTest('GET /api/posts?cursor= - Page through posts by cursor', async () => {
+        const first = await makeRequest('GET', '/api/posts?sort=new&limit=1');
+        assert(first.ok, 'Should get the first page');
+        const { nextCursor } = first.data.data.pagination;
+        assert(nextCursor, 'Should return a cursor for the next page');
+
+        const second = await makeRequest('GET', `/api/posts?sort=new&limit=1&cursor=${nextCursor}`);
+        assert(second.ok, 'Should get the next page');
+        assert(second.data.data.posts[0]._id !== first.data.data.posts[0]._id, 'Should not repeat the last post');
+        assert(new Date(second.data.data.posts[0].createdAt) <= new Date(first.data.data.posts[0].createdAt), 'Should continue in sort order');
+
+        const mismatched = await makeRequest('GET', `/api/posts?sort=hot&limit=1&cursor=${nextCursor}`);
+        assertEqual(mismatched.status, 400, 'Should reject a cursor from another sort');
+
+        const invalid = await makeRequest('GET', '/api/posts?cursor=not-a-cursor');
+        assertEqual(invalid.status, 400, 'Should reject malformed cursors');
+
+        // Operators smuggled into a cursor must not reach the query
+        const operator = Buffer.from(JSON.stringify({ createdAt: { $ne: null }, _id: { $ne: null } })).toString('base64url');
+        const injected = await makeRequest('GET', `/api/posts?sort=new&cursor=${operator}`);
+        assertEqual(injected.status, 400, 'Should reject cursors holding query operators');
+    });
+
+    // Test 13: Delete post
     await runTest('DELETE /api/posts/:id - Delete post', async () => {
         const response = await makeRequest('DELETE', `/api/posts/${testPostId}`, null, true);
 
@@ -413,6 +513,7 @@ async function testPollModule() {
 
         assert(response.ok, 'Should get polls');
         assert(Array.isArray(response.data.data.polls), 'Should return array');
+        assert(typeof response.data.data.pagination.totalItems === 'number', 'Should return pagination');
 
         if (response.data.data.polls.length > 0) {
             testPollId = response.data.data.polls[0]._id;
@@ -476,7 +577,7 @@ async function testPollModule() {
 // MODULE 5: COMMUNITY TESTS
 // ============================================
 async function testCommunityModule() {
-    console.log(`\n${colors.cyan}━━━ Community Module (7 endpoints) ━━━${colors.reset}\n`);
+    console.log(`\n${colors.cyan}━━━ Community Module (9 endpoints) ━━━${colors.reset}\n`);
 
     // Test 1: Get all communities
     await runTest('GET /api/communities - Get all communities', async () => {
@@ -484,6 +585,7 @@ async function testCommunityModule() {
 
         assert(response.ok, 'Should get communities');
         assert(Array.isArray(response.data.data.communities), 'Should return array');
+        assert(typeof response.data.data.pagination.totalItems === 'number', 'Should return pagination');
 
         if (response.data.data.communities.length > 0) {
             testCommunityId = response.data.data.communities[0]._id;
@@ -542,6 +644,27 @@ async function testCommunityModule() {
 
         assert(response.ok, 'Should leave community');
     });
+
+    // Test 8: Appoint and remove a moderator
+    await runTest('POST/DELETE /api/communities/:id/moderators - Manage moderators', async () => {
+        const usersResponse = await makeRequest('GET', '/api/users/alice_crypto');
+        const moderatorId = usersResponse.data.data.user._id;
+
+        const added = await makeRequest('POST', `/api/communities/${testCommunityId}/moderators`, {
+            userId: moderatorId,
+        }, true);
+        assert(added.ok, 'Creator should appoint a moderator');
+        assert(added.data.data.moderators.includes(moderatorId), 'Should list the new moderator');
+
+        const duplicate = await makeRequest('POST', `/api/communities/${testCommunityId}/moderators`, {
+            userId: moderatorId,
+        }, true);
+        assertEqual(duplicate.status, 400, 'Should reject an existing moderator');
+
+        const removed = await makeRequest('DELETE', `/api/communities/${testCommunityId}/moderators/${moderatorId}`, null, true);
+        assert(removed.ok, 'Creator should remove the moderator');
+        assert(!removed.data.data.moderators.includes(moderatorId), 'Should no longer list the moderator');
+    });
 }
 
 // ============================================
@@ -664,6 +787,8 @@ async function testCompanyModule() {
         const response = await makeRequest('GET', `/api/companies/${testCompanyId}/markets`);
 
         assert(response.ok, 'Should get company markets');
+        assert(Array.isArray(response.data.data.markets), 'Should return markets array');
+        assert(response.data.data.pagination, 'Should return pagination');
     });
 
     // Test 7: Create market
@@ -675,6 +800,8 @@ async function testCompanyModule() {
         }, true);
 
         assert(response.ok, 'Should create market');
+        // The treasury covers the most the market maker can lose: b * ln(2)
+        assert(Math.abs(response.data.data.market.subsidy - 100 * Math.log(2)) < 0.01, 'Treasury should fund the market subsidy');
 
         if (response.ok && response.data.data.market) {
             testMarketId = response.data.data.market._id;
@@ -689,10 +816,345 @@ async function testCompanyModule() {
 
         const response = await makeRequest('POST', `/api/companies/${testCompanyId}/markets/${testMarketId}/trade`, {
             option: 'yes',
-            amount: 10,
+            shares: 10,
+            action: 'buy',
+            maxSlippage: 0.5,
         }, true);
 
         assert(response.ok, 'Should trade on market');
+        assert(response.data.data.trade.cost > 0, 'Should return trade cost');
+        assert(response.data.data.trade.prices[0] > 0.5, 'Buying YES should raise its price');
+        assert(typeof response.data.data.trade.balance === 'number', 'Should return the new balance');
+        assert(response.data.data.market.positions === undefined, 'Should not expose other traders\' positions');
+        assert(response.data.data.market.userPositions.length === 1, 'Should return the caller\'s own position');
+    });
+
+    // Test 9: Reject trade beyond max slippage
+    await runTest('POST /api/companies/:id/markets/:marketId/trade - Reject slippage', async () => {
+        if (!testMarketId) {
+            throw new Error('No test market ID available');
+        }
+
+        const response = await makeRequest('POST', `/api/companies/${testCompanyId}/markets/${testMarketId}/trade`, {
+            option: 'yes',
+            shares: 1000,
+            action: 'buy',
+            maxSlippage: 0.01,
+        }, true);
+
+        assertEqual(response.status, 400, 'Should reject trade exceeding max slippage');
+    });
+
+    // Test 10: Sell part of the position
+    await runTest('POST /api/companies/:id/markets/:marketId/trade - Sell shares', async () => {
+        if (!testMarketId) {
+            throw new Error('No test market ID available');
+        }
+
+        const response = await makeRequest('POST', `/api/companies/${testCompanyId}/markets/${testMarketId}/trade`, {
+            option: 'yes',
+            shares: 4,
+            action: 'sell',
+        }, true);
+
+        assert(response.ok, 'Should sell shares');
+        assert(response.data.data.trade.proceeds > 0, 'Should return sale proceeds');
+        assertEqual(response.data.data.trade.position.shares, 6, 'Should reduce the aggregated position');
+    });
+
+    // Test 11: Reject overselling
+    await runTest('POST /api/companies/:id/markets/:marketId/trade - Reject oversell', async () => {
+        if (!testMarketId) {
+            throw new Error('No test market ID available');
+        }
+
+        const response = await makeRequest('POST', `/api/companies/${testCompanyId}/markets/${testMarketId}/trade`, {
+            option: 'yes',
+            shares: 100,
+            action: 'sell',
+        }, true);
+
+        assertEqual(response.status, 400, 'Should reject selling more shares than held');
+    });
+
+    // Test 12: Price history candles
+    await runTest('GET /api/companies/:id/markets/:marketId/history - Get price candles', async () => {
+        if (!testMarketId) {
+            throw new Error('No test market ID available');
+        }
+
+        const response = await makeRequest('GET', `/api/companies/${testCompanyId}/markets/${testMarketId}/history?interval=1h`);
+
+        assert(response.ok, 'Should get market history');
+        const candles = response.data.data.candles;
+        assert(candles.length > 0, 'Should have at least one candle');
+        assert(candles[0].high >= candles[0].low, 'Candle high should not be below low');
+    });
+
+    // Test 13: Propose the outcome as the market creator
+    await runTest('POST /api/companies/:id/markets/:marketId/resolve - Propose market outcome', async () => {
+        if (!testMarketId) {
+            throw new Error('No test market ID available');
+        }
+
+        const response = await makeRequest('POST', `/api/companies/${testCompanyId}/markets/${testMarketId}/resolve`, {
+            outcome: 'yes',
+        }, true);
+
+        assert(response.ok, 'Should propose outcome');
+        const market = response.data.data.market;
+        assertEqual(market.resolutionStatus, 'proposed', 'Outcome should wait for the dispute window');
+        assertEqual(market.proposedOption, 'yes', 'Should record the proposed outcome');
+        assert(market.disputeWindowEndsAt, 'Should return the end of the dispute window');
+        assert(!market.isResolved, 'Positions should not settle before the window closes');
+    });
+
+    // Test 14: Reject trading once an outcome is proposed
+    await runTest('POST /api/companies/:id/markets/:marketId/trade - Reject trade after proposal', async () => {
+        if (!testMarketId) {
+            throw new Error('No test market ID available');
+        }
+
+        const response = await makeRequest('POST', `/api/companies/${testCompanyId}/markets/${testMarketId}/trade`, {
+            option: 'yes',
+            shares: 1,
+            action: 'buy',
+        }, true);
+
+        assertEqual(response.status, 400, 'Should reject trades once an outcome is proposed');
+    });
+
+    // Test 15: Discover markets across companies
+    await runTest('GET /api/markets - List markets awaiting settlement', async () => {
+        const response = await makeRequest('GET', '/api/markets?status=proposed&sort=newest');
+
+        assert(response.ok, 'Should list markets');
+        const market = response.data.data.markets.find(m => m._id === testMarketId);
+        assert(market, 'Test market with a proposed outcome should be listed');
+        assert(market.positions === undefined, 'Should not expose trader positions');
+
+        const first = await makeRequest('GET', '/api/markets?sort=newest&limit=1');
+        assert(first.ok && first.data.data.pagination.itemsPerPage === 1, 'Should page markets');
+        if (first.data.data.pagination.nextCursor) {
+            const next = await makeRequest('GET', `/api/markets?sort=newest&limit=1&cursor=${first.data.data.pagination.nextCursor}`);
+            assert(next.ok, 'Should page markets by cursor');
+            assert(next.data.data.markets[0]._id !== first.data.data.markets[0]._id, 'Should continue after the cursor');
+        }
+    });
+
+    // Test 16: Market detail with probability
+    await runTest('GET /api/markets/:id - Get market detail', async () => {
+        const response = await makeRequest('GET', `/api/markets/${testMarketId}`, null, true);
+
+        assert(response.ok, 'Should get market');
+        assert(response.data.data.market.probability.outcomes.length === 2, 'Should return outcome probabilities');
+        assert(response.data.data.market.userPositions.length > 0, 'Should return own positions');
+    });
+
+    // Test 17: Leaderboard (only settled markets are ranked)
+    await runTest('GET /api/markets/leaderboard - Get market leaderboard', async () => {
+        const response = await makeRequest('GET', '/api/markets/leaderboard?window=7d&sortBy=pnl');
+
+        assert(response.ok, 'Should get leaderboard');
+        assert(Array.isArray(response.data.data.leaderboard), 'Should return leaderboard array');
+        assertEqual(response.data.data.sortBy, 'pnl', 'Should echo the ranking');
+    });
+
+    // Test 18: Categorical market
+    await runTest('POST /api/companies/:id/markets - Create and trade a categorical market', async () => {
+        const createResponse = await makeRequest('POST', `/api/companies/${testCompanyId}/markets`, {
+            question: 'Which quarter will mainnet launch?',
+            expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+            type: 'categorical',
+            outcomes: ['Q1', 'Q2', 'Q3', 'Later'],
+        }, true);
+
+        assert(createResponse.ok, 'Should create categorical market');
+        const market = createResponse.data.data.market;
+        assertEqual(market.options.length, 4, 'Should have 4 outcomes');
+
+        const response = await makeRequest('POST', `/api/companies/${testCompanyId}/markets/${market._id}/trade`, {
+            optionIndex: 2,
+            shares: 5,
+            action: 'buy',
+        }, true);
+
+        assert(response.ok, 'Should trade an outcome by index');
+        const prices = response.data.data.trade.prices;
+        assert(Math.abs(prices.reduce((sum, p) => sum + p, 0) - 1) < 1e-9, 'Prices should sum to 1');
+        assert(prices[2] > prices[0], 'Bought outcome should be the most likely');
+    });
+
+    // Test 19: Ledger records the trades
+    await runTest('GET /api/users/me/ledger - Get points ledger', async () => {
+        const response = await makeRequest('GET', '/api/users/me/ledger?reason=market_buy', null, true);
+
+        assert(response.ok, 'Should get ledger history');
+        assert(Array.isArray(response.data.data.entries), 'Should return entries array');
+        assert(response.data.data.entries.some(e => e.direction === 'debit'), 'Buys should be debited');
+
+        const first = await makeRequest('GET', '/api/users/me/ledger?limit=1', null, true);
+        assert(first.data.data.pagination.nextCursor, 'Should return a cursor to the next entry');
+        const next = await makeRequest('GET', `/api/users/me/ledger?limit=1&cursor=${first.data.data.pagination.nextCursor}`, null, true);
+        assert(next.ok && next.data.data.entries[0]._id !== first.data.data.entries[0]._id, 'Should continue after the cursor');
+    });
+
+    // Test 20: Convert a poll into a market and resolve it
+    await runTest('POST /api/polls/:id/market - Convert poll into market', async () => {
+        if (!testCompanyId) {
+            throw new Error('No test company ID available');
+        }
+
+        const pollResponse = await makeRequest('POST', '/api/polls', {
+            question: 'Which chain will the company launch on?',
+            options: ['Ethereum', 'Solana', 'Base'],
+            company: testCompanyId,
+            expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+        }, true);
+        assert(pollResponse.ok, 'Should create poll');
+        const pollId = pollResponse.data.data.poll._id;
+
+        const response = await makeRequest('POST', `/api/polls/${pollId}/market`, {}, true);
+        assert(response.ok, 'Should convert poll');
+        const market = response.data.data.market;
+        assertEqual(market.type, 'categorical', 'Three-option poll should become a categorical market');
+        assertEqual(market.options[1].label, 'Solana', 'Market outcomes should follow poll options');
+
+        const again = await makeRequest('POST', `/api/polls/${pollId}/market`, {}, true);
+        assertEqual(again.status, 400, 'Should not convert a poll twice');
+
+        const pollWithMarket = await makeRequest('GET', `/api/polls/${pollId}`);
+        assert(pollWithMarket.data.data.poll.market.probability.outcomes.length === 3, 'Poll should show market probabilities');
+
+        await makeRequest('POST', `/api/companies/${testCompanyId}/markets/${market._id}/resolve`, {
+            optionIndex: 1,
+        }, true);
+
+        const closedPoll = await makeRequest('GET', `/api/polls/${pollId}`);
+        assert(closedPoll.data.data.poll.isClosed, 'Proposing an outcome should close the poll');
+        assertEqual(closedPoll.data.data.poll.market.proposedOption, 'Solana', 'Poll should show the proposed outcome');
+    });
+
+    // Test 21: Rest a limit order on the book and cancel it
+    await runTest('POST /api/markets/:id/orders - Place and cancel a limit order', async () => {
+        if (!testCompanyId) {
+            throw new Error('No test company ID available');
+        }
+
+        const createResponse = await makeRequest('POST', `/api/companies/${testCompanyId}/markets`, {
+            question: 'Will the order book test market resolve YES?',
+            expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+        }, true);
+        assert(createResponse.ok, 'Should create market');
+        const marketId = createResponse.data.data.market._id;
+
+        const balanceBefore = (await makeRequest('GET', '/api/users/me/balance', null, true)).data.data.balance.available;
+
+        // Below the market maker price, so nothing fills and the order rests
+        const response = await makeRequest('POST', `/api/markets/${marketId}/orders`, {
+            option: 'yes',
+            side: 'buy',
+            price: 0.3,
+            shares: 10,
+        }, true);
+        assertEqual(response.status, 201, 'Should place order');
+        const order = response.data.data.order;
+        assertEqual(order.status, 'open', 'Order should rest on the book');
+        assert(Math.abs(response.data.data.balance - (balanceBefore - 3)) < 1e-9, 'Should escrow price * shares');
+
+        const bookResponse = await makeRequest('GET', `/api/markets/${marketId}/orderbook?optionIndex=0`);
+        assert(bookResponse.ok, 'Should get order book');
+        const bids = bookResponse.data.data.orderbook[0].bids;
+        assert(bids.some(level => level.price === 0.3 && level.shares === 10), 'Order book should show the bid');
+
+        const cancelResponse = await makeRequest('DELETE', `/api/markets/${marketId}/orders/${order._id}`, null, true);
+        assert(cancelResponse.ok, 'Should cancel order');
+        assertEqual(cancelResponse.data.data.order.status, 'cancelled', 'Order should be cancelled');
+
+        const ordersResponse = await makeRequest('GET', `/api/markets/${marketId}/orders?limit=1`, null, true);
+        assert(ordersResponse.ok && ordersResponse.data.data.orders[0]._id === order._id, 'Should list your orders');
+        assert(ordersResponse.data.data.pagination.nextCursor === null, 'Should end after your only order');
+
+        const balanceAfter = (await makeRequest('GET', '/api/users/me/balance', null, true)).data.data.balance.available;
+        assert(Math.abs(balanceAfter - balanceBefore) < 1e-9, 'Cancelling should refund the escrow');
+    });
+
+    // Test 22: Disputes of a proposed outcome
+    await runTest('POST /api/markets/:id/disputes - Dispute a proposed outcome', async () => {
+        if (!testMarketId) {
+            throw new Error('No test market ID available');
+        }
+
+        // The test user proposed the outcome, so they cannot dispute it
+        const response = await makeRequest('POST', `/api/markets/${testMarketId}/disputes`, {
+            outcome: 'no',
+            stake: 10,
+            reason: 'The announcement was postponed',
+            evidence: [{ url: 'https://example.com/announcement' }],
+        }, true);
+        assertEqual(response.status, 403, 'Resolver should not dispute their own outcome');
+
+        const listResponse = await makeRequest('GET', `/api/markets/${testMarketId}/disputes`);
+        assert(listResponse.ok, 'Should list disputes');
+        assertEqual(listResponse.data.data.pagination.totalItems, 0, 'No dispute should have been opened');
+
+        const oversized = await makeRequest('GET', `/api/markets/${testMarketId}/disputes?limit=1000`);
+        assertEqual(oversized.status, 400, 'Should reject a limit above 100');
+    });
+
+    // Test 23: Provide liquidity, earn the trading fee and withdraw
+    await runTest('POST /api/markets/:id/liquidity - Provide and withdraw liquidity', async () => {
+        if (!testCompanyId) {
+            throw new Error('No test company ID available');
+        }
+
+        const createResponse = await makeRequest('POST', `/api/companies/${testCompanyId}/markets`, {
+            question: 'Will the liquidity test market resolve YES?',
+            expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+        }, true);
+        assert(createResponse.ok, 'Should create market');
+        const marketId = createResponse.data.data.market._id;
+
+        const response = await makeRequest('POST', `/api/markets/${marketId}/liquidity`, { amount: 50 }, true);
+        assertEqual(response.status, 201, 'Should add liquidity');
+        assertEqual(response.data.data.liquidity.shares, 50, 'Should mint one LP share per point');
+        assert(response.data.data.liquidityParameter > 100, 'Should deepen the market maker');
+
+        const detail = await makeRequest('GET', `/api/markets/${marketId}`, null, true);
+        assertEqual(detail.data.data.market.probability.yes, '50.00', 'Adding liquidity should not move prices');
+        assertEqual(detail.data.data.market.userLiquidity.poolShare, 1, 'Sole provider should own the pool');
+        const anonymous = await makeRequest('GET', `/api/markets/${marketId}`);
+        assertEqual(anonymous.data.data.market.liquidityProviders[0].user, null, 'Should not name providers with a private portfolio');
+
+        const tradeResponse = await makeRequest('POST', `/api/companies/${testCompanyId}/markets/${marketId}/trade`, {
+            option: 'yes',
+            shares: 5,
+            action: 'buy',
+        }, true);
+        assert(tradeResponse.ok, 'Should trade');
+        const { fee } = tradeResponse.data.data.trade;
+        assert(fee > 0, 'Should charge the trading fee');
+
+        const withdrawResponse = await makeRequest('POST', `/api/markets/${marketId}/liquidity/withdraw`, {}, true);
+        assert(withdrawResponse.ok, 'Should withdraw liquidity');
+        const { amount } = withdrawResponse.data.data;
+        // The 5 YES shares could still win, so the pool is valued as if they did
+        assert(amount > 45 && amount < 50, 'Should redeem at the worst-case pool value');
+        assert(Math.abs(withdrawResponse.data.data.feesPaid - fee) < 1e-9, 'Sole provider should earn the whole fee');
+        assertEqual(withdrawResponse.data.data.liquidity.shares, 0, 'LP shares should be redeemed');
+
+        const after = await makeRequest('GET', `/api/markets/${marketId}`, null, true);
+        assertEqual(after.data.data.market.probability.yes, tradeResponse.data.data.market.probability.yes, 'Withdrawing liquidity should not move prices');
+
+        // Add, trade and withdraw is a round trip: selling the shares back must not end in profit
+        const sellResponse = await makeRequest('POST', `/api/companies/${testCompanyId}/markets/${marketId}/trade`, {
+            option: 'yes',
+            shares: 5,
+            action: 'sell',
+        }, true);
+        assert(sellResponse.ok, 'Should sell the shares back');
+        const startingBalance = response.data.data.balance + 50;
+        assert(sellResponse.data.data.trade.balance < startingBalance, 'Sandwiching a trade with liquidity should not profit');
     });
 }
 
@@ -700,7 +1162,7 @@ async function testCompanyModule() {
 // MODULE 8: NOTIFICATION TESTS
 // ============================================
 async function testNotificationModule() {
-    console.log(`\n${colors.cyan}━━━ Notification Module (6 endpoints) ━━━${colors.reset}\n`);
+    console.log(`\n${colors.cyan}━━━ Notification Module (14 endpoints) ━━━${colors.reset}\n`);
 
     // Test 1: Get notifications
     await runTest('GET /api/notifications - Get user notifications', async () => {
@@ -758,6 +1220,146 @@ async function testNotificationModule() {
 
         assert(response.ok, 'Should unsubscribe device');
     });
+
+    // Test 7: Realtime notification stream
+    await runTest('GET /api/realtime/stream - Subscribe to own notifications', async () => {
+        if (!testUserId) {
+            throw new Error('No test user ID available');
+        }
+
+        const controller = new AbortController();
+        const response = await fetch(`${BASE_URL}/api/realtime/stream?channels=user:${testUserId}`, {
+            headers: { Authorization: `Bearer ${authToken}` },
+            signal: controller.signal,
+        });
+
+        try {
+            assertEqual(response.status, 200, 'Should open the stream');
+            assert(response.headers.get('content-type').startsWith('text/event-stream'), 'Should stream events');
+            const { value } = await response.body.getReader().read();
+            assert(new TextDecoder().decode(value).includes('event: ready'), 'Should confirm the subscription');
+        } finally {
+            controller.abort();
+        }
+    });
+
+    // Test 8: Reject another user's notification channel
+    await runTest('GET /api/realtime/stream - Reject another user channel', async () => {
+        const response = await fetch(`${BASE_URL}/api/realtime/stream?channels=user:000000000000000000000000`);
+
+        assertEqual(response.status, 403, 'Should not stream other users\' notifications');
+    });
+
+    // Test 9: Digest setting
+    await runTest('PUT /api/notifications/settings - Subscribe to weekly digest', async () => {
+        const invalid = await makeRequest('PUT', '/api/notifications/settings', {
+            settings: { digest: 'hourly' },
+        }, true);
+        assertEqual(invalid.status, 400, 'Should reject unknown digest frequency');
+
+        const response = await makeRequest('PUT', '/api/notifications/settings', {
+            settings: { email: true, push: true, digest: 'weekly' },
+        }, true);
+        assert(response.ok, 'Should subscribe to the digest');
+    });
+
+    // Test 10: Per-type channel preferences and quiet hours
+    await runTest('PUT /api/notifications/settings - Update type preferences and quiet hours', async () => {
+        const invalid = await makeRequest('PUT', '/api/notifications/settings', {
+            settings: { types: { not_a_type: { push: false } } },
+        }, true);
+        assertEqual(invalid.status, 400, 'Should reject unknown notification types');
+
+        const response = await makeRequest('PUT', '/api/notifications/settings', {
+            settings: {
+                types: { post_like: { push: false }, follow: { email: true } },
+                quietHours: { enabled: true, start: '22:00', end: '07:00', timezone: 'Europe/Berlin' },
+            },
+        }, true);
+        assert(response.ok, 'Should update preferences');
+
+        const { notificationSettings } = (await makeRequest('GET', '/api/notifications/settings', null, true)).data.data;
+        assertEqual(notificationSettings.types.post_like.push, false, 'Should store the type preference');
+        assertEqual(notificationSettings.digest, 'weekly', 'Should keep settings not sent');
+        assertEqual(notificationSettings.quietHours.timezone, 'Europe/Berlin', 'Should store quiet hours');
+    });
+
+    // Test 11: Mute and unmute a community
+    await runTest('POST /api/notifications/mutes - Mute and unmute a community', async () => {
+        if (!testCommunityId) {
+            throw new Error('No test community ID available');
+        }
+
+        const response = await makeRequest('POST', '/api/notifications/mutes', {
+            targetType: 'community',
+            targetId: testCommunityId,
+        }, true);
+        assert(response.ok, 'Should mute the community');
+
+        const settings = await makeRequest('GET', '/api/notifications/settings', null, true);
+        assert(settings.data.data.notificationSettings.muted.communities.includes(testCommunityId), 'Should list the muted community');
+
+        const unmuted = await makeRequest('DELETE', `/api/notifications/mutes/community/${testCommunityId}`, null, true);
+        assert(unmuted.ok, 'Should unmute the community');
+    });
+
+    // Test 12: Filter by type and grouped view
+    await runTest('GET /api/notifications/grouped - Group notifications by entity', async () => {
+        const invalid = await makeRequest('GET', '/api/notifications?type=not_a_type', null, true);
+        assertEqual(invalid.status, 400, 'Should reject unknown notification types');
+
+        const filtered = await makeRequest('GET', '/api/notifications?type=follow,mention', null, true);
+        assert(filtered.ok, 'Should filter by type');
+        assert(filtered.data.data.notifications.every(n => ['follow', 'mention'].includes(n.type)), 'Should only return the requested types');
+
+        const response = await makeRequest('GET', '/api/notifications/grouped', null, true);
+        assert(response.ok, 'Should get grouped notifications');
+        assert(Array.isArray(response.data.data.groups), 'Should return groups');
+        assert(response.data.data.groups.every(g => ['post', 'poll', 'market'].includes(g.entityType) && g.count >= 1), 'Should group by entity with counts');
+
+        const oversized = await makeRequest('GET', '/api/notifications/grouped?limit=1000', null, true);
+        assertEqual(oversized.status, 400, 'Should reject a limit above 100');
+
+        const first = await makeRequest('GET', '/api/notifications/grouped?limit=1', null, true);
+        if (first.data.data.pagination.nextCursor) {
+            const next = await makeRequest('GET', `/api/notifications/grouped?limit=1&cursor=${first.data.data.pagination.nextCursor}`, null, true);
+            assert(next.ok, 'Should page groups by cursor');
+            assert(next.data.data.groups[0].entityId !== first.data.data.groups[0].entityId, 'Should continue after the cursor');
+        }
+    });
+
+    // Test 13: Archive, unarchive and delete (skip if no notifications)
+    await runTest('PUT /api/notifications/:id/archive - Archive and delete a notification', async () => {
+        const notifs = await makeRequest('GET', '/api/notifications', null, true);
+
+        if (notifs.data.data.notifications.length === 0) {
+            throw new Error('No notifications to test');
+        }
+
+        const notifId = notifs.data.data.notifications[0]._id;
+        const archived = await makeRequest('PUT', `/api/notifications/${notifId}/archive`, null, true);
+        assert(archived.ok, 'Should archive');
+
+        const archive = await makeRequest('GET', '/api/notifications?archived=true', null, true);
+        assert(archive.data.data.notifications.some(n => n._id === notifId), 'Should list the notification as archived');
+
+        const restored = await makeRequest('PUT', `/api/notifications/${notifId}/unarchive`, null, true);
+        assert(restored.ok, 'Should move back to the inbox');
+
+        const deleted = await makeRequest('DELETE', `/api/notifications/${notifId}`, null, true);
+        assert(deleted.ok, 'Should delete');
+
+        const missing = await makeRequest('DELETE', `/api/notifications/${notifId}`, null, true);
+        assertEqual(missing.status, 404, 'Should be gone');
+    }, true);
+
+    // Test 14: Delete all read notifications
+    await runTest('DELETE /api/notifications - Delete read notifications', async () => {
+        const response = await makeRequest('DELETE', '/api/notifications?readOnly=true', null, true);
+
+        assert(response.ok, 'Should delete read notifications');
+        assert(typeof response.data.data.deletedCount === 'number', 'Should return deleted count');
+    });
 }
 
 // ============================================
@@ -789,6 +1391,21 @@ async function testFeedModule() {
         assert(response.ok, 'Should get for-you feed');
         assert(Array.isArray(response.data.data.posts), 'Should return array');
     });
+
+    // Test 4: For-you ranking
+    await runTest('GET /api/feed/for-you - Explain and page through the ranking', async () => {
+        const first = await makeRequest('GET', '/api/feed/for-you?limit=5', null, true);
+        assert(first.ok, 'Should rank the for-you feed');
+        assert(first.data.data.feed.every(post => typeof post.explanation === 'string'), 'Should explain every post');
+
+        const { nextCursor } = first.data.data.pagination;
+        if (!nextCursor) return;
+
+        const second = await makeRequest('GET', `/api/feed/for-you?limit=5&cursor=${nextCursor}`, null, true);
+        assert(second.ok, 'Should get the next page');
+        const seen = new Set(first.data.data.feed.map(post => post._id));
+        assert(second.data.data.feed.every(post => !seen.has(post._id)), 'Should not repeat posts');
+    });
 }
 
 // ============================================
@@ -0,0 +1,47 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../src/config/database.js';
+import { runJobsOnce, startScheduler } from '../src/jobs/scheduler.js';
+import { registerPushDelivery } from '../src/services/pushService.js';
+import { registerEmailDelivery } from '../src/services/mailService.js';
+import { drainDomainEvents } from '../src/utils/eventBus.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Background Worker
+ * Runs scheduled jobs (market/poll expiry, expiring-soon notifications,
+ * order expiry, market settlement, notification digests, trending scores)
+ * outside the API process, e.g. when the API is deployed on Vercel.
+ *
+ * Usage:
+ *   npm run worker           # run continuously
+ *   npm run worker -- --once # run every job once and exit (for cron)
+ */
+
+const runWorker = async () => {
+    await connectDB();
+
+    // Job notifications (expiry, settlement) are pushed and emailed from here
+    registerPushDelivery();
+    registerEmailDelivery();
+
+    if (process.argv.includes('--once')) {
+        await runJobsOnce();
+        await drainDomainEvents();
+        await mongoose.connection.close();
+        process.exit(0);
+    }
+
+    const stop = startScheduler();
+    console.log('👷 Worker started');
+
+    process.on('SIGTERM', async () => {
+        stop();
+        await mongoose.connection.close();
+        process.exit(0);
+    });
+};
+
+runWorker();
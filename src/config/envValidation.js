@@ -34,6 +34,98 @@ const envSchema = Joi.object({
     POLYGON_RPC_URL: Joi.string()
         .uri()
         .optional(),
+    SIGNUP_GRANT: Joi.number()
+        .min(0)
+        .default(1000)
+        .description('Points credited to every new account'),
+    TREASURY_SUPPLY: Joi.number()
+        .min(0)
+        .default(1e9)
+        .description('Points issued to the treasury once; signup grants and market subsidies are paid from it'),
+    DISPUTE_WINDOW_HOURS: Joi.number()
+        .min(0)
+        .default(48)
+        .description('Hours a proposed market outcome can be disputed before payouts (0 settles immediately)'),
+    DISPUTE_MIN_STAKE: Joi.number()
+        .min(0)
+        .default(10)
+        .description('Minimum points staked to dispute a market outcome'),
+    MARKET_FEE_RATE: Joi.number()
+        .min(0)
+        .max(0.1)
+        .default(0.01)
+        .description('Fee on market maker trades paid to liquidity providers (fraction of the amount)'),
+    ENABLE_SCHEDULER: Joi.boolean()
+        .default(true),
+    SCHEDULER_INTERVAL_MS: Joi.number()
+        .min(1000)
+        .default(60000),
+    ENABLE_WEBSOCKET: Joi.boolean()
+        .default(true),
+    NOTIFICATION_RETENTION_DAYS: Joi.number()
+        .integer()
+        .min(1)
+        .default(90)
+        .description('Days before MongoDB deletes a notification (TTL index)'),
+    PUSH_PROVIDER: Joi.string()
+        .valid('none', 'log', 'fcm', 'apns', 'webpush')
+        .default('log')
+        .description('Push notification delivery adapter'),
+    PUSH_LOG_FILE: Joi.string()
+        .optional()
+        .description('File the log push adapter appends to (console when unset)'),
+    FCM_PROJECT_ID: Joi.string()
+        .when('PUSH_PROVIDER', { is: 'fcm', then: Joi.required() }),
+    FCM_CLIENT_EMAIL: Joi.string()
+        .email()
+        .when('PUSH_PROVIDER', { is: 'fcm', then: Joi.required() }),
+    FCM_PRIVATE_KEY: Joi.string()
+        .when('PUSH_PROVIDER', { is: 'fcm', then: Joi.required() }),
+    APNS_KEY_ID: Joi.string()
+        .when('PUSH_PROVIDER', { is: 'apns', then: Joi.required() }),
+    APNS_TEAM_ID: Joi.string()
+        .when('PUSH_PROVIDER', { is: 'apns', then: Joi.required() }),
+    APNS_PRIVATE_KEY: Joi.string()
+        .when('PUSH_PROVIDER', { is: 'apns', then: Joi.required() }),
+    APNS_BUNDLE_ID: Joi.string()
+        .when('PUSH_PROVIDER', { is: 'apns', then: Joi.required() }),
+    APNS_PRODUCTION: Joi.boolean()
+        .default(false),
+    VAPID_PUBLIC_KEY: Joi.string()
+        .when('PUSH_PROVIDER', { is: 'webpush', then: Joi.required() }),
+    VAPID_PRIVATE_KEY: Joi.string()
+        .when('PUSH_PROVIDER', { is: 'webpush', then: Joi.required() }),
+    VAPID_SUBJECT: Joi.string()
+        .when('PUSH_PROVIDER', { is: 'webpush', then: Joi.required() })
+        .description('Contact URL or mailto: for push services'),
+    MAIL_PROVIDER: Joi.string()
+        .valid('none', 'file', 'smtp')
+        .default('file')
+        .description('Email delivery adapter'),
+    MAIL_OUTPUT_DIR: Joi.string()
+        .default('mail-outbox')
+        .description('Directory the file mail adapter writes .eml files to'),
+    SMTP_HOST: Joi.string()
+        .when('MAIL_PROVIDER', { is: 'smtp', then: Joi.required() }),
+    SMTP_PORT: Joi.number()
+        .port()
+        .optional(),
+    SMTP_SECURE: Joi.boolean()
+        .default(false)
+        .description('Implicit TLS (port 465); STARTTLS is used when offered otherwise'),
+    SMTP_USER: Joi.string()
+        .optional(),
+    SMTP_PASS: Joi.string()
+        .when('SMTP_USER', { is: Joi.exist(), then: Joi.required() }),
+    SMTP_ALLOW_INSECURE_AUTH: Joi.boolean()
+        .default(false)
+        .description('Send SMTP credentials over an unencrypted connection'),
+    EMAIL_FROM: Joi.string()
+        .default('Anonn <noreply@anonn.app>'),
+    APP_URL: Joi.string()
+        .uri()
+        .default('http://localhost:3000')
+        .description('Web app base URL used for links in emails'),
 }).unknown(true); // Allow other env vars
 
 export const validateEnv = () => {
@@ -164,12 +164,56 @@ const options = {
                                 comments: { type: 'boolean', example: true },
                                 follows: { type: 'boolean', example: true },
                                 mentions: { type: 'boolean', example: true },
+                                digest: { type: 'string', enum: ['off', 'daily', 'weekly'], example: 'off' },
+                                types: {
+                                    type: 'object',
+                                    description: 'Channel preferences per notification type',
+                                    additionalProperties: {
+                                        type: 'object',
+                                        properties: {
+                                            inApp: { type: 'boolean' },
+                                            push: { type: 'boolean' },
+                                            email: { type: 'boolean' },
+                                        },
+                                    },
+                                    example: { post_like: { push: false } },
+                                },
+                                muted: {
+                                    type: 'object',
+                                    properties: {
+                                        posts: { type: 'array', items: { type: 'string' } },
+                                        polls: { type: 'array', items: { type: 'string' } },
+                                        communities: { type: 'array', items: { type: 'string' } },
+                                    },
+                                },
+                                quietHours: {
+                                    type: 'object',
+                                    properties: {
+                                        enabled: { type: 'boolean', example: false },
+                                        start: { type: 'string', example: '22:00' },
+                                        end: { type: 'string', example: '07:00' },
+                                        timezone: { type: 'string', example: 'UTC' },
+                                    },
+                                },
                             },
                         },
                         deviceTokens: {
                             type: 'array',
                             items: { type: 'string', example: 'device_token' },
                         },
+                        balance: {
+                            type: 'object',
+                            properties: {
+                                available: { type: 'number', example: 1000 },
+                            },
+                        },
+                        role: { type: 'string', enum: ['user', 'resolver', 'moderator'], example: 'user' },
+                        privacySettings: {
+                            type: 'object',
+                            properties: {
+                                showPortfolio: { type: 'boolean', example: false },
+                            },
+                        },
                         isActive: { type: 'boolean', example: true },
                         isVerified: { type: 'boolean', example: false },
                         createdAt: { type: 'string', format: 'date-time', example: '2023-01-01T00:00:00.000Z' },
@@ -199,8 +243,10 @@ const options = {
             { name: 'Communities', description: 'Community management' },
             { name: 'Bowls', description: 'Bowl (category) management' },
             { name: 'Companies', description: 'Company tracking and markets' },
+            { name: 'Markets', description: 'Prediction markets across companies' },
             { name: 'Feed', description: 'Content feed endpoints' },
             { name: 'Notifications', description: 'User notifications' },
+            { name: 'Realtime', description: 'Live post, poll, market and notification events' },
             { name: 'Wallet', description: 'Web3 wallet integration' },
         ],
     },
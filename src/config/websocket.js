@@ -0,0 +1,142 @@
+import { WebSocketServer } from 'ws';
+import { getUserFromToken } from '../middleware/auth.js';
+import { MAX_CHANNELS, resolveChannels, subscribe } from '../utils/realtime.js';
+
+/**
+ * WebSocket Configuration
+ * Realtime channel over WebSocket for long-running hosts (not available on Vercel)
+ *
+ * Connect to /api/realtime/ws?access_token=<token>&channels=<a,b> and send
+ * { "action": "subscribe" | "unsubscribe", "channel": "market:<id>" } messages.
+ * Events use the same { channel, event, data, timestamp } shape as the SSE stream.
+ */
+
+export const WEBSOCKET_PATH = '/api/realtime/ws';
+const HEARTBEAT_INTERVAL = 30 * 1000; // 30 seconds
+
+/**
+ * Reject an upgrade request with an HTTP status
+ */
+const rejectUpgrade = (socket, status, message) => {
+    socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+};
+
+/**
+ * Handle one client connection
+ * @param {WebSocket} ws - Client socket
+ * @param {Object} user - Authenticated user, if any
+ * @param {string[]} initialChannels - Channels requested in the URL
+ */
+const handleConnection = (ws, user, initialChannels) => {
+    const subscriptions = new Map();
+
+    const send = (message) => {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    };
+
+    const addChannels = (names) => {
+        const { channels, message } = resolveChannels(names, user);
+        if (!channels) {
+            send({ event: 'error', data: { message } });
+            return;
+        }
+        for (const channel of channels) {
+            if (subscriptions.has(channel)) continue;
+            if (subscriptions.size >= MAX_CHANNELS) {
+                send({ event: 'error', data: { message: `Subscribe to at most ${MAX_CHANNELS} channels` } });
+                return;
+            }
+            subscriptions.set(channel, subscribe(channel, send));
+            send({ channel, event: 'subscribed' });
+        }
+    };
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+        ws.isAlive = true;
+    });
+
+    ws.on('message', (raw) => {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            send({ event: 'error', data: { message: 'Messages must be JSON' } });
+            return;
+        }
+
+        if (message.action === 'subscribe') {
+            addChannels([message.channel]);
+        } else if (message.action === 'unsubscribe') {
+            const channel = String(message.channel).toLowerCase();
+            if (!subscriptions.has(channel)) {
+                send({ event: 'error', data: { message: `Not subscribed to ${message.channel}` } });
+                return;
+            }
+            subscriptions.get(channel)();
+            subscriptions.delete(channel);
+            send({ channel, event: 'unsubscribed' });
+        } else {
+            send({ event: 'error', data: { message: 'Action must be subscribe or unsubscribe' } });
+        }
+    });
+
+    ws.on('close', () => {
+        subscriptions.forEach(unsubscribe => unsubscribe());
+        subscriptions.clear();
+    });
+
+    if (initialChannels.length > 0) {
+        addChannels(initialChannels);
+    }
+};
+
+/**
+ * Attach the WebSocket endpoint to an HTTP server
+ * @param {http.Server} server - Server returned by app.listen
+ * @returns {Function} Closes every connection and stops the heartbeat
+ */
+export const attachWebSocketServer = (server) => {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', async (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== WEBSOCKET_PATH) {
+            return rejectUpgrade(socket, 404, 'Not Found');
+        }
+
+        const token = url.searchParams.get('access_token');
+        const user = token ? await getUserFromToken(token) : null;
+        if (token && !user) {
+            return rejectUpgrade(socket, 401, 'Unauthorized');
+        }
+
+        const channels = (url.searchParams.get('channels') || '')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
+
+        wss.handleUpgrade(req, socket, head, (ws) => handleConnection(ws, user, channels));
+    });
+
+    // Drop connections that stopped answering pings
+    const heartbeat = setInterval(() => {
+        for (const ws of wss.clients) {
+            if (!ws.isAlive) {
+                ws.terminate();
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }, HEARTBEAT_INTERVAL);
+
+    return () => {
+        clearInterval(heartbeat);
+        wss.clients.forEach(ws => ws.close(1001, 'Server shutting down'));
+        wss.close();
+    };
+};
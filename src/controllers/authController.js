@@ -2,6 +2,8 @@ import User from '../models/User.js';
 import { hashPassword, comparePassword } from '../utils/password.js';
 import { generateAccessToken, generateRefreshToken, verifyRefreshToken } from '../utils/jwt.js';
 import { successResponse, errorResponse } from '../utils/response.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { fundTreasury, grantSignupBonus } from '../services/ledgerService.js';
 import * as solanaUtils from '../utils/solana.js';
 import * as ethereumUtils from '../utils/ethereum.js';
 
@@ -34,12 +36,19 @@ export const register = async (req, res, next) => {
         // Hash password
         const hashedPassword = await hashPassword(password);
 
-        // Create user
-        const user = await User.create({
-            username,
-            email,
-            password: hashedPassword,
-            authMethod: 'email',
+        await fundTreasury();
+
+        // Create user with starting points for prediction markets (both or neither)
+        const user = await runInTransaction(async (session) => {
+            const [user] = await User.create([{
+                username,
+                email,
+                password: hashedPassword,
+                authMethod: 'email',
+            }], { session });
+
+            user.balance.available = await grantSignupBonus(user._id, session);
+            return user;
         });
 
         // Generate tokens
@@ -286,17 +295,24 @@ export const walletAuth = async (req, res, next) => {
                 return errorResponse(res, 400, 'Username already taken. Please provide a custom username.');
             }
 
-            // Create new user with wallet authentication
-            user = await User.create({
-                username: generatedUsername,
-                authMethod: 'wallet',
-                primaryWallet: normalizedAddress,
-                walletAddresses: [{
-                    address: normalizedAddress,
-                    chain: chain,
-                    isPrimary: true,
-                    verified: true,
-                }],
+            await fundTreasury();
+
+            // Create new user with wallet authentication and starting points (both or neither)
+            user = await runInTransaction(async (session) => {
+                const [created] = await User.create([{
+                    username: generatedUsername,
+                    authMethod: 'wallet',
+                    primaryWallet: normalizedAddress,
+                    walletAddresses: [{
+                        address: normalizedAddress,
+                        chain: chain,
+                        isPrimary: true,
+                        verified: true,
+                    }],
+                }], { session });
+
+                created.balance.available = await grantSignupBonus(created._id, session);
+                return created;
             });
         }
 
@@ -1,7 +1,7 @@
 import Bowl from '../models/Bowl.js';
 import Post from '../models/Post.js';
 import User from '../models/User.js';
-import { successResponse, errorResponse } from '../utils/response.js';
+import { successResponse, errorResponse, paginatedResponse } from '../utils/response.js';
 
 /**
  * Bowl Controller
@@ -47,7 +47,7 @@ export const getBowls = async (req, res, next) => {
 
         const total = await Bowl.countDocuments(query);
 
-        return successResponse(res, 200, { bowls, total }, 'Bowls retrieved');
+        return paginatedResponse(res, 'bowls', bowls, { page: parseInt(page), limit: parseInt(limit), total }, 'Bowls retrieved');
     } catch (error) {
         next(error);
     }
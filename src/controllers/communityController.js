@@ -1,7 +1,9 @@
 import Community from '../models/Community.js';
 import Post from '../models/Post.js';
 import User from '../models/User.js';
-import { successResponse, errorResponse } from '../utils/response.js';
+import { successResponse, errorResponse, paginatedResponse } from '../utils/response.js';
+import { getPagination, findPage } from '../utils/pagination.js';
+import { DOMAIN_EVENTS, emitDomainEvent } from '../utils/eventBus.js';
 
 /**
  * Community Controller
@@ -29,8 +31,8 @@ export const createCommunity = async (req, res, next) => {
 
 export const getCommunities = async (req, res, next) => {
     try {
-        const { page = 1, limit = 20, sort = 'popular' } = req.query;
-        const skip = (page - 1) * limit;
+        const { sort = 'popular' } = req.query;
+        const pagination = getPagination(req.query);
 
         let sortOption = {};
         if (sort === 'popular') {
@@ -39,15 +41,15 @@ export const getCommunities = async (req, res, next) => {
             sortOption = { createdAt: -1 };
         }
 
-        const communities = await Community.find({ isActive: true })
-            .sort(sortOption)
-            .limit(parseInt(limit))
-            .skip(skip)
-            .populate('creator', 'username avatar');
+        const { items: communities, nextCursor } = await findPage(
+            Community.find({ isActive: true }).populate('creator', 'username avatar'),
+            sortOption,
+            pagination
+        );
 
         const total = await Community.countDocuments({ isActive: true });
 
-        return successResponse(res, 200, { communities, total }, 'Communities retrieved');
+        return paginatedResponse(res, 'communities', communities, { ...pagination, total, nextCursor }, 'Communities retrieved');
     } catch (error) {
         next(error);
     }
@@ -151,20 +153,81 @@ export const leaveCommunity = async (req, res, next) => {
     }
 };
 
-export const getCommunityPosts = async (req, res, next) => {
+export const addModerator = async (req, res, next) => {
     try {
-        const { page = 1, limit = 20 } = req.query;
-        const skip = (page - 1) * limit;
+        const community = await Community.findById(req.params.id);
+
+        if (!community) {
+            return errorResponse(res, 404, 'Community not found');
+        }
+
+        // Only the creator appoints moderators
+        if (community.creator.toString() !== req.user._id.toString()) {
+            return errorResponse(res, 403, 'Not authorized');
+        }
+
+        const moderator = await User.findById(req.body.userId).select('_id');
+        if (!moderator) {
+            return errorResponse(res, 404, 'User not found');
+        }
 
-        const posts = await Post.find({ community: req.params.id, isActive: true })
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip(skip)
-            .populate('author', 'username avatar');
+        if (community.moderators.some(mod => mod.toString() === moderator._id.toString())) {
+            return errorResponse(res, 400, 'User is already a moderator');
+        }
+
+        community.moderators.push(moderator._id);
+        await community.save();
+
+        emitDomainEvent(DOMAIN_EVENTS.MODERATOR_ADDED, { actor: req.user, community, moderator: moderator._id });
+
+        return successResponse(res, 200, { moderators: community.moderators }, 'Moderator added');
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const removeModerator = async (req, res, next) => {
+    try {
+        const community = await Community.findById(req.params.id);
+
+        if (!community) {
+            return errorResponse(res, 404, 'Community not found');
+        }
+
+        if (community.creator.toString() !== req.user._id.toString()) {
+            return errorResponse(res, 403, 'Not authorized');
+        }
+
+        if (!community.moderators.some(mod => mod.toString() === req.params.userId)) {
+            return errorResponse(res, 400, 'User is not a moderator');
+        }
+
+        community.moderators = community.moderators.filter(mod => mod.toString() !== req.params.userId);
+        await community.save();
+
+        emitDomainEvent(DOMAIN_EVENTS.MODERATOR_REMOVED, { actor: req.user, community, moderator: req.params.userId });
+
+        return successResponse(res, 200, { moderators: community.moderators }, 'Moderator removed');
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const getCommunityPosts = async (req, res, next) => {
+    try {
+        const pagination = getPagination(req.query);
+
+        const { items: posts, nextCursor } = await findPage(
+            Post.find({ community: req.params.id, isActive: true })
+                .select('-recentActivity')
+                .populate('author', 'username avatar'),
+            { createdAt: -1 },
+            pagination
+        );
 
         const total = await Post.countDocuments({ community: req.params.id, isActive: true });
 
-        return successResponse(res, 200, { posts, total }, 'Posts retrieved');
+        return paginatedResponse(res, 'posts', posts, { ...pagination, total, nextCursor }, 'Posts retrieved');
     } catch (error) {
         next(error);
     }
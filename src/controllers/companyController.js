@@ -1,7 +1,19 @@
+import mongoose from 'mongoose';
 import Company from '../models/Company.js';
 import Market from '../models/Market.js';
+import MarketTick from '../models/MarketTick.js';
 import Post from '../models/Post.js';
-import { successResponse, errorResponse } from '../utils/response.js';
+import Poll from '../models/Poll.js';
+import { successResponse, errorResponse, paginatedResponse } from '../utils/response.js';
+import AppError from '../utils/appError.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { getPagination, findPage } from '../utils/pagination.js';
+import { publish } from '../utils/realtime.js';
+import * as orders from '../services/orderService.js';
+import * as ledger from '../services/ledgerService.js';
+import * as liquidity from '../services/liquidityService.js';
+import * as settlement from '../services/settlementService.js';
+import { createNotifications } from '../services/notificationService.js';
 
 /**
  * Company Controller  
@@ -42,7 +54,7 @@ export const getCompanies = async (req, res, next) => {
 
         const total = await Company.countDocuments(query);
 
-        return successResponse(res, 200, { companies, total }, 'Companies retrieved');
+        return paginatedResponse(res, 'companies', companies, { page: parseInt(page), limit: parseInt(limit), total }, 'Companies retrieved');
     } catch (error) {
         next(error);
     }
@@ -121,7 +133,7 @@ export const getCompanyPosts = async (req, res, next) => {
 
         const total = await Post.countDocuments({ companyTags: req.params.id, isActive: true });
 
-        return successResponse(res, 200, { posts, total }, 'Posts retrieved');
+        return paginatedResponse(res, 'posts', posts, { page: parseInt(page), limit: parseInt(limit), total }, 'Posts retrieved');
     } catch (error) {
         next(error);
     }
@@ -129,24 +141,46 @@ export const getCompanyPosts = async (req, res, next) => {
 
 export const createMarket = async (req, res, next) => {
     try {
-        const { question, description, expiresAt } = req.body;
-
-        const market = await Market.create({
-            company: req.params.id,
-            creator: req.user._id,
-            question,
-            description,
-            expiresAt,
-            type: 'binary',
-            options: [
-                { label: 'Yes', totalShares: 0 },
-                { label: 'No', totalShares: 0 }
-            ],
-        });
+        const { question, description, expiresAt, liquidityParameter, type = 'binary', outcomes } = req.body;
+
+        let options = [
+            { label: 'Yes', totalShares: 0 },
+            { label: 'No', totalShares: 0 }
+        ];
+
+        if (type === 'categorical') {
+            const labels = outcomes.map(label => label.trim());
+            const unique = new Set(labels.map(label => label.toLowerCase()));
+            if (unique.size !== labels.length) {
+                return errorResponse(res, 400, 'Outcome labels must be unique');
+            }
+            options = labels.map(label => ({ label, totalShares: 0 }));
+        }
 
-        // Add to company's markets
-        await Company.findByIdAndUpdate(req.params.id, {
-            $push: { markets: market._id }
+        await ledger.fundTreasury();
+
+        // Create the market and fund its AMM from the treasury atomically
+        const market = await runInTransaction(async (session) => {
+            const [market] = await Market.create([{
+                company: req.params.id,
+                creator: req.user._id,
+                question,
+                description,
+                expiresAt,
+                liquidityParameter,
+                type,
+                options,
+            }], { session });
+
+            await liquidity.fundSubsidy(market, session);
+            await market.save({ session });
+
+            // Add to company's markets
+            await Company.findByIdAndUpdate(req.params.id, {
+                $push: { markets: market._id }
+            }, { session });
+
+            return market;
         });
 
         return successResponse(res, 201, { market }, 'Market created');
@@ -157,14 +191,24 @@ export const createMarket = async (req, res, next) => {
 
 export const getCompanyMarkets = async (req, res, next) => {
     try {
-        const markets = await Market.find({
-            company: req.params.id,
-            isActive: true
-        })
-            .sort({ createdAt: -1 })
-            .populate('creator', 'username avatar');
-
-        return successResponse(res, 200, { markets }, 'Markets retrieved');
+        const pagination = getPagination(req.query);
+        const query = { company: req.params.id, isActive: true };
+
+        const { items: markets, nextCursor } = await findPage(
+            Market.find(query).populate('creator', 'username avatar'),
+            { createdAt: -1 },
+            pagination
+        );
+
+        const total = await Market.countDocuments(query);
+
+        return paginatedResponse(
+            res,
+            'markets',
+            markets.map(market => market.toView(req.user?._id)),
+            { ...pagination, total, nextCursor },
+            'Markets retrieved'
+        );
     } catch (error) {
         next(error);
     }
@@ -172,37 +216,254 @@ export const getCompanyMarkets = async (req, res, next) => {
 
 export const tradeMarket = async (req, res, next) => {
     try {
-        const { option, shares, action } = req.body; // option: 'yes'/'no', action: 'buy'/'sell'
-        const market = await Market.findById(req.params.marketId);
+        // optionIndex (or option label 'yes'/'no'), action: 'buy'/'sell',
+        // maxSlippage: tolerated fraction away from the quoted price
+        const { action, maxSlippage } = req.body;
+        const shares = Number(req.body.shares);
+        const userId = req.user._id;
+
+        // Pricing, position update and points transfer commit together
+        const { trade, market } = await runInTransaction(async (session) => {
+            const market = await Market.findById(req.params.marketId).session(session);
+
+            if (!market) {
+                throw new AppError(404, 'Market not found');
+            }
 
-        if (!market) {
-            return errorResponse(res, 404, 'Market not found');
-        }
+            if (market.isExpired || market.isClosed || market.isResolved) {
+                throw new AppError(400, 'Market is closed');
+            }
 
-        if (market.isExpired || market.isResolved) {
-            return errorResponse(res, 400, 'Market is closed');
-        }
+            const optionIndex = market.findOptionIndex(req.body);
+            if (optionIndex === -1) {
+                throw new AppError(400, 'Invalid option');
+            }
+            const option = market.options[optionIndex].label;
 
-        // Simplified trading logic
-        if (action === 'buy') {
-            const price = option === 'yes' ? market.yesPrice : market.noPrice;
-            const cost = shares * price;
+            const tradeId = new mongoose.Types.ObjectId();
+            const isBuy = action === 'buy';
 
-            market.positions.push({
-                user: req.user._id,
-                option,
+            if (!isBuy && market.getAvailableShares(userId, optionIndex) < shares) {
+                throw new AppError(400, 'Insufficient shares to sell', {
+                    available: market.getAvailableShares(userId, optionIndex),
+                });
+            }
+
+            const quotedPrice = market.getPrices()[optionIndex];
+
+            // Fill from resting limit orders first, the market maker for the rest
+            const execution = await orders.executeOrder({
+                market,
+                userId,
+                optionIndex,
+                side: action,
                 shares,
-                averagePrice: price,
-                investedAmount: cost,
+                tradeId,
+                session,
             });
 
-            market.totalVolume += cost;
-            market.updatePrices();
+            // Reject if the average fill is worse than the quoted price plus/minus tolerated slippage
+            const exceedsSlippage = isBuy
+                ? execution.averagePrice > quotedPrice * (1 + Number(maxSlippage))
+                : execution.averagePrice < quotedPrice * (1 - Number(maxSlippage));
+            if (maxSlippage !== undefined && exceedsSlippage) {
+                throw new AppError(400, 'Trade exceeds max slippage', {
+                    quotedPrice,
+                    averagePrice: execution.averagePrice,
+                    [isBuy ? 'cost' : 'proceeds']: execution.amount,
+                });
+            }
+
+            const trade = {
+                id: tradeId,
+                optionIndex,
+                option,
+                action,
+                shares,
+                [isBuy ? 'cost' : 'proceeds']: execution.amount,
+                fee: execution.fee,
+                averagePrice: execution.averagePrice,
+                ...(!isBuy && { realizedPnl: execution.realizedPnl }),
+                fills: execution.fills,
+                position: execution.position,
+                balance: execution.balance,
+            };
+
+            await market.save();
+
+            // Record the post-trade prices for the price history
+            await MarketTick.create([{
+                market: market._id,
+                trade: tradeId,
+                optionIndex,
+                action,
+                shares,
+                amount: trade.cost ?? trade.proceeds,
+                prices: market.options.map(o => o.price),
+            }], { session });
+
+            return { trade, market };
+        });
+
+        trade.prices = market.options.map(o => o.price);
+
+        // Traders stay anonymous on the public market channel
+        publish('market', market._id, 'market:trade', {
+            marketId: market._id,
+            optionIndex: trade.optionIndex,
+            action: trade.action,
+            shares: trade.shares,
+            prices: trade.prices,
+            totalVolume: market.totalVolume,
+        });
+
+        return successResponse(res, 200, { trade, market: market.toView(userId) }, 'Trade executed');
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const resolveMarket = async (req, res, next) => {
+    try {
+        // outcome: option label or 'invalid', or optionIndex for the winning option
+        const { outcome } = req.body;
+        const disputeWindowMs = settlement.getDisputeWindowMs();
+
+        // Propose the outcome and stop trading; payouts wait for the dispute window
+        const market = await runInTransaction(async (session) => {
+            const market = await Market.findOne({ _id: req.params.marketId, company: req.params.id })
+                .session(session);
+
+            if (!market) {
+                throw new AppError(404, 'Market not found');
+            }
+
+            // Only the market creator or a designated resolver may resolve
+            const isCreator = market.creator.toString() === req.user._id.toString();
+            if (!isCreator && req.user.role !== 'resolver') {
+                throw new AppError(403, 'Not authorized to resolve this market');
+            }
+
+            if (market.isResolved || market.proposedAt) {
+                throw new AppError(400, 'Market is already resolved');
+            }
+
+            let resolution = 'invalid';
+            if (outcome !== 'invalid') {
+                resolution = market.findOptionIndex({ option: outcome, optionIndex: req.body.optionIndex });
+                if (resolution === -1) {
+                    throw new AppError(400, 'Invalid outcome');
+                }
+            }
+
+            // Return escrow and reserved shares of resting orders
+            await orders.cancelMarketOrders(market, session);
+
+            market.proposeOutcome(resolution, req.user._id, disputeWindowMs);
+
+            // Voting ends with trading on the poll the market was converted from
+            if (market.poll) {
+                await Poll.updateOne({ _id: market.poll }, { isClosed: true }, { session });
+            }
+
+            await market.save();
+            return market;
+        });
+
+        // Without a dispute window the outcome is final right away
+        if (disputeWindowMs === 0) {
+            const { market: settled, payouts } = await settlement.settleMarket(market._id);
+            // Payouts to other traders are private
+            return successResponse(res, 200, {
+                market: settled.toView(req.user._id),
+                totalPayout: settled.totalPayout,
+                payout: payouts.get(req.user._id.toString()) || 0,
+            }, 'Market resolved');
         }
 
-        await market.save();
+        // Let every trader know the outcome can still be disputed
+        const outcomeLabel = market.proposedOption.toUpperCase();
+        const traders = new Set(market.positions.map(p => p.user.toString()));
+        await createNotifications([...traders].map(userId => ({
+            recipient: userId,
+            sender: req.user._id,
+            type: 'market_resolution_proposed',
+            title: `Market resolution proposed: ${outcomeLabel}`,
+            message: `"${market.question.slice(0, 300)}" was resolved ${outcomeLabel}. ` +
+                `Payouts follow on ${market.disputeWindowEndsAt.toISOString()} unless the outcome is disputed`,
+            relatedMarket: market._id,
+            actionUrl: `/companies/${market.company}/markets/${market._id}`,
+        })));
+
+        return successResponse(res, 200, { market: market.toView(req.user._id) }, 'Market resolution proposed');
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Candle bucket sizes and default lookback per interval
+const HISTORY_INTERVALS = {
+    '1h': { unit: 'hour', lookback: 7 * 24 * 60 * 60 * 1000 },
+    '1d': { unit: 'day', lookback: 180 * 24 * 60 * 60 * 1000 },
+};
+
+export const getMarketHistory = async (req, res, next) => {
+    try {
+        const { interval = '1h', optionIndex = 0 } = req.query;
+        const market = await Market.findOne({ _id: req.params.marketId, company: req.params.id })
+            .select('options type');
 
-        return successResponse(res, 200, { market }, 'Trade executed');
+        if (!market) {
+            return errorResponse(res, 404, 'Market not found');
+        }
+
+        const index = parseInt(optionIndex);
+        if (index >= market.options.length) {
+            return errorResponse(res, 400, 'Invalid option index');
+        }
+
+        const { unit, lookback } = HISTORY_INTERVALS[interval];
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - lookback);
+        const price = { $arrayElemAt: ['$prices', index] };
+
+        const candles = await MarketTick.aggregate([
+            { $match: { market: market._id, createdAt: { $gte: from, $lte: to } } },
+            { $sort: { createdAt: 1 } },
+            {
+                $group: {
+                    _id: { $dateTrunc: { date: '$createdAt', unit } },
+                    open: { $first: price },
+                    high: { $max: price },
+                    low: { $min: price },
+                    close: { $last: price },
+                    volume: { $sum: '$amount' },
+                    trades: { $sum: 1 },
+                },
+            },
+            { $sort: { _id: 1 } },
+            {
+                $project: {
+                    _id: 0,
+                    time: '$_id',
+                    open: 1,
+                    high: 1,
+                    low: 1,
+                    close: 1,
+                    volume: 1,
+                    trades: 1,
+                },
+            },
+        ]);
+
+        return successResponse(res, 200, {
+            interval,
+            optionIndex: index,
+            option: market.options[index].label,
+            from,
+            to,
+            candles,
+        }, 'Market history retrieved');
     } catch (error) {
         next(error);
     }
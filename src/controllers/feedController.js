@@ -1,7 +1,9 @@
 import Post from '../models/Post.js';
 import Poll from '../models/Poll.js';
 import User from '../models/User.js';
-import { successResponse, errorResponse } from '../utils/response.js';
+import { paginatedResponse } from '../utils/response.js';
+import { getPagination, findPage } from '../utils/pagination.js';
+import { getForYouPage } from '../services/feedService.js';
 
 /**
  * Feed Controller
@@ -10,18 +12,29 @@ import { successResponse, errorResponse } from '../utils/response.js';
 
 export const getRecommendedFeed = async (req, res, next) => {
     try {
-        const { page = 1, limit = 20 } = req.query;
-        const skip = (page - 1) * limit;
+        const pagination = getPagination(req.query);
 
         // Recommended: popular posts across all communities
-        const posts = await Post.find({ isActive: true })
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip(skip)
-            .populate('author', 'username avatar')
-            .populate('community', 'name displayName avatar');
+        const { items: posts, nextCursor } = await findPage(
+            Post.find({ isActive: true })
+                .select('-recentActivity')
+                .populate('author', 'username avatar')
+                .populate('community', 'name displayName avatar'),
+            { createdAt: -1 },
+            pagination
+        );
+
+        // Polls are mixed into the time span the page of posts covers, so
+        // following nextCursor never repeats or skips them
+        const pollQuery = { isActive: true, isClosed: false };
+        if (pagination.cursor) {
+            pollQuery.createdAt = { $lt: pagination.cursor.createdAt };
+        }
+        if (nextCursor) {
+            pollQuery.createdAt = { ...pollQuery.createdAt, $gte: posts[posts.length - 1].createdAt };
+        }
 
-        const polls = await Poll.find({ isActive: true, isClosed: false })
+        const polls = await Poll.find(pollQuery)
             .sort({ createdAt: -1 })
             .limit(5)
             .populate('author', 'username avatar');
@@ -31,7 +44,7 @@ export const getRecommendedFeed = async (req, res, next) => {
             new Date(b.createdAt) - new Date(a.createdAt)
         );
 
-        return successResponse(res, 200, { feed }, 'Recommended feed retrieved');
+        return paginatedResponse(res, 'feed', feed, { ...pagination, nextCursor }, 'Recommended feed retrieved');
     } catch (error) {
         next(error);
     }
@@ -39,26 +52,29 @@ export const getRecommendedFeed = async (req, res, next) => {
 
 export const getFollowingFeed = async (req, res, next) => {
     try {
-        const { page = 1, limit = 20 } = req.query;
-        const skip = (page - 1) * limit;
+        const pagination = getPagination(req.query);
 
         const user = await User.findById(req.user._id);
 
         // Get posts from followed users and joined communities
-        const posts = await Post.find({
+        const query = {
             $or: [
                 { author: { $in: user.following } },
                 { community: { $in: user.joinedCommunities } }
             ],
             isActive: true
-        })
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip(skip)
-            .populate('author', 'username avatar')
-            .populate('community', 'name displayName avatar');
+        };
+
+        const { items: posts, nextCursor } = await findPage(
+            Post.find(query)
+                .select('-recentActivity')
+                .populate('author', 'username avatar')
+                .populate('community', 'name displayName avatar'),
+            { createdAt: -1 },
+            pagination
+        );
 
-        return successResponse(res, 200, { feed: posts }, 'Following feed retrieved');
+        return paginatedResponse(res, 'feed', posts, { ...pagination, nextCursor }, 'Following feed retrieved');
     } catch (error) {
         next(error);
     }
@@ -66,26 +82,14 @@ export const getFollowingFeed = async (req, res, next) => {
 
 export const getForYouFeed = async (req, res, next) => {
     try {
-        const { page = 1, limit = 20 } = req.query;
-        const skip = (page - 1) * limit;
+        const pagination = getPagination(req.query);
 
         const user = await User.findById(req.user._id);
 
-        // Personalized feed based on joined communities and activity
-        const posts = await Post.find({
-            $or: [
-                { community: { $in: user.joinedCommunities } },
-                { bowl: { $in: user.joinedBowls } }
-            ],
-            isActive: true
-        })
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip(skip)
-            .populate('author', 'username avatar')
-            .populate('community', 'name displayName avatar');
+        // Personalized ranking with an explanation per post (see services/feedService.js)
+        const { items: posts, nextCursor } = await getForYouPage(user, pagination);
 
-        return successResponse(res, 200, { feed: posts }, 'For you feed retrieved');
+        return paginatedResponse(res, 'feed', posts, { ...pagination, nextCursor }, 'For you feed retrieved');
     } catch (error) {
         next(error);
     }
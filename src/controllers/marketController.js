@@ -0,0 +1,707 @@
+import Market from '../models/Market.js';
+import MarketTick from '../models/MarketTick.js';
+import Company from '../models/Company.js';
+import Order from '../models/Order.js';
+import Dispute from '../models/Dispute.js';
+import User from '../models/User.js';
+import { successResponse, errorResponse, paginatedResponse } from '../utils/response.js';
+import AppError from '../utils/appError.js';
+import { getPagination, findPage } from '../utils/pagination.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { publish } from '../utils/realtime.js';
+import * as leaderboardService from '../services/leaderboardService.js';
+import * as orders from '../services/orderService.js';
+import * as ledger from '../services/ledgerService.js';
+import * as settlement from '../services/settlementService.js';
+import * as liquidity from '../services/liquidityService.js';
+import { createNotifications } from '../services/notificationService.js';
+
+/**
+ * Market Controller
+ * Handles cross-company market views (discovery, detail, leaderboard),
+ * limit orders, liquidity provision and disputes of proposed outcomes
+ */
+
+const EXPIRING_WINDOW_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Sort options for market discovery
+const MARKET_SORTS = {
+    volume: { totalVolume: -1, createdAt: -1 },
+    traders: { traderCount: -1, createdAt: -1 },
+    closing: { expiresAt: 1 },
+    newest: { createdAt: -1 },
+};
+
+/**
+ * Build the query for a market status filter
+ * @param {String} status - open | expiring | closed | proposed | disputed | resolved
+ * @param {Date} now - Reference time
+ * @returns {Object} Mongo query conditions
+ */
+const statusQuery = (status, now) => {
+    const open = { isClosed: false, isResolved: false, expiresAt: { $gt: now } };
+
+    switch (status) {
+        case 'open':
+            return open;
+        case 'expiring':
+            return { ...open, expiresAt: { $gt: now, $lte: new Date(now.getTime() + EXPIRING_WINDOW_MS) } };
+        case 'closed':
+            // Trading stopped, waiting for an outcome to be proposed
+            return {
+                isResolved: false,
+                proposedAt: null,
+                $or: [{ isClosed: true }, { expiresAt: { $lte: now } }],
+            };
+        case 'proposed':
+            // Outcome proposed, payouts wait for the dispute window
+            return { isResolved: false, isDisputed: false, proposedAt: { $ne: null } };
+        case 'disputed':
+            return { isResolved: false, isDisputed: true };
+        case 'resolved':
+            return { isResolved: true };
+        default:
+            return {};
+    }
+};
+
+// Market with its current probability, without other traders' positions
+const toMarketView = (market) => market.toView();
+
+// Liquidity provider position with its share of the pool and unpaid fees
+const toLiquidityView = (market, provider) => ({
+    user: provider.user,
+    shares: provider.shares,
+    poolShare: market.totalLpShares > 0 ? provider.shares / market.totalLpShares : 0,
+    deposited: provider.deposited,
+    withdrawn: provider.withdrawn,
+    feesPaid: provider.feesPaid,
+    pendingFees: market.getPendingFees(provider),
+    payout: provider.payout,
+});
+
+// Ensure the market still accepts trading-related changes
+const assertTrading = (market) => {
+    if (market.isExpired || market.isClosed || market.isResolved) {
+        throw new AppError(400, 'Market is closed');
+    }
+};
+
+/**
+ * @route   GET /api/markets
+ * @desc    List and search markets across all companies
+ * @access  Public
+ */
+export const getMarkets = async (req, res, next) => {
+    try {
+        const {
+            q,
+            status,
+            sector,
+            company,
+            type,
+            minVolume,
+            sort = 'volume',
+        } = req.query;
+        const pagination = getPagination(req.query);
+
+        const query = { isActive: true, ...statusQuery(status, new Date()) };
+        if (q) query.$text = { $search: q };
+        if (type) query.type = type;
+        if (minVolume !== undefined) query.totalVolume = { $gte: Number(minVolume) };
+
+        if (company || sector) {
+            query.company = {};
+            if (company) query.company.$eq = company;
+            if (sector) query.company.$in = await Company.find({ sector }).distinct('_id');
+        }
+
+        const { items: markets, nextCursor } = await findPage(
+            Market.find(query)
+                .select('-positions -liquidityProviders')
+                .populate('company', 'name ticker logo sector')
+                .populate('creator', 'username avatar'),
+            MARKET_SORTS[sort],
+            pagination
+        );
+
+        const total = await Market.countDocuments(query);
+
+        return paginatedResponse(res, 'markets', markets.map(toMarketView), { ...pagination, total, nextCursor }, 'Markets retrieved');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   GET /api/markets/:id
+ * @desc    Get market detail with probabilities (and the viewer's positions)
+ * @access  Public
+ */
+export const getMarket = async (req, res, next) => {
+    try {
+        const market = await Market.findById(req.params.id)
+            .populate('company', 'name ticker logo sector')
+            .populate('creator', 'username avatar')
+            .populate('resolver', 'username avatar')
+            .populate('liquidityProviders.user', 'username avatar privacySettings.showPortfolio');
+
+        if (!market || !market.isActive) {
+            return errorResponse(res, 404, 'Market not found');
+        }
+
+        // Increment view count without touching the versioned trading state
+        await Market.updateOne({ _id: market._id }, { $inc: { viewCount: 1 } });
+
+        const view = market.toView(req.user?._id);
+        view.viewCount += 1;
+        // Providers who keep their portfolio private are listed without their user
+        view.liquidityProviders = market.liquidityProviders
+            .filter(lp => lp.shares > 0 || lp.payout > 0)
+            .map(lp => ({
+                ...toLiquidityView(market, lp),
+                user: lp.user?.privacySettings?.showPortfolio
+                    ? { _id: lp.user._id, username: lp.user.username, avatar: lp.user.avatar }
+                    : null,
+            }));
+
+        if (req.user) {
+            const provider = market.liquidityProviders.find(
+                lp => lp.user?._id.toString() === req.user._id.toString()
+            );
+            view.userLiquidity = provider ? toLiquidityView(market, provider) : null;
+        }
+
+        return successResponse(res, 200, { market: view }, 'Market retrieved');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   GET /api/markets/leaderboard
+ * @desc    Rank traders over resolved markets by P&L, ROI or accuracy
+ * @access  Public
+ */
+export const getLeaderboard = async (req, res, next) => {
+    try {
+        const { window = 'all', sector, sortBy = 'pnl', limit = 50 } = req.query;
+
+        const { leaderboard, generatedAt } = await leaderboardService.getLeaderboard({
+            window,
+            sector,
+            sortBy,
+            limit: parseInt(limit),
+        });
+
+        return successResponse(res, 200, {
+            leaderboard,
+            window,
+            sector: sector || null,
+            sortBy,
+            generatedAt,
+        }, 'Leaderboard retrieved');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   POST /api/markets/:id/orders
+ * @desc    Place a limit order (fills what crosses now, rests the remainder)
+ * @access  Private
+ */
+export const placeOrder = async (req, res, next) => {
+    try {
+        const { side, expiresAt } = req.body;
+        const price = Number(req.body.price);
+        const shares = Number(req.body.shares);
+
+        if (expiresAt && new Date(expiresAt) <= new Date()) {
+            return errorResponse(res, 400, 'Expiry date must be in the future');
+        }
+
+        const { order, execution, balance, market } = await runInTransaction(async (session) => {
+            const market = await Market.findById(req.params.id).session(session);
+
+            if (!market) {
+                throw new AppError(404, 'Market not found');
+            }
+
+            assertTrading(market);
+
+            const optionIndex = market.findOptionIndex(req.body);
+            if (optionIndex === -1) {
+                throw new AppError(400, 'Invalid option');
+            }
+
+            const result = await orders.placeLimitOrder({
+                market,
+                userId: req.user._id,
+                optionIndex,
+                side,
+                price,
+                shares,
+                expiresAt,
+                session,
+            });
+
+            await market.save();
+
+            // Immediate fills are trades: record them for the price history
+            if (result.execution.filledShares > 0) {
+                await MarketTick.create([{
+                    market: market._id,
+                    trade: result.order._id,
+                    optionIndex,
+                    action: side,
+                    shares: result.execution.filledShares,
+                    amount: result.execution.amount,
+                    prices: market.options.map(o => o.price),
+                }], { session });
+            }
+
+            return { ...result, market };
+        });
+
+        if (execution.filledShares > 0) {
+            publish('market', market._id, 'market:trade', {
+                marketId: market._id,
+                optionIndex: order.optionIndex,
+                action: order.side,
+                shares: execution.filledShares,
+                prices: market.options.map(o => o.price),
+                totalVolume: market.totalVolume,
+            });
+        }
+
+        return successResponse(res, 201, {
+            order,
+            fills: execution.fills,
+            fee: execution.fee,
+            balance,
+            prices: market.options.map(o => o.price),
+        }, order.status === 'filled' ? 'Order filled' : 'Order placed');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   POST /api/markets/:id/liquidity
+ * @desc    Provide liquidity to a market's AMM pool
+ * @access  Private
+ */
+export const addLiquidity = async (req, res, next) => {
+    try {
+        const amount = Number(req.body.amount);
+
+        const { provider, fees, balance, market } = await runInTransaction(async (session) => {
+            const market = await Market.findById(req.params.id).session(session);
+
+            if (!market) {
+                throw new AppError(404, 'Market not found');
+            }
+
+            assertTrading(market);
+
+            const result = await liquidity.addLiquidity({
+                market,
+                userId: req.user._id,
+                amount,
+                session,
+            });
+
+            await market.save();
+            return { ...result, market };
+        });
+
+        return successResponse(res, 201, {
+            liquidity: toLiquidityView(market, provider),
+            feesPaid: fees,
+            liquidityParameter: market.liquidityParameter,
+            totalLiquidity: market.totalLiquidity,
+            balance,
+        }, 'Liquidity added');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   POST /api/markets/:id/liquidity/withdraw
+ * @desc    Withdraw liquidity (and earned fees) from a market's AMM pool
+ * @access  Private
+ */
+export const removeLiquidity = async (req, res, next) => {
+    try {
+        const shares = req.body.shares === undefined ? undefined : Number(req.body.shares);
+
+        const { provider, amount, fees, balance, market } = await runInTransaction(async (session) => {
+            const market = await Market.findById(req.params.id).session(session);
+
+            if (!market) {
+                throw new AppError(404, 'Market not found');
+            }
+
+            // After trading stops the pool is paid out at settlement
+            assertTrading(market);
+
+            const result = await liquidity.removeLiquidity({
+                market,
+                userId: req.user._id,
+                shares,
+                session,
+            });
+
+            await market.save();
+            return { ...result, market };
+        });
+
+        return successResponse(res, 200, {
+            liquidity: toLiquidityView(market, provider),
+            amount,
+            feesPaid: fees,
+            liquidityParameter: market.liquidityParameter,
+            totalLiquidity: market.totalLiquidity,
+            balance,
+        }, 'Liquidity withdrawn');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   DELETE /api/markets/:id/orders/:orderId
+ * @desc    Cancel an open limit order and release its escrow
+ * @access  Private
+ */
+export const cancelOrder = async (req, res, next) => {
+    try {
+        const order = await runInTransaction(async (session) => {
+            const order = await Order.findOne({ _id: req.params.orderId, market: req.params.id })
+                .session(session);
+
+            if (!order) {
+                throw new AppError(404, 'Order not found');
+            }
+
+            if (order.user.toString() !== req.user._id.toString()) {
+                throw new AppError(403, 'Not authorized to cancel this order');
+            }
+
+            if (order.status !== 'open') {
+                throw new AppError(400, 'Order is not open');
+            }
+
+            const market = await Market.findById(order.market).session(session);
+            await orders.closeOrder(market, order, 'cancelled', session);
+            await market.save();
+
+            return order;
+        });
+
+        return successResponse(res, 200, { order }, 'Order cancelled');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   GET /api/markets/:id/orders
+ * @desc    Get the current user's orders in a market
+ * @access  Private
+ */
+export const getMyOrders = async (req, res, next) => {
+    try {
+        const { status } = req.query;
+        const pagination = getPagination(req.query);
+
+        const query = { market: req.params.id, user: req.user._id };
+        if (status) query.status = status;
+
+        const { items: userOrders, nextCursor } = await findPage(Order.find(query), { createdAt: -1 }, pagination);
+
+        const total = await Order.countDocuments(query);
+
+        return paginatedResponse(res, 'orders', userOrders, { ...pagination, total, nextCursor }, 'Orders retrieved');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   GET /api/markets/:id/orderbook
+ * @desc    Get aggregated order book depth per option
+ * @access  Public
+ */
+export const getOrderBook = async (req, res, next) => {
+    try {
+        const market = await Market.findById(req.params.id)
+            .select('options type liquidityParameter isActive');
+
+        if (!market || !market.isActive) {
+            return errorResponse(res, 404, 'Market not found');
+        }
+
+        let optionIndex;
+        if (req.query.optionIndex !== undefined) {
+            optionIndex = parseInt(req.query.optionIndex);
+            if (optionIndex >= market.options.length) {
+                return errorResponse(res, 400, 'Invalid option index');
+            }
+        }
+
+        const prices = market.getPrices();
+        const orderbook = market.options
+            .map((option, index) => ({
+                optionIndex: index,
+                label: option.label,
+                ammPrice: prices[index],
+                bids: [],
+                asks: [],
+            }))
+            .filter(book => optionIndex === undefined || book.optionIndex === optionIndex);
+
+        // Levels come sorted by price descending: bids best-first, asks reversed below
+        const levels = await orders.getDepth(market._id, optionIndex);
+        for (const level of levels) {
+            const book = orderbook.find(b => b.optionIndex === level._id.optionIndex);
+            if (!book) continue;
+
+            const entry = { price: level._id.price, shares: level.shares, orders: level.orders };
+            (level._id.side === 'buy' ? book.bids : book.asks).push(entry);
+        }
+        orderbook.forEach(book => book.asks.reverse());
+
+        return successResponse(res, 200, { orderbook }, 'Order book retrieved');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   POST /api/markets/:id/disputes
+ * @desc    Stake points to challenge a proposed market outcome
+ * @access  Private
+ */
+export const createDispute = async (req, res, next) => {
+    try {
+        const { outcome, reason, evidence = [] } = req.body;
+        const stake = Number(req.body.stake);
+
+        const minStake = settlement.getMinDisputeStake();
+        if (stake < minStake) {
+            return errorResponse(res, 400, `Stake must be at least ${minStake}`);
+        }
+
+        const { dispute, market, balance } = await runInTransaction(async (session) => {
+            const market = await Market.findById(req.params.id).session(session);
+
+            if (!market) {
+                throw new AppError(404, 'Market not found');
+            }
+
+            if (!market.proposedAt || market.isResolved) {
+                throw new AppError(400, 'Market has no proposed outcome to dispute');
+            }
+
+            if (market.disputeWindowEndsAt <= new Date()) {
+                throw new AppError(400, 'Dispute window has closed');
+            }
+
+            if (market.isDisputed) {
+                throw new AppError(400, 'Market outcome is already disputed');
+            }
+
+            // Only traders with a stake in the outcome may challenge it
+            if (!market.hasTrader(req.user._id)) {
+                throw new AppError(403, 'Only traders of this market can dispute its outcome');
+            }
+
+            if (market.resolver.toString() === req.user._id.toString()) {
+                throw new AppError(403, 'The resolver cannot dispute their own outcome');
+            }
+
+            let claimed = 'invalid';
+            if (outcome !== 'invalid') {
+                claimed = market.findOptionIndex({ option: outcome, optionIndex: req.body.optionIndex });
+                if (claimed === -1) {
+                    throw new AppError(400, 'Invalid outcome');
+                }
+            }
+
+            if (claimed === market.getProposedOutcome()) {
+                throw new AppError(400, 'Claimed outcome must differ from the proposed outcome');
+            }
+
+            const dispute = new Dispute({
+                market: market._id,
+                challenger: req.user._id,
+                proposedOption: market.proposedOption,
+                claimedOption: claimed === 'invalid' ? 'invalid' : market.options[claimed].label,
+                claimedOptionIndex: claimed === 'invalid' ? undefined : claimed,
+                stake,
+                reason,
+                evidence,
+            });
+
+            // The stake is held by the dispute until the ruling
+            const { debitBalance } = await ledger.transfer({
+                from: ledger.userAccount(req.user._id),
+                to: ledger.disputeAccount(dispute._id),
+                amount: stake,
+                reason: 'dispute_stake',
+                market: market._id,
+                session,
+            });
+
+            await dispute.save({ session });
+
+            // Payouts wait until a moderator rules
+            market.isDisputed = true;
+            await market.save();
+
+            return { dispute, market, balance: debitBalance };
+        });
+
+        // Notify the resolver and every moderator
+        const moderators = await User.find({ role: 'moderator', isActive: true }).distinct('_id');
+        const recipients = new Set([market.resolver.toString(), ...moderators.map(id => id.toString())]);
+        recipients.delete(req.user._id.toString());
+
+        await createNotifications([...recipients].map(userId => ({
+            recipient: userId,
+            sender: req.user._id,
+            type: 'market_disputed',
+            title: 'Market outcome disputed',
+            message: `"${market.question.slice(0, 300)}": ${dispute.proposedOption.toUpperCase()} ` +
+                `challenged in favour of ${dispute.claimedOption.toUpperCase()}`,
+            relatedMarket: market._id,
+            actionUrl: `/companies/${market.company}/markets/${market._id}`,
+        })));
+
+        return successResponse(res, 201, { dispute, balance }, 'Dispute opened');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   GET /api/markets/:id/disputes
+ * @desc    Get the disputes of a market
+ * @access  Public
+ */
+export const getDisputes = async (req, res, next) => {
+    try {
+        const { status } = req.query;
+        const pagination = getPagination(req.query);
+
+        const query = { market: req.params.id };
+        if (status) query.status = status;
+
+        const { items: disputes, nextCursor } = await findPage(
+            Dispute.find(query)
+                .populate('challenger', 'username avatar')
+                .populate('arbitrator', 'username avatar'),
+            { createdAt: -1 },
+            pagination
+        );
+
+        const total = await Dispute.countDocuments(query);
+
+        return paginatedResponse(res, 'disputes', disputes, { ...pagination, total, nextCursor }, 'Disputes retrieved');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   POST /api/markets/:id/disputes/:disputeId/ruling
+ * @desc    Uphold or reject a dispute (moderators only)
+ * @access  Private
+ */
+export const ruleOnDispute = async (req, res, next) => {
+    try {
+        const { decision, note } = req.body;
+
+        if (req.user.role !== 'moderator') {
+            return errorResponse(res, 403, 'Only moderators can rule on disputes');
+        }
+
+        const { dispute, market } = await runInTransaction(async (session) => {
+            const dispute = await Dispute.findOne({ _id: req.params.disputeId, market: req.params.id })
+                .session(session);
+
+            if (!dispute) {
+                throw new AppError(404, 'Dispute not found');
+            }
+
+            if (dispute.status !== 'open') {
+                throw new AppError(400, 'Dispute has already been ruled on');
+            }
+
+            const market = await Market.findById(dispute.market).session(session);
+
+            // Parties to the dispute cannot arbitrate it
+            const userId = req.user._id.toString();
+            if (dispute.challenger.toString() === userId || market.resolver.toString() === userId) {
+                throw new AppError(403, 'Not authorized to rule on this dispute');
+            }
+
+            if (decision === 'uphold') {
+                // The claimed outcome replaces the proposal and the stake is returned
+                market.setProposedOutcome(dispute.claimedOption === 'invalid' ? 'invalid' : dispute.claimedOptionIndex);
+                await ledger.transfer({
+                    from: ledger.disputeAccount(dispute._id),
+                    to: ledger.userAccount(dispute.challenger),
+                    amount: dispute.stake,
+                    reason: 'dispute_refund',
+                    market: market._id,
+                    session,
+                });
+            } else {
+                await ledger.transfer({
+                    from: ledger.disputeAccount(dispute._id),
+                    to: ledger.treasuryAccount(),
+                    amount: dispute.stake,
+                    reason: 'dispute_forfeit',
+                    market: market._id,
+                    session,
+                });
+            }
+
+            dispute.status = decision === 'uphold' ? 'upheld' : 'rejected';
+            dispute.arbitrator = req.user._id;
+            dispute.rulingNote = note;
+            dispute.decidedAt = new Date();
+            await dispute.save({ session });
+
+            market.isDisputed = false;
+            await market.save();
+
+            return { dispute, market };
+        });
+
+        await createNotifications([{
+            recipient: dispute.challenger,
+            sender: req.user._id,
+            type: 'dispute_ruled',
+            title: `Dispute ${dispute.status}`,
+            message: `Your dispute of "${market.question.slice(0, 300)}" was ${dispute.status}. ` +
+                `Proposed outcome: ${market.proposedOption.toUpperCase()}`,
+            relatedMarket: market._id,
+            actionUrl: `/companies/${market.company}/markets/${market._id}`,
+        }]);
+
+        // A ruling after the window closed releases the payouts right away
+        const settled = await settlement.settleMarket(market._id);
+
+        return successResponse(res, 200, {
+            dispute,
+            market: toMarketView(settled ? settled.market : market),
+        }, settled ? 'Dispute ruled and market resolved' : 'Dispute ruled');
+    } catch (error) {
+        next(error);
+    }
+};
@@ -1,56 +1,203 @@
 import Notification from '../models/Notification.js';
 import User from '../models/User.js';
-import { successResponse, errorResponse } from '../utils/response.js';
+import Post from '../models/Post.js';
+import Poll from '../models/Poll.js';
+import Community from '../models/Community.js';
+import Market from '../models/Market.js';
+import { successResponse, errorResponse, paginatedResponse } from '../utils/response.js';
+import AppError from '../utils/appError.js';
+import { getPagination, findPage, cursorFilter, encodeCursor } from '../utils/pagination.js';
+import { CHANNELS, NOTIFICATION_TYPES } from '../services/notificationPreferences.js';
 
 /**
  * Notification Controller
- * Handles notifications and device token management
+ * Handles notifications (inbox, archive, grouped view), device token
+ * management and notification preferences
  */
 
+// Entities notifications are bundled by in the grouped view, in order of precedence
+const GROUP_ENTITIES = [
+    { entityType: 'post', field: 'relatedPost', model: Post, label: 'title' },
+    { entityType: 'poll', field: 'relatedPoll', model: Poll, label: 'question' },
+    { entityType: 'market', field: 'relatedMarket', model: Market, label: 'question' },
+];
+
+/**
+ * Parse the comma-separated `type` filter
+ * @returns {Object} { types } or { unknown } for the first type that does not exist
+ */
+const parseTypeFilter = (type) => {
+    const types = String(type).split(',').map(t => t.trim()).filter(Boolean);
+    const unknown = types.find(t => !NOTIFICATION_TYPES.includes(t));
+    return unknown ? { unknown } : { types };
+};
+
+// Load a notification of the current user
+const findOwnNotification = async (req) => {
+    const notification = await Notification.findById(req.params.id);
+
+    if (!notification) {
+        throw new AppError(404, 'Notification not found');
+    }
+
+    if (notification.recipient.toString() !== req.user._id.toString()) {
+        throw new AppError(403, 'Not authorized');
+    }
+
+    return notification;
+};
+
 export const getNotifications = async (req, res, next) => {
     try {
-        const { page = 1, limit = 20, unreadOnly = false } = req.query;
-        const skip = (page - 1) * limit;
+        const { unreadOnly = false, archived = false, type } = req.query;
+        const pagination = getPagination(req.query);
 
-        let query = { recipient: req.user._id };
+        let query = {
+            recipient: req.user._id,
+            isArchived: archived === 'true' ? true : { $ne: true },
+        };
         if (unreadOnly === 'true') {
             query.isRead = false;
         }
+        if (type) {
+            const { types, unknown } = parseTypeFilter(type);
+            if (unknown) {
+                return errorResponse(res, 400, `Unknown notification type: ${unknown}`);
+            }
+            query.type = { $in: types };
+        }
 
-        const notifications = await Notification.find(query)
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip(skip)
-            .populate('sender', 'username avatar');
+        const { items: notifications, nextCursor } = await findPage(
+            Notification.find(query).populate('sender', 'username avatar'),
+            { createdAt: -1 },
+            pagination
+        );
 
         const total = await Notification.countDocuments(query);
         const unreadCount = await Notification.countDocuments({
             recipient: req.user._id,
             isRead: false,
+            isArchived: { $ne: true },
         });
 
-        return successResponse(res, 200, {
-            notifications,
+        return paginatedResponse(res, 'notifications', notifications, {
+            ...pagination,
             total,
-            unreadCount
-        }, 'Notifications retrieved');
+            nextCursor,
+        }, 'Notifications retrieved', { unreadCount });
     } catch (error) {
         next(error);
     }
 };
 
-export const markAsRead = async (req, res, next) => {
+export const getGroupedNotifications = async (req, res, next) => {
     try {
-        const notification = await Notification.findById(req.params.id);
+        const { type } = req.query;
+        const { limit, skip, cursor, ...pagination } = getPagination(req.query);
 
-        if (!notification) {
-            return errorResponse(res, 404, 'Notification not found');
+        // Groups are ordered by their latest notification; entity ids break ties
+        const order = { lastActivityAt: -1, entityId: -1 };
+
+        const match = {
+            recipient: req.user._id,
+            isArchived: { $ne: true },
+            $or: GROUP_ENTITIES.map(({ field }) => ({ [field]: { $ne: null } })),
+        };
+        if (type) {
+            const { types, unknown } = parseTypeFilter(type);
+            if (unknown) {
+                return errorResponse(res, 400, `Unknown notification type: ${unknown}`);
+            }
+            match.type = { $in: types };
         }
 
-        if (notification.recipient.toString() !== req.user._id.toString()) {
-            return errorResponse(res, 403, 'Not authorized');
+        const [result] = await Notification.aggregate([
+            { $match: match },
+            { $sort: { createdAt: -1 } },
+            {
+                $addFields: {
+                    entityType: {
+                        $switch: {
+                            branches: GROUP_ENTITIES.map(({ entityType, field }) => ({
+                                case: { $ifNull: [`$${field}`, false] },
+                                then: entityType,
+                            })),
+                        },
+                    },
+                    entityId: { $ifNull: ['$relatedPost', { $ifNull: ['$relatedPoll', '$relatedMarket'] }] },
+                },
+            },
+            {
+                $group: {
+                    _id: { entityType: '$entityType', entityId: '$entityId' },
+                    count: { $sum: 1 },
+                    unreadCount: { $sum: { $cond: ['$isRead', 0, 1] } },
+                    types: { $addToSet: '$type' },
+                    lastActivityAt: { $first: '$createdAt' },
+                    latest: {
+                        $first: {
+                            _id: '$_id',
+                            type: '$type',
+                            title: '$title',
+                            message: '$message',
+                            actionUrl: '$actionUrl',
+                            isRead: '$isRead',
+                            createdAt: '$createdAt',
+                        },
+                    },
+                },
+            },
+            { $addFields: { entityId: '$_id.entityId' } },
+            { $sort: order },
+            {
+                $facet: {
+                    groups: [
+                        ...(cursor ? [{ $match: cursorFilter(order, cursor) }] : []),
+                        { $skip: skip },
+                        { $limit: limit + 1 },
+                    ],
+                    total: [{ $count: 'count' }],
+                },
+            },
+        ]);
+
+        const hasMore = result.groups.length > limit;
+        if (hasMore) result.groups.pop();
+
+        // Titles of the posts, polls and markets on this page
+        const entities = new Map();
+        for (const { entityType, model, label } of GROUP_ENTITIES) {
+            const ids = result.groups
+                .filter(group => group._id.entityType === entityType)
+                .map(group => group._id.entityId);
+            if (ids.length === 0) continue;
+
+            const docs = await model.find({ _id: { $in: ids } }).select(label);
+            docs.forEach(doc => entities.set(doc._id.toString(), { _id: doc._id, [label]: doc[label] }));
         }
 
+        const groups = result.groups.map(({ _id, ...group }) => ({
+            entityType: _id.entityType,
+            entityId: _id.entityId,
+            entity: entities.get(_id.entityId.toString()) || null,
+            ...group,
+        }));
+
+        return paginatedResponse(res, 'groups', groups, {
+            ...pagination,
+            limit,
+            total: result.total[0]?.count || 0,
+            nextCursor: hasMore ? encodeCursor(result.groups[result.groups.length - 1], order) : null,
+        }, 'Notification groups retrieved');
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const markAsRead = async (req, res, next) => {
+    try {
+        const notification = await findOwnNotification(req);
+
         await notification.markAsRead();
 
         return successResponse(res, 200, {}, 'Notification marked as read');
@@ -72,6 +219,62 @@ export const markAllAsRead = async (req, res, next) => {
     }
 };
 
+export const archiveNotification = async (req, res, next) => {
+    try {
+        const notification = await findOwnNotification(req);
+
+        await notification.setArchived(true);
+
+        return successResponse(res, 200, {}, 'Notification archived');
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const unarchiveNotification = async (req, res, next) => {
+    try {
+        const notification = await findOwnNotification(req);
+
+        await notification.setArchived(false);
+
+        return successResponse(res, 200, {}, 'Notification moved to inbox');
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const deleteNotification = async (req, res, next) => {
+    try {
+        const notification = await findOwnNotification(req);
+
+        await notification.deleteOne();
+
+        return successResponse(res, 200, {}, 'Notification deleted');
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const deleteAllNotifications = async (req, res, next) => {
+    try {
+        const { readOnly = false, archivedOnly = false } = req.query;
+
+        let query = { recipient: req.user._id };
+        if (readOnly === 'true') {
+            query.isRead = true;
+        }
+        if (archivedOnly === 'true') {
+            query.isArchived = true;
+        }
+
+        const { deletedCount } = await Notification.deleteMany(query);
+
+        return successResponse(res, 200, { deletedCount }, 'Notifications deleted');
+    } catch (error) {
+        next(error);
+    }
+};
+
 export const subscribeDevice = async (req, res, next) => {
     try {
         const { deviceToken } = req.body;
@@ -100,15 +303,99 @@ export const unsubscribeDevice = async (req, res, next) => {
     }
 };
 
+// Settings set as a whole; types, quietHours and muted are merged key by key
+const SETTINGS_FIELDS = ['email', 'push', 'comments', 'follows', 'mentions', 'digest'];
+const QUIET_HOURS_FIELDS = ['enabled', 'start', 'end', 'timezone'];
+
+const MUTE_TARGETS = {
+    post: { model: Post, path: 'posts', label: 'Post' },
+    poll: { model: Poll, path: 'polls', label: 'Poll' },
+    community: { model: Community, path: 'communities', label: 'Community' },
+};
+
+export const getSettings = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id).select('notificationSettings');
+
+        return successResponse(res, 200, {
+            notificationSettings: user.notificationSettings
+        }, 'Settings retrieved');
+    } catch (error) {
+        next(error);
+    }
+};
+
 export const updateSettings = async (req, res, next) => {
     try {
-        const { settings } = req.body;
+        const { settings = {} } = req.body;
+        const update = {};
+
+        for (const field of SETTINGS_FIELDS) {
+            if (settings[field] !== undefined) {
+                update[`notificationSettings.${field}`] = settings[field];
+            }
+        }
+
+        for (const [type, channels] of Object.entries(settings.types || {})) {
+            if (!NOTIFICATION_TYPES.includes(type)) {
+                return errorResponse(res, 400, `Unknown notification type: ${type}`);
+            }
+            for (const [channel, enabled] of Object.entries(channels)) {
+                if (!CHANNELS.includes(channel)) {
+                    return errorResponse(res, 400, `Unknown notification channel: ${channel}`);
+                }
+                update[`notificationSettings.types.${type}.${channel}`] = enabled;
+            }
+        }
+
+        for (const field of QUIET_HOURS_FIELDS) {
+            if (settings.quietHours?.[field] !== undefined) {
+                update[`notificationSettings.quietHours.${field}`] = settings.quietHours[field];
+            }
+        }
+
+        const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, {
+            new: true,
+            runValidators: true,
+        }).select('notificationSettings');
+
+        return successResponse(res, 200, {
+            notificationSettings: user.notificationSettings
+        }, 'Settings updated');
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const muteTarget = async (req, res, next) => {
+    try {
+        const { targetType, targetId } = req.body;
+        const target = MUTE_TARGETS[targetType];
+
+        if (!await target.model.exists({ _id: targetId })) {
+            return errorResponse(res, 404, `${target.label} not found`);
+        }
+
+        await User.findByIdAndUpdate(req.user._id, {
+            $addToSet: { [`notificationSettings.muted.${target.path}`]: targetId }
+        });
+
+        return successResponse(res, 200, {}, `${target.label} muted`);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const unmuteTarget = async (req, res, next) => {
+    try {
+        const { targetType, targetId } = req.params;
+        const target = MUTE_TARGETS[targetType];
 
         await User.findByIdAndUpdate(req.user._id, {
-            notificationSettings: settings
+            $pull: { [`notificationSettings.muted.${target.path}`]: targetId }
         });
 
-        return successResponse(res, 200, {}, 'Settings updated');
+        return successResponse(res, 200, {}, `${target.label} unmuted`);
     } catch (error) {
         next(error);
     }
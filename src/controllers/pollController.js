@@ -1,6 +1,16 @@
 import Poll from '../models/Poll.js';
 import Comment from '../models/Comment.js';
+import Community from '../models/Community.js';
+import Company from '../models/Company.js';
+import Market from '../models/Market.js';
 import { successResponse, errorResponse, paginatedResponse } from '../utils/response.js';
+import { getPagination, findPage } from '../utils/pagination.js';
+import AppError from '../utils/appError.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { publish } from '../utils/realtime.js';
+import { DOMAIN_EVENTS, emitDomainEvent } from '../utils/eventBus.js';
+import * as ledger from '../services/ledgerService.js';
+import * as liquidity from '../services/liquidityService.js';
 
 /**
  * Poll Controller
@@ -86,6 +96,25 @@ export const getPoll = async (req, res, next) => {
             totalVotes: poll.totalVotes,
         };
 
+        // Show live market probabilities next to the vote results
+        if (poll.isMarket && poll.marketId) {
+            const market = await Market.findById(poll.marketId).select('-positions');
+            if (market) {
+                pollObj.market = {
+                    _id: market._id,
+                    probability: market.getProbability(),
+                    totalVolume: market.totalVolume,
+                    traderCount: market.traderCount,
+                    isClosed: market.isClosed,
+                    isResolved: market.isResolved,
+                    resolutionStatus: market.resolutionStatus,
+                    proposedOption: market.proposedOption,
+                    disputeWindowEndsAt: market.disputeWindowEndsAt,
+                    resolvedOption: market.resolvedOption,
+                };
+            }
+        }
+
         return successResponse(res, 200, { poll: pollObj }, 'Poll retrieved');
 
     } catch (error) {
@@ -131,6 +160,14 @@ export const votePoll = async (req, res, next) => {
 
         const results = poll.getResults();
 
+        publish('poll', poll._id, 'poll:vote', {
+            pollId: poll._id,
+            results,
+            totalVotes: poll.totalVotes,
+        });
+
+        emitDomainEvent(DOMAIN_EVENTS.POLL_VOTED, { actor: req.user, poll });
+
         return successResponse(res, 200, { results }, 'Vote recorded successfully');
 
     } catch (error) {
@@ -145,8 +182,8 @@ export const votePoll = async (req, res, next) => {
  */
 export const getPolls = async (req, res, next) => {
     try {
-        const { community, company, status = 'active', page = 1, limit = 20 } = req.query;
-        const skip = (page - 1) * limit;
+        const { community, company, status = 'active' } = req.query;
+        const pagination = getPagination(req.query);
 
         let query = { isActive: true };
 
@@ -168,13 +205,14 @@ export const getPolls = async (req, res, next) => {
             ];
         }
 
-        const polls = await Poll.find(query)
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip(skip)
-            .populate('author', 'username avatar')
-            .populate('community', 'name displayName')
-            .populate('company', 'name ticker logo');
+        const { items: polls, nextCursor } = await findPage(
+            Poll.find(query)
+                .populate('author', 'username avatar')
+                .populate('community', 'name displayName')
+                .populate('company', 'name ticker logo'),
+            { createdAt: -1 },
+            pagination
+        );
 
         const total = await Poll.countDocuments(query);
 
@@ -185,7 +223,7 @@ export const getPolls = async (req, res, next) => {
             return pollObj;
         });
 
-        return paginatedResponse(res, pollsWithResults, parseInt(page), parseInt(limit), total);
+        return paginatedResponse(res, 'polls', pollsWithResults, { ...pagination, total, nextCursor }, 'Polls retrieved');
 
     } catch (error) {
         next(error);
@@ -210,6 +248,11 @@ export const updatePoll = async (req, res, next) => {
             return errorResponse(res, 403, 'Not authorized to update this poll');
         }
 
+        // The linked market was created from the poll's question and options
+        if (poll.isMarket) {
+            return errorResponse(res, 400, 'Cannot update a poll linked to a market');
+        }
+
         // Only allow updating description if no votes yet
         if (poll.voters.length > 0) {
             return errorResponse(res, 400, 'Cannot update poll after votes have been cast');
@@ -257,3 +300,89 @@ export const deletePoll = async (req, res, next) => {
         next(error);
     }
 };
+
+/**
+ * @route   POST /api/polls/:id/market
+ * @desc    Convert a poll into a prediction market (same options and expiry)
+ * @access  Private (poll author or community moderator)
+ */
+export const createPollMarket = async (req, res, next) => {
+    try {
+        const poll = await Poll.findById(req.params.id);
+
+        if (!poll || !poll.isActive) {
+            return errorResponse(res, 404, 'Poll not found');
+        }
+
+        // Check authorization
+        let isAllowed = poll.author.toString() === req.user._id.toString();
+        if (!isAllowed && poll.community) {
+            const community = await Community.findById(poll.community).select('creator moderators');
+            isAllowed = Boolean(community) && (
+                community.creator.toString() === req.user._id.toString() ||
+                community.moderators.some(mod => mod.toString() === req.user._id.toString())
+            );
+        }
+        if (!isAllowed) {
+            return errorResponse(res, 403, 'Not authorized to convert this poll');
+        }
+
+        if (poll.isMarket) {
+            return errorResponse(res, 400, 'Poll is already linked to a market');
+        }
+
+        if (poll.isExpired || poll.isClosed) {
+            return errorResponse(res, 400, 'Cannot convert a closed poll');
+        }
+
+        // Markets belong to a company
+        if (!poll.company) {
+            return errorResponse(res, 400, 'Poll must be tagged with a company to become a market');
+        }
+
+        const labels = poll.options.map(option => option.text.trim());
+        if (new Set(labels.map(label => label.toLowerCase())).size !== labels.length) {
+            return errorResponse(res, 400, 'Poll options must be unique to become market outcomes');
+        }
+
+        await ledger.fundTreasury();
+
+        // Create and fund the market and link the poll atomically (a poll converts only once)
+        const market = await runInTransaction(async (session) => {
+            const [market] = await Market.create([{
+                company: poll.company,
+                creator: req.user._id,
+                poll: poll._id,
+                question: poll.question,
+                description: poll.description,
+                expiresAt: poll.expiresAt,
+                liquidityParameter: req.body.liquidityParameter,
+                type: labels.length === 2 ? 'binary' : 'categorical',
+                options: labels.map(label => ({ label, totalShares: 0 })),
+            }], { session });
+
+            await liquidity.fundSubsidy(market, session);
+            await market.save({ session });
+
+            const linked = await Poll.findOneAndUpdate(
+                { _id: poll._id, isMarket: false },
+                { isMarket: true, marketId: market._id },
+                { session }
+            );
+            if (!linked) {
+                throw new AppError(400, 'Poll is already linked to a market');
+            }
+
+            await Company.findByIdAndUpdate(poll.company, {
+                $push: { markets: market._id }
+            }, { session });
+
+            return market;
+        });
+
+        return successResponse(res, 201, { market, pollId: poll._id }, 'Market created from poll');
+
+    } catch (error) {
+        next(error);
+    }
+};
@@ -2,6 +2,11 @@ import Post from '../models/Post.js';
 import Comment from '../models/Comment.js';
 import User from '../models/User.js';
 import { successResponse, errorResponse, paginatedResponse } from '../utils/response.js';
+import { publish } from '../utils/realtime.js';
+import { DOMAIN_EVENTS, emitDomainEvent } from '../utils/eventBus.js';
+import { COMMENT_WEIGHT, TOP_WINDOWS } from '../utils/ranking.js';
+import { getPagination, findPage } from '../utils/pagination.js';
+import { resolveMentions, getAddedMentions } from '../services/mentionService.js';
 
 /**
  * Post Controller
@@ -39,6 +44,8 @@ export const createPost = async (req, res, next) => {
             return errorResponse(res, 400, null, 'One or more companyTags are invalid IDs');
         }
 
+        const mentions = await resolveMentions([title, content], req.user._id);
+
         const post = await Post.create({
             title,
             content,
@@ -46,11 +53,16 @@ export const createPost = async (req, res, next) => {
             community: communityId,
             bowl,
             companyTags: companyTagIds,
+            mentions,
             type: type || 'text',
             mediaUrl,
             linkUrl,
         });
 
+        if (mentions.length > 0) {
+            emitDomainEvent(DOMAIN_EVENTS.USERS_MENTIONED, { actor: req.user, users: mentions, post });
+        }
+
         const populatedPost = await Post.findById(post._id)
             .populate('author', 'username avatar')
             .populate('community', 'name displayName')
@@ -70,8 +82,8 @@ export const createPost = async (req, res, next) => {
  */
 export const getPosts = async (req, res, next) => {
     try {
-        const { sort = 'hot', community, company, page = 1, limit = 20 } = req.query;
-        const skip = (page - 1) * limit;
+        const { sort = 'hot', t = 'all', community, company } = req.query;
+        const pagination = getPagination(req.query);
 
         let query = { isActive: true };
 
@@ -83,37 +95,35 @@ export const getPosts = async (req, res, next) => {
             query.companyTags = company;
         }
 
+        // Scores are stored on each post (see utils/ranking.js)
         let sortOption = {};
         if (sort === 'hot') {
-            // Hot algorithm: recent + votes
-            sortOption = { createdAt: -1 };
+            sortOption = { hotScore: -1 };
         } else if (sort === 'trending') {
-            // Trending: sort by vote score
-            sortOption = { createdAt: -1 };
+            // Posts without recent activity fall back to hot order
+            sortOption = { trendingScore: -1, hotScore: -1 };
         } else if (sort === 'new') {
             sortOption = { createdAt: -1 };
         } else if (sort === 'top') {
-            sortOption = { createdAt: -1 };
+            if (TOP_WINDOWS[t]) {
+                query.createdAt = { $gte: new Date(Date.now() - TOP_WINDOWS[t]) };
+            }
+            sortOption = { voteScore: -1, createdAt: -1 };
         }
 
-        const posts = await Post.find(query)
-            .sort(sortOption)
-            .limit(parseInt(limit))
-            .skip(skip)
-            .populate('author', 'username avatar')
-            .populate('community', 'name displayName avatar')
-            .populate('companyTags', 'name ticker logo');
+        const { items: posts, nextCursor } = await findPage(
+            Post.find(query)
+                .select('-recentActivity')
+                .populate('author', 'username avatar')
+                .populate('community', 'name displayName avatar')
+                .populate('companyTags', 'name ticker logo'),
+            sortOption,
+            pagination
+        );
 
         const total = await Post.countDocuments(query);
 
-        // Calculate scores for client-side sorting if needed
-        const postsWithScores = posts.map(post => {
-            const postObj = post.toObject();
-            postObj.voteScore = post.upvotes.length - post.downvotes.length;
-            return postObj;
-        });
-
-        return paginatedResponse(res, postsWithScores, parseInt(page), parseInt(limit), total);
+        return paginatedResponse(res, 'posts', posts, { ...pagination, total, nextCursor }, 'Posts retrieved');
 
     } catch (error) {
         next(error);
@@ -174,8 +184,20 @@ export const updatePost = async (req, res, next) => {
         if (title) post.title = title;
         if (content) post.content = content;
 
+        // Only users the edit newly mentions are notified
+        let addedMentions = [];
+        if (title || content) {
+            const mentions = await resolveMentions([post.title, post.content], post.author);
+            addedMentions = getAddedMentions(post.mentions, mentions);
+            post.mentions = mentions;
+        }
+
         await post.save();
 
+        if (addedMentions.length > 0) {
+            emitDomainEvent(DOMAIN_EVENTS.USERS_MENTIONED, { actor: req.user, users: addedMentions, post });
+        }
+
         return successResponse(res, 200, { post }, 'Post updated successfully');
 
     } catch (error) {
@@ -241,6 +263,7 @@ export const votePost = async (req, res, next) => {
                     post.downvotes = post.downvotes.filter(id => id.toString() !== userId.toString());
                 }
             }
+            post.recordActivity(hasUpvoted ? -1 : hasDownvoted ? 2 : 1);
         } else if (voteType === 'downvote') {
             if (hasDownvoted) {
                 // Remove downvote
@@ -252,15 +275,26 @@ export const votePost = async (req, res, next) => {
                     post.upvotes = post.upvotes.filter(id => id.toString() !== userId.toString());
                 }
             }
+            post.recordActivity(hasDownvoted ? 1 : hasUpvoted ? -2 : -1);
         } else {
             return errorResponse(res, 400, 'Invalid vote type');
         }
 
         await post.save();
 
-        return successResponse(res, 200, {
-            voteScore: post.upvotes.length - post.downvotes.length
-        }, 'Vote recorded');
+        const voteScore = post.upvotes.length - post.downvotes.length;
+        publish('post', post._id, 'post:vote', {
+            postId: post._id,
+            upvotes: post.upvotes.length,
+            downvotes: post.downvotes.length,
+            voteScore,
+        });
+
+        if (voteType === 'upvote' && !hasUpvoted) {
+            emitDomainEvent(DOMAIN_EVENTS.POST_UPVOTED, { actor: req.user, post });
+        }
+
+        return successResponse(res, 200, { voteScore }, 'Vote recorded');
 
     } catch (error) {
         next(error);
@@ -286,10 +320,12 @@ export const addComment = async (req, res, next) => {
             author: req.user._id,
             post: req.params.id,
             parentComment: parentComment || null,
+            mentions: await resolveMentions([content], req.user._id),
         });
 
         // Increment comment count
         post.commentCount += 1;
+        post.recordActivity(COMMENT_WEIGHT);
         await post.save();
 
         // If it's a reply, increment parent comment's reply count
@@ -300,6 +336,16 @@ export const addComment = async (req, res, next) => {
         const populatedComment = await Comment.findById(comment._id)
             .populate('author', 'username avatar');
 
+        publish('post', post._id, 'comment:new', {
+            comment: populatedComment,
+            commentCount: post.commentCount,
+        });
+
+        emitDomainEvent(DOMAIN_EVENTS.COMMENT_CREATED, { actor: req.user, post, comment });
+        if (comment.mentions.length > 0) {
+            emitDomainEvent(DOMAIN_EVENTS.USERS_MENTIONED, { actor: req.user, users: comment.mentions, post, comment });
+        }
+
         return successResponse(res, 201, { comment: populatedComment }, 'Comment added');
 
     } catch (error) {
@@ -385,7 +431,7 @@ export const searchPosts = async (req, res, next) => {
             isActive: true,
         });
 
-        return paginatedResponse(res, posts, parseInt(page), parseInt(limit), total);
+        return paginatedResponse(res, 'posts', posts, { page: parseInt(page), limit: parseInt(limit), total }, 'Search results retrieved');
 
     } catch (error) {
         next(error);
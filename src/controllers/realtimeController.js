@@ -0,0 +1,59 @@
+import { errorResponse } from '../utils/response.js';
+import { MAX_CHANNELS, resolveChannels, subscribe } from '../utils/realtime.js';
+
+/**
+ * Realtime Controller
+ * Streams post, poll, market and notification events over Server-Sent Events
+ */
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // 25 seconds, below common proxy idle timeouts
+
+/**
+ * @route   GET /api/realtime/stream
+ * @desc    Subscribe to realtime events (Server-Sent Events)
+ * @access  Public (user channels require the matching user's token)
+ */
+export const streamEvents = (req, res, next) => {
+    try {
+        const names = String(req.query.channels || '')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
+
+        if (names.length === 0 || names.length > MAX_CHANNELS) {
+            return errorResponse(res, 400, `Subscribe to between 1 and ${MAX_CHANNELS} channels`);
+        }
+
+        const { channels, status, message } = resolveChannels(names, req.user);
+        if (!channels) {
+            return errorResponse(res, status, message);
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            // Disable response buffering on nginx-style proxies
+            'X-Accel-Buffering': 'no',
+        });
+        res.flushHeaders();
+
+        const send = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        const unsubscribers = channels.map(channel => subscribe(channel, (message) => {
+            send(message.event, message);
+        }));
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+        send('ready', { channels });
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -2,7 +2,12 @@ import User from '../models/User.js';
 import Post from '../models/Post.js';
 import Poll from '../models/Poll.js';
 import Comment from '../models/Comment.js';
-import { successResponse, errorResponse } from '../utils/response.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Market from '../models/Market.js';
+import { successResponse, errorResponse, paginatedResponse } from '../utils/response.js';
+import { getPagination, findPage } from '../utils/pagination.js';
+import { DOMAIN_EVENTS, emitDomainEvent } from '../utils/eventBus.js';
+import { invalidateLeaderboard } from '../services/leaderboardService.js';
 
 /**
  * User Controller
@@ -62,12 +67,15 @@ export const updateUserProfile = async (req, res, next) => {
             return errorResponse(res, 403, 'Not authorized to update this profile');
         }
 
-        const { username, bio, avatar } = req.body;
+        const { username, bio, avatar, privacySettings } = req.body;
 
         const updates = {};
         if (username) updates.username = username;
         if (bio !== undefined) updates.bio = bio;
         if (avatar !== undefined) updates.avatar = avatar;
+        if (privacySettings?.showPortfolio !== undefined) {
+            updates['privacySettings.showPortfolio'] = privacySettings.showPortfolio;
+        }
 
         const user = await User.findByIdAndUpdate(
             req.params.id,
@@ -79,6 +87,11 @@ export const updateUserProfile = async (req, res, next) => {
             return errorResponse(res, 404, 'User not found');
         }
 
+        // Leaderboards name or anonymize traders by portfolio visibility
+        if (privacySettings?.showPortfolio !== undefined) {
+            invalidateLeaderboard();
+        }
+
         return successResponse(res, 200, { user }, 'Profile updated successfully');
 
     } catch (error) {
@@ -117,6 +130,8 @@ export const followUser = async (req, res, next) => {
         await currentUser.save();
         await userToFollow.save();
 
+        emitDomainEvent(DOMAIN_EVENTS.USER_FOLLOWED, { actor: currentUser, followee: userToFollow._id });
+
         return successResponse(res, 200, {}, 'User followed successfully');
 
     } catch (error) {
@@ -302,3 +317,223 @@ export const getBookmarks = async (req, res, next) => {
         next(error);
     }
 };
+
+/**
+ * @route   GET /api/users/me/balance
+ * @desc    Get current user's points balance
+ * @access  Private
+ */
+export const getBalance = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id).select('balance');
+
+        if (!user) {
+            return errorResponse(res, 404, 'User not found');
+        }
+
+        return successResponse(res, 200, { balance: user.balance }, 'Balance retrieved');
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   GET /api/users/me/ledger
+ * @desc    Get current user's ledger history
+ * @access  Private
+ */
+export const getLedgerHistory = async (req, res, next) => {
+    try {
+        const { reason } = req.query;
+        const pagination = getPagination(req.query);
+
+        let query = { accountType: 'user', accountId: req.user._id };
+        if (reason) query.reason = reason;
+
+        const { items: entries, nextCursor } = await findPage(
+            LedgerEntry.find(query).populate('market', 'question company'),
+            { createdAt: -1 },
+            pagination
+        );
+
+        const total = await LedgerEntry.countDocuments(query);
+
+        return paginatedResponse(res, 'entries', entries, { ...pagination, total, nextCursor }, 'Ledger retrieved');
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   GET /api/users/me/mentions
+ * @desc    Get posts and comments that mention the current user
+ * @access  Private
+ */
+export const getMentions = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, type } = req.query;
+        const skip = (page - 1) * limit;
+
+        // Newest first across both collections: take enough of each to fill the page
+        const window = skip + parseInt(limit);
+        const query = { mentions: req.user._id, isActive: true };
+
+        const posts = type === 'comment' ? [] : await Post.find(query)
+            .sort({ createdAt: -1 })
+            .limit(window)
+            .select('title author community createdAt')
+            .populate('author', 'username avatar')
+            .populate('community', 'name displayName');
+
+        const comments = type === 'post' ? [] : await Comment.find(query)
+            .sort({ createdAt: -1 })
+            .limit(window)
+            .select('content author post createdAt')
+            .populate('author', 'username avatar')
+            .populate('post', 'title');
+
+        const mentions = [
+            ...posts.map(post => ({ type: 'post', createdAt: post.createdAt, post })),
+            ...comments.map(comment => ({ type: 'comment', createdAt: comment.createdAt, comment })),
+        ]
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(skip, window);
+
+        const total = (type === 'comment' ? 0 : await Post.countDocuments(query))
+            + (type === 'post' ? 0 : await Comment.countDocuments(query));
+
+        return paginatedResponse(res, 'mentions', mentions, { page: parseInt(page), limit: parseInt(limit), total }, 'Mentions retrieved');
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Value one position against its market (mark-to-market at the current price)
+ * Resolved markets and fully sold positions only carry realized P&L
+ */
+const valuePosition = (market, position, prices) => {
+    const optionIndex = market.getPositionIndex(position);
+    const isOpen = !market.isResolved && position.shares > 0;
+    const currentPrice = market.isResolved ? null : prices[optionIndex];
+    const marketValue = isOpen ? position.shares * currentPrice : 0;
+
+    return {
+        market: {
+            _id: market._id,
+            question: market.question,
+            company: market.company,
+            type: market.type,
+            expiresAt: market.expiresAt,
+            isClosed: market.isClosed,
+            isResolved: market.isResolved,
+            resolutionStatus: market.resolutionStatus,
+            proposedOption: market.proposedOption,
+            disputeWindowEndsAt: market.disputeWindowEndsAt,
+            resolvedOption: market.resolvedOption,
+            resolvedAt: market.resolvedAt,
+        },
+        optionIndex,
+        option: market.options[optionIndex]?.label,
+        shares: position.shares,
+        averagePrice: position.averagePrice,
+        investedAmount: position.investedAmount,
+        currentPrice,
+        marketValue,
+        unrealizedPnl: isOpen ? marketValue - position.investedAmount : 0,
+        realizedPnl: position.realizedPnl || 0,
+        payout: position.payout || 0,
+        settledAt: position.settledAt,
+        isOpen,
+    };
+};
+
+/**
+ * @route   GET /api/users/:id/portfolio
+ * @desc    Get a user's market positions with mark-to-market P&L
+ * @access  Public (owner, or anyone when the user shares their portfolio)
+ */
+export const getPortfolio = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id).select('username privacySettings');
+
+        if (!user) {
+            return errorResponse(res, 404, 'User not found');
+        }
+
+        const isOwner = req.user && req.user._id.toString() === user._id.toString();
+        if (!isOwner && !user.privacySettings?.showPortfolio) {
+            return errorResponse(res, 403, 'This portfolio is private');
+        }
+
+        // Only keep this user's positions from every market they traded
+        const rawMarkets = await Market.aggregate([
+            { $match: { 'positions.user': user._id } },
+            {
+                $project: {
+                    question: 1,
+                    company: 1,
+                    type: 1,
+                    options: 1,
+                    liquidityParameter: 1,
+                    expiresAt: 1,
+                    isClosed: 1,
+                    isResolved: 1,
+                    proposedOption: 1,
+                    proposedAt: 1,
+                    disputeWindowEndsAt: 1,
+                    isDisputed: 1,
+                    resolvedOption: 1,
+                    resolvedAt: 1,
+                    positions: {
+                        $filter: {
+                            input: '$positions',
+                            cond: { $eq: ['$$this.user', user._id] },
+                        },
+                    },
+                },
+            },
+            { $sort: { expiresAt: 1 } },
+        ]);
+
+        const markets = await Market.populate(
+            rawMarkets.map(m => Market.hydrate(m)),
+            { path: 'company', select: 'name ticker logo' }
+        );
+
+        const positions = [];
+        const history = [];
+        for (const market of markets) {
+            const prices = market.getPrices();
+            for (const position of market.positions) {
+                const valued = valuePosition(market, position, prices);
+                (valued.isOpen ? positions : history).push(valued);
+            }
+        }
+
+        const all = [...positions, ...history];
+        const sum = (items, key) => items.reduce((total, item) => total + item[key], 0);
+
+        const summary = {
+            openPositions: positions.length,
+            investedAmount: sum(positions, 'investedAmount'),
+            marketValue: sum(positions, 'marketValue'),
+            unrealizedPnl: sum(positions, 'unrealizedPnl'),
+            realizedPnl: sum(all, 'realizedPnl'),
+            totalPayout: sum(history, 'payout'),
+        };
+
+        return successResponse(res, 200, {
+            user: { _id: user._id, username: user.username },
+            summary,
+            positions,
+            history,
+        }, 'Portfolio retrieved');
+
+    } catch (error) {
+        next(error);
+    }
+};
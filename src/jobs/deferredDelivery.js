@@ -0,0 +1,102 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { isQuietHours } from '../services/notificationPreferences.js';
+import { deliverPush } from '../services/pushService.js';
+import { deliverNotificationEmail } from '../services/mailService.js';
+import { cursorFilter } from '../utils/pagination.js';
+
+/**
+ * Deferred Delivery Jobs
+ * Sends the push and email held back by quiet hours once the recipient's
+ * quiet hours end. Notifications read in the app meanwhile are not sent.
+ * Each delivery is claimed by moving its attemptedAt, so concurrent workers
+ * never send it twice; one interrupted mid-send is retried on the next run.
+ * Deferred notifications are read in batches, oldest first.
+ */
+
+const BATCH_SIZE = 500;
+const ORDER = { createdAt: 1, _id: 1 };
+
+const CHANNELS = {
+    push: deliverPush,
+    email: deliverNotificationEmail,
+};
+
+/**
+ * Send a batch of one channel's deferred deliveries whose recipient is out of quiet hours
+ * @returns {Number} Deliveries sent or skipped
+ */
+const flushBatch = async (channel, notifications, now) => {
+    const recipients = await User.find({ _id: { $in: notifications.map(n => n.recipient) } })
+        .select('notificationSettings');
+    const quiet = new Set(recipients
+        .filter(user => isQuietHours(user.notificationSettings, now))
+        .map(user => user._id.toString()));
+
+    let flushed = 0;
+    for (const notification of notifications) {
+        if (quiet.has(notification.recipient.toString())) continue;
+
+        const claimed = await Notification.updateOne(
+            {
+                _id: notification._id,
+                [`${channel}.status`]: 'deferred',
+                [`${channel}.attemptedAt`]: notification[channel].attemptedAt,
+            },
+            { [`${channel}.attemptedAt`]: now }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        // A null result means the recipient no longer wants the type on this channel
+        const delivery = notification.isRead
+            ? null
+            : await CHANNELS[channel](notification);
+        if (!delivery) {
+            await Notification.updateOne({ _id: notification._id }, {
+                [channel]: { status: 'skipped', reason: notification.isRead ? 'read' : 'disabled', attemptedAt: now },
+            });
+        }
+        flushed += 1;
+    }
+
+    return flushed;
+};
+
+/**
+ * Send one channel's deferred deliveries whose recipient is out of quiet hours
+ * Goes through every batch: deliveries still in quiet hours stay deferred
+ * and must not hold back the ones after them
+ * @param {String} channel - push | email
+ * @returns {Number} Deliveries sent or skipped
+ */
+export const flushDeferred = async (channel, now = new Date()) => {
+    let flushed = 0;
+    let last = null;
+
+    for (;;) {
+        const query = Notification.find({ [`${channel}.status`]: 'deferred' });
+        if (last) {
+            query.and([cursorFilter(ORDER, { createdAt: last.createdAt, _id: last._id })]);
+        }
+
+        const notifications = await query.sort(ORDER).limit(BATCH_SIZE);
+        if (notifications.length === 0) break;
+
+        flushed += await flushBatch(channel, notifications, now);
+        if (notifications.length < BATCH_SIZE) break;
+        last = notifications[notifications.length - 1];
+    }
+
+    return flushed;
+};
+
+/**
+ * Run every deferred delivery job once
+ * @returns {Object} Counts per job
+ */
+export const runDeferredDeliveryJobs = async () => {
+    return {
+        pushesFlushed: await flushDeferred('push'),
+        emailsFlushed: await flushDeferred('email'),
+    };
+};
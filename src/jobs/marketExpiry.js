@@ -0,0 +1,90 @@
+import Market from '../models/Market.js';
+import Poll from '../models/Poll.js';
+import { createNotifications } from '../services/notificationService.js';
+
+/**
+ * Market Expiry Jobs
+ * Closes expired markets and polls, queues markets for resolution
+ * and warns position holders before expiry. Every step is idempotent
+ * so several workers can run it at the same time.
+ */
+
+const EXPIRY_WARNING_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Close markets past their expiry and queue them for resolution
+ * @returns {Number} Markets closed
+ */
+export const closeExpiredMarkets = async (now = new Date()) => {
+    const result = await Market.updateMany(
+        { expiresAt: { $lte: now }, isClosed: false, isResolved: false },
+        { isClosed: true, closedAt: now, resolutionQueuedAt: now }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Close polls past their expiry
+ * @returns {Number} Polls closed
+ */
+export const closeExpiredPolls = async (now = new Date()) => {
+    const result = await Poll.updateMany(
+        { expiresAt: { $lte: now }, isClosed: false },
+        { isClosed: true }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Notify holders of open positions in markets expiring within 24h
+ * @returns {Number} Notifications sent
+ */
+export const notifyExpiringMarkets = async (now = new Date()) => {
+    const soon = new Date(now.getTime() + EXPIRY_WARNING_MS);
+    let sent = 0;
+
+    // Claim one market at a time so concurrent workers never notify twice
+    for (;;) {
+        const market = await Market.findOneAndUpdate(
+            {
+                expiresAt: { $gt: now, $lte: soon },
+                isResolved: false,
+                expiringNotifiedAt: { $exists: false },
+            },
+            { expiringNotifiedAt: now },
+            { new: true }
+        ).select('question company positions.user positions.shares');
+
+        if (!market) break;
+
+        const holders = new Set(
+            market.positions.filter(p => p.shares > 0).map(p => p.user.toString())
+        );
+        if (holders.size === 0) continue;
+
+        const created = await createNotifications([...holders].map(userId => ({
+            recipient: userId,
+            type: 'market_expiring',
+            title: 'Market closing soon',
+            message: `"${market.question.slice(0, 400)}" closes in less than 24 hours`,
+            relatedMarket: market._id,
+            actionUrl: `/companies/${market.company}/markets/${market._id}`,
+        })));
+        sent += created.length;
+    }
+
+    return sent;
+};
+
+/**
+ * Run every expiry job once
+ * @returns {Object} Counts per job
+ */
+export const runExpiryJobs = async () => {
+    const now = new Date();
+    return {
+        marketsClosed: await closeExpiredMarkets(now),
+        pollsClosed: await closeExpiredPolls(now),
+        expiringNotifications: await notifyExpiringMarkets(now),
+    };
+};
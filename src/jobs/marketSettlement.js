@@ -0,0 +1,54 @@
+import Market from '../models/Market.js';
+import { runInTransaction } from '../utils/transaction.js';
+import * as ledger from '../services/ledgerService.js';
+import * as liquidity from '../services/liquidityService.js';
+import { settleDueMarkets } from '../services/settlementService.js';
+
+/**
+ * Market Settlement Jobs
+ * Pays out markets whose dispute window closed without an open dispute.
+ * Each market is re-checked inside its own transaction, so concurrent
+ * workers never settle it twice. Open markets created before subsidies were
+ * funded get theirs from the treasury in batches.
+ */
+
+const BATCH_SIZE = 500;
+
+/**
+ * Fund the subsidy of open markets that have none yet
+ * @returns {Number} Markets funded
+ */
+export const backfillSubsidies = async () => {
+    const due = await Market.find({ subsidy: { $exists: false }, isResolved: false })
+        .limit(BATCH_SIZE)
+        .select('_id')
+        .lean();
+
+    if (due.length === 0) return 0;
+    await ledger.fundTreasury();
+
+    let funded = 0;
+    for (const { _id } of due) {
+        const market = await runInTransaction(async (session) => {
+            const market = await Market.findOne({ _id, subsidy: { $exists: false } }).session(session);
+            if (!market) return null;
+
+            await liquidity.fundSubsidy(market, session);
+            return market.save();
+        });
+        if (market) funded += 1;
+    }
+
+    return funded;
+};
+
+/**
+ * Run every settlement job once
+ * @returns {Object} Counts per job
+ */
+export const runSettlementJobs = async () => {
+    return {
+        subsidiesBackfilled: await backfillSubsidies(),
+        marketsSettled: await settleDueMarkets(),
+    };
+};
@@ -0,0 +1,18 @@
+import { sendDueDigests } from '../services/digestService.js';
+
+/**
+ * Notification Digest Jobs
+ * Emails the daily and weekly digests that are due. Users are claimed one
+ * at a time, so concurrent workers never send the same digest twice; a
+ * failed send releases the claim for the next run.
+ */
+
+/**
+ * Run every digest job once
+ * @returns {Object} Counts per job
+ */
+export const runDigestJobs = async () => {
+    return {
+        digestsSent: await sendDueDigests(),
+    };
+};
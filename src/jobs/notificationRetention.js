@@ -0,0 +1,42 @@
+import Notification from '../models/Notification.js';
+
+/**
+ * Notification Retention Jobs
+ * The TTL index deletes notifications once their expiresAt passes.
+ * Notifications saved before expiresAt was stored have none and would be
+ * kept forever, so theirs is backfilled in batches from createdAt.
+ */
+
+const BATCH_SIZE = 500;
+
+/**
+ * Store an expiry on notifications that have none yet
+ * @returns {Number} Notifications backfilled
+ */
+export const backfillExpiry = async () => {
+    const notifications = await Notification.find({ expiresAt: { $exists: false } })
+        .limit(BATCH_SIZE)
+        .select('createdAt')
+        .lean();
+
+    if (notifications.length === 0) return 0;
+
+    await Notification.bulkWrite(notifications.map(notification => ({
+        updateOne: {
+            filter: { _id: notification._id },
+            update: { $set: { expiresAt: Notification.expiresAtFor(notification.createdAt) } },
+        },
+    })));
+
+    return notifications.length;
+};
+
+/**
+ * Run every notification retention job once
+ * @returns {Object} Counts per job
+ */
+export const runRetentionJobs = async () => {
+    return {
+        expiryBackfilled: await backfillExpiry(),
+    };
+};
@@ -0,0 +1,53 @@
+import Market from '../models/Market.js';
+import Order from '../models/Order.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { closeOrder } from '../services/orderService.js';
+
+/**
+ * Order Expiry Jobs
+ * Expires limit orders past their expiry and orders resting on markets that
+ * stopped trading, returning escrowed points and reserved shares. Each order
+ * is re-checked inside its own transaction, so concurrent workers are safe.
+ */
+
+/**
+ * Expire open orders that reached their expiry or whose market closed
+ * @returns {Number} Orders expired
+ */
+export const expireOrders = async (now = new Date()) => {
+    const closedMarkets = await Market.find({ isClosed: true, isResolved: false }).distinct('_id');
+
+    const candidates = await Order.find({
+        status: 'open',
+        $or: [
+            { expiresAt: { $lte: now } },
+            { market: { $in: closedMarkets } },
+        ],
+    }).select('_id');
+
+    let expired = 0;
+    for (const { _id } of candidates) {
+        const closed = await runInTransaction(async (session) => {
+            const order = await Order.findOne({ _id, status: 'open' }).session(session);
+            if (!order) return false;
+
+            const market = await Market.findById(order.market).session(session);
+            await closeOrder(market, order, 'expired', session);
+            await market.save();
+            return true;
+        });
+        if (closed) expired += 1;
+    }
+
+    return expired;
+};
+
+/**
+ * Run every order job once
+ * @returns {Object} Counts per job
+ */
+export const runOrderJobs = async () => {
+    return {
+        ordersExpired: await expireOrders(),
+    };
+};
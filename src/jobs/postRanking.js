@@ -0,0 +1,78 @@
+import Post from '../models/Post.js';
+import * as ranking from '../utils/ranking.js';
+
+/**
+ * Post Ranking Jobs
+ * Trending scores fade as activity slows, so they are recomputed on every
+ * run for posts that still score; posts saved before scores were stored
+ * get theirs backfilled in batches.
+ */
+
+const BATCH_SIZE = 500;
+
+/**
+ * Decay the trending score of posts with recent activity
+ * @returns {Number} Posts updated
+ */
+export const refreshTrendingScores = async (now = new Date()) => {
+    const posts = await Post.find({ trendingScore: { $gt: 0 } })
+        .select('recentActivity')
+        .lean();
+
+    if (posts.length === 0) return 0;
+
+    const cutoff = new Date(now.getTime() - ranking.TRENDING_WINDOW);
+    await Post.bulkWrite(posts.map(post => ({
+        updateOne: {
+            filter: { _id: post._id },
+            update: {
+                $set: { trendingScore: ranking.trendingScore(post.recentActivity, now) },
+                $pull: { recentActivity: { hour: { $lte: cutoff } } },
+            },
+        },
+    })));
+
+    return posts.length;
+};
+
+/**
+ * Store ranking scores on posts that have none yet
+ * @returns {Number} Posts backfilled
+ */
+export const backfillRankingScores = async () => {
+    const posts = await Post.find({ hotScore: { $exists: false } })
+        .limit(BATCH_SIZE)
+        .select('upvotes downvotes commentCount createdAt')
+        .lean();
+
+    if (posts.length === 0) return 0;
+
+    await Post.bulkWrite(posts.map(post => {
+        const voteScore = post.upvotes.length - post.downvotes.length;
+        return {
+            updateOne: {
+                filter: { _id: post._id },
+                update: {
+                    $set: {
+                        voteScore,
+                        hotScore: ranking.hotScore(ranking.points(voteScore, post.commentCount), post.createdAt),
+                        trendingScore: 0,
+                    },
+                },
+            },
+        };
+    }));
+
+    return posts.length;
+};
+
+/**
+ * Run every ranking job once
+ * @returns {Object} Counts per job
+ */
+export const runRankingJobs = async () => {
+    return {
+        trendingRefreshed: await refreshTrendingScores(),
+        scoresBackfilled: await backfillRankingScores(),
+    };
+};
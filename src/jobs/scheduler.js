@@ -0,0 +1,67 @@
+import { runExpiryJobs } from './marketExpiry.js';
+import { runOrderJobs } from './orderExpiry.js';
+import { runSettlementJobs } from './marketSettlement.js';
+import { runDigestJobs } from './notificationDigest.js';
+import { runDeferredDeliveryJobs } from './deferredDelivery.js';
+import { runRankingJobs } from './postRanking.js';
+import { runRetentionJobs } from './notificationRetention.js';
+
+/**
+ * In-process Job Scheduler
+ * Runs periodic background jobs. Used by server.js on long-running hosts
+ * and by scripts/worker.js where the API runs serverless (Vercel).
+ */
+
+const jobs = [
+    { name: 'market-expiry', run: runExpiryJobs },
+    { name: 'market-settlement', run: runSettlementJobs },
+    { name: 'order-expiry', run: runOrderJobs },
+    { name: 'notification-digest', run: runDigestJobs },
+    { name: 'deferred-delivery', run: runDeferredDeliveryJobs },
+    { name: 'post-ranking', run: runRankingJobs },
+    { name: 'notification-retention', run: runRetentionJobs },
+];
+
+// Jobs report counts per task; a run where every count is zero did nothing
+const didWork = (result) => Object.values(result || {}).some(count => count > 0);
+
+/**
+ * Run every job once, logging failures and runs that did something without throwing
+ */
+export const runJobsOnce = async () => {
+    for (const job of jobs) {
+        try {
+            const result = await job.run();
+            if (didWork(result)) {
+                console.log(`⏱️  Job ${job.name} completed`, result);
+            }
+        } catch (error) {
+            console.error(`❌ Job ${job.name} failed: ${error.message}`);
+        }
+    }
+};
+
+/**
+ * Start running jobs on an interval
+ * @param {Number} intervalMs - Delay between runs
+ * @returns {Function} Stops the scheduler
+ */
+export const startScheduler = (intervalMs = Number(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000) => {
+    let running = false;
+
+    const tick = async () => {
+        // Skip a tick rather than overlapping a slow run
+        if (running) return;
+        running = true;
+        try {
+            await runJobsOnce();
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    tick();
+
+    return () => clearInterval(timer);
+};
@@ -59,3 +59,38 @@ export const optionalAuth = async (req, res, next) => {
         next();
     }
 };
+
+/**
+ * Resolve the user of an access token
+ * @param {string} token - JWT access token
+ * @returns {Object|null} User, or null if the token is invalid
+ */
+export const getUserFromToken = async (token) => {
+    try {
+        const decoded = verifyAccessToken(token);
+        return await User.findById(decoded.id).select('-password');
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Optional authentication for event streams
+ * Browsers cannot set headers on EventSource, so the token may also be
+ * passed as the access_token query parameter
+ */
+export const streamAuth = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.startsWith('Bearer ')
+        ? authHeader.split(' ')[1]
+        : req.query.access_token;
+
+    if (token) {
+        const user = await getUserFromToken(token);
+        if (!user) {
+            return errorResponse(res, 401, 'Invalid token, authorization denied');
+        }
+        req.user = user;
+    }
+    next();
+};
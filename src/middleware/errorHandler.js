@@ -44,10 +44,22 @@ const errorHandler = (err, req, res, next) => {
         };
     }
 
+    // Mongoose optimistic concurrency conflict
+    if (err.name === 'VersionError') {
+        const message = 'Resource was modified concurrently, please retry';
+        error = {
+            success: false,
+            statusCode: 409,
+            message,
+            errorCode: ErrorCodes.RESOURCE_CONFLICT
+        };
+    }
+
     res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || 'Server Error',
         errorCode: error.errorCode || ErrorCodes.INTERNAL_SERVER_ERROR,
+        ...(err.name === 'AppError' && err.errors && { errors: err.errors }),
         requestId: req.id, // Include Request ID
         ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
     });
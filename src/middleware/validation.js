@@ -1,4 +1,4 @@
-import { validationResult } from 'express-validator';
+import { query, validationResult } from 'express-validator';
 import { errorResponse } from '../utils/response.js';
 
 /**
@@ -15,3 +15,10 @@ export const validate = (req, res, next) => {
 
     next();
 };
+
+// Query rules shared by list endpoints (see utils/pagination.js)
+export const paginationValidation = [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('cursor').optional().isString().isLength({ min: 1, max: 1000 }),
+];
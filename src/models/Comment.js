@@ -32,6 +32,11 @@ const commentSchema = new mongoose.Schema(
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Comment',
         },
+        // Users @mentioned in the content
+        mentions: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        }],
         // Voting
         upvotes: [{
             type: mongoose.Schema.Types.ObjectId,
@@ -75,6 +80,7 @@ commentSchema.index({ post: 1, createdAt: -1 });
 commentSchema.index({ poll: 1, createdAt: -1 });
 commentSchema.index({ author: 1, createdAt: -1 });
 commentSchema.index({ parentComment: 1 });
+commentSchema.index({ mentions: 1, createdAt: -1 });
 
 // Virtual for vote score
 commentSchema.virtual('voteScore').get(function () {
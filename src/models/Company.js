@@ -120,6 +120,8 @@ companySchema.index({ ticker: 1 });
 companySchema.index({ name: 1 });
 companySchema.index({ sector: 1 });
 companySchema.index({ followerCount: -1 });
+companySchema.index({ bullishUsers: 1 });
+companySchema.index({ bearishUsers: 1 });
 
 // Virtual for sentiment score
 companySchema.virtual('sentimentScore').get(function () {
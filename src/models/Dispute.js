@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+/**
+ * Dispute Model
+ * A trader's staked challenge of a market's proposed outcome.
+ * A moderator upholds it (the claimed outcome replaces the proposal and the
+ * stake is refunded) or rejects it (the stake goes to the treasury).
+ */
+
+const evidenceSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: [true, 'Evidence URL is required'],
+        maxlength: [2000, 'Evidence URL cannot exceed 2000 characters'],
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Evidence description cannot exceed 500 characters'],
+    },
+}, { _id: false });
+
+const disputeSchema = new mongoose.Schema(
+    {
+        market: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Market',
+            required: [true, 'Market is required'],
+        },
+        challenger: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Challenger is required'],
+        },
+        // Outcome being challenged (label or 'invalid')
+        proposedOption: {
+            type: String,
+            required: true,
+        },
+        // Outcome the challenger claims is correct (label or 'invalid')
+        claimedOption: {
+            type: String,
+            required: [true, 'Claimed outcome is required'],
+        },
+        claimedOptionIndex: {
+            type: Number,
+        },
+        // Points staked by the challenger
+        stake: {
+            type: Number,
+            required: [true, 'Stake is required'],
+            min: [0, 'Stake cannot be negative'],
+        },
+        reason: {
+            type: String,
+            required: [true, 'Reason is required'],
+            maxlength: [2000, 'Reason cannot exceed 2000 characters'],
+        },
+        evidence: {
+            type: [evidenceSchema],
+            validate: {
+                validator: function (v) {
+                    return v.length <= 10;
+                },
+                message: 'A dispute can have at most 10 evidence links',
+            },
+        },
+        status: {
+            type: String,
+            enum: ['open', 'upheld', 'rejected'],
+            default: 'open',
+        },
+        // Moderator ruling
+        arbitrator: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        rulingNote: {
+            type: String,
+            maxlength: [2000, 'Ruling note cannot exceed 2000 characters'],
+        },
+        decidedAt: Date,
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes
+disputeSchema.index({ market: 1, createdAt: -1 });
+disputeSchema.index({ status: 1, createdAt: 1 });
+
+const Dispute = mongoose.model('Dispute', disputeSchema);
+
+export default Dispute;
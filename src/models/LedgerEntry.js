@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+/**
+ * LedgerEntry Model
+ * Double-entry points ledger. Every transfer writes one debit and one credit
+ * of the same amount sharing a `transaction` id, so the entries of a
+ * transaction always net to zero. A debit lowers the account balance,
+ * a credit raises it.
+ */
+
+const ledgerEntrySchema = new mongoose.Schema(
+    {
+        // Groups the debit and credit legs of one transfer
+        transaction: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'Transaction is required'],
+        },
+        // Account: a user's balance, a market's pool, an open buy order's escrow,
+        // a dispute stake, the platform treasury, or the issuance account that
+        // funds the treasury with its supply
+        accountType: {
+            type: String,
+            enum: ['user', 'market', 'order', 'dispute', 'treasury', 'issuance'],
+            required: [true, 'Account type is required'],
+        },
+        accountId: {
+            type: mongoose.Schema.Types.ObjectId,
+        },
+        direction: {
+            type: String,
+            enum: ['debit', 'credit'],
+            required: [true, 'Direction is required'],
+        },
+        amount: {
+            type: Number,
+            required: [true, 'Amount is required'],
+            min: [0, 'Amount cannot be negative'],
+        },
+        // User balance after this entry (user accounts only)
+        balanceAfter: {
+            type: Number,
+        },
+        reason: {
+            type: String,
+            enum: [
+                'signup_grant',
+                'market_buy',
+                'market_sell',
+                'market_payout',
+                'order_escrow',
+                'order_fill',
+                'order_refund',
+                'dispute_stake',
+                'dispute_refund',
+                'dispute_forfeit',
+                'liquidity_add',
+                'liquidity_remove',
+                'trading_fee',
+                'lp_fee',
+                'treasury_funding',
+                'market_subsidy',
+                'market_subsidy_return',
+            ],
+            required: [true, 'Reason is required'],
+        },
+        // References
+        market: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Market',
+        },
+        trade: {
+            type: mongoose.Schema.Types.ObjectId,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes
+ledgerEntrySchema.index({ accountType: 1, accountId: 1, createdAt: -1 });
+ledgerEntrySchema.index({ transaction: 1 });
+ledgerEntrySchema.index({ market: 1 });
+// The treasury is funded once
+ledgerEntrySchema.index(
+    { reason: 1, direction: 1 },
+    { unique: true, partialFilterExpression: { reason: 'treasury_funding' } }
+);
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+export default LedgerEntry;
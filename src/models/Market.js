@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import * as lmsr from '../utils/lmsr.js';
 
 /**
  * Market Model
@@ -11,9 +12,14 @@ const positionSchema = new mongoose.Schema({
         ref: 'User',
         required: true,
     },
+    // Index into market.options (legacy binary positions only stored the label)
+    optionIndex: {
+        type: Number,
+        min: 0,
+    },
+    // Lowercased option label, e.g. 'yes'/'no' on binary markets
     option: {
         type: String,
-        enum: ['yes', 'no'],
         required: true,
     },
     shares: {
@@ -29,8 +35,79 @@ const positionSchema = new mongoose.Schema({
         type: Number,
         required: true,
     },
+    // Shares committed to resting sell orders
+    reservedShares: {
+        type: Number,
+        default: 0,
+    },
+    // Lifetime shares bought and amount paid (not reduced by sells)
+    boughtShares: {
+        type: Number,
+        default: 0,
+    },
+    boughtCost: {
+        type: Number,
+        default: 0,
+    },
+    // Profit or loss locked in by sells and settlement
+    realizedPnl: {
+        type: Number,
+        default: 0,
+    },
+    // Amount paid out when the market resolved
+    payout: {
+        type: Number,
+        default: 0,
+    },
+    settledAt: Date,
 });
 
+const liquidityProviderSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    // LP shares: each funds 1 / ln(n) of the liquidity parameter (one per point
+    // provided at even odds, fewer when prices are uneven)
+    shares: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    // The provider's slice of the AMM, as if it were its own market maker: cash
+    // held is cashBasis + depth * C(u) and shares sold per option are
+    // depth * u + shareBasis, where u is the AMM state divided by liquidityParameter
+    cashBasis: {
+        type: Number,
+        default: 0,
+    },
+    shareBasis: [Number],
+    // Lifetime points provided and withdrawn
+    deposited: {
+        type: Number,
+        default: 0,
+    },
+    withdrawn: {
+        type: Number,
+        default: 0,
+    },
+    // shares * feesPerLpShare when fees were last paid out (pending = shares * feesPerLpShare - feeDebt)
+    feeDebt: {
+        type: Number,
+        default: 0,
+    },
+    feesPaid: {
+        type: Number,
+        default: 0,
+    },
+    // Share of the pool paid out when the market resolved
+    payout: {
+        type: Number,
+        default: 0,
+    },
+}, { _id: false });
+
 const marketSchema = new mongoose.Schema(
     {
         company: {
@@ -52,21 +129,44 @@ const marketSchema = new mongoose.Schema(
             type: String,
             maxlength: [2000, 'Description cannot exceed 2000 characters'],
         },
+        // Poll this market was converted from (options share the same order)
+        poll: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Poll',
+        },
         // Market type
         type: {
             type: String,
             enum: ['binary', 'categorical'],
             default: 'binary',
         },
-        // Options (for binary: yes/no, for categorical: custom)
+        // Options (for binary: yes/no, for categorical: 3-10 custom outcomes)
         options: [{
             label: String,
+            // Shares traders hold
             totalShares: {
                 type: Number,
                 default: 0,
             },
+            // AMM state, scaled with liquidityParameter when liquidity changes
+            // No default: markets created before it was tracked use totalShares
+            ammShares: {
+                type: Number,
+            },
+            // Current LMSR price (probabilities across options sum to 1)
+            price: {
+                type: Number,
+                min: 0,
+                max: 1,
+            },
         }],
-        // Pricing (simplified constant product market maker)
+        // Pricing (LMSR automated market maker, derived from options[].ammShares)
+        // yesPrice/noPrice mirror options[0]/options[1] on binary markets
+        liquidityParameter: {
+            type: Number,
+            default: 100,
+            min: [1, 'Liquidity parameter must be at least 1'],
+        },
         yesPrice: {
             type: Number,
             default: 0.5,
@@ -80,10 +180,39 @@ const marketSchema = new mongoose.Schema(
             max: 1,
         },
         // Liquidity and volume
+        // Points the treasury put into the pool to cover the AMM's loss at the
+        // initial liquidity parameter. No default: markets created before
+        // subsidies were funded get theirs from a backfill job
+        subsidy: {
+            type: Number,
+        },
+        // Points currently provided by liquidity providers (funds the added depth of the AMM)
         totalLiquidity: {
             type: Number,
             default: 0,
         },
+        liquidityProviders: [liquidityProviderSchema],
+        totalLpShares: {
+            type: Number,
+            default: 0,
+        },
+        // Fee on the market maker part of trades, paid to liquidity providers
+        // Fixed at creation so later config changes do not affect open markets
+        feeRate: {
+            type: Number,
+            default: () => Number(process.env.MARKET_FEE_RATE ?? 0.01),
+            min: 0,
+            max: 0.1,
+        },
+        // Fees collected per LP share since creation
+        feesPerLpShare: {
+            type: Number,
+            default: 0,
+        },
+        totalFees: {
+            type: Number,
+            default: 0,
+        },
         totalVolume: {
             type: Number,
             default: 0,
@@ -95,20 +224,52 @@ const marketSchema = new mongoose.Schema(
             type: Date,
             required: [true, 'Expiry date is required'],
         },
+        // Outcome proposed by the resolver (label or 'invalid'); it becomes final
+        // when the dispute window closes without an open dispute
+        proposedOption: {
+            type: String,
+        },
+        proposedOptionIndex: {
+            type: Number,
+        },
+        proposedAt: Date,
+        disputeWindowEndsAt: Date,
+        // An open dispute blocks settlement until a moderator rules on it
+        isDisputed: {
+            type: Boolean,
+            default: false,
+        },
         resolvedAt: Date,
+        // Winning option label, or 'invalid' (final, set at settlement)
         resolvedOption: {
             type: String,
-            enum: ['yes', 'no', 'invalid'],
+        },
+        resolvedOptionIndex: {
+            type: Number,
         },
         resolver: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
         },
+        totalPayout: {
+            type: Number,
+            default: 0,
+        },
         // Status
         isActive: {
             type: Boolean,
             default: true,
         },
+        // Trading stopped at expiry (set by the expiry job)
+        isClosed: {
+            type: Boolean,
+            default: false,
+        },
+        closedAt: Date,
+        // Set when a closed market is waiting for a resolver
+        resolutionQueuedAt: Date,
+        // Set once position holders were warned about the upcoming expiry
+        expiringNotifiedAt: Date,
         isResolved: {
             type: Boolean,
             default: false,
@@ -127,6 +288,8 @@ const marketSchema = new mongoose.Schema(
         timestamps: true,
         toJSON: { virtuals: true },
         toObject: { virtuals: true },
+        // Prices depend on the previous state, so concurrent trades must not overwrite each other
+        optimisticConcurrency: true,
     }
 );
 
@@ -134,37 +297,345 @@ const marketSchema = new mongoose.Schema(
 marketSchema.index({ company: 1, createdAt: -1 });
 marketSchema.index({ expiresAt: 1 });
 marketSchema.index({ isResolved: 1 });
+marketSchema.index({ isClosed: 1, isResolved: 1, resolutionQueuedAt: 1 });
+marketSchema.index({ isResolved: 1, isDisputed: 1, disputeWindowEndsAt: 1 });
 marketSchema.index({ totalVolume: -1 });
+marketSchema.index({ 'positions.user': 1 });
+marketSchema.index({ 'liquidityProviders.user': 1 });
+marketSchema.index({ question: 'text', description: 'text' }); // Text search
 
 // Virtual for checking if expired
 marketSchema.virtual('isExpired').get(function () {
     return new Date() > this.expiresAt;
 });
 
+// Lifecycle: open -> closed -> proposed (dispute window) / disputed -> resolved
+marketSchema.virtual('resolutionStatus').get(function () {
+    if (this.isResolved) return 'resolved';
+    if (this.isDisputed) return 'disputed';
+    if (this.proposedAt) return 'proposed';
+    if (this.isClosed || this.isExpired) return 'closed';
+    return 'open';
+});
+
+// Allowed number of outcomes for categorical markets
+const MIN_CATEGORICAL_OPTIONS = 3;
+const MAX_CATEGORICAL_OPTIONS = 10;
+
+// Validate option count by market type
+marketSchema.path('options').validate(function (options) {
+    if (this.type === 'categorical') {
+        return options.length >= MIN_CATEGORICAL_OPTIONS && options.length <= MAX_CATEGORICAL_OPTIONS;
+    }
+    return options.length === 0 || options.length === 2;
+}, 'Binary markets need 2 options, categorical markets 3-10');
+
 // Method to calculate probability
+// yes/no are kept for binary markets; outcomes covers every market type
 marketSchema.methods.getProbability = function () {
+    const prices = this.getPrices();
+    const probability = {
+        outcomes: this.options.map((o, index) => ({
+            index,
+            label: o.label,
+            probability: (prices[index] * 100).toFixed(2),
+        })),
+    };
+
+    if (this.type === 'binary') {
+        probability.yes = (this.yesPrice * 100).toFixed(2);
+        probability.no = (this.noPrice * 100).toFixed(2);
+    }
+
+    return probability;
+};
+
+// Map an option label (e.g. 'yes'/'no') to its index in options
+marketSchema.methods.getOptionIndex = function (option) {
+    return this.options.findIndex(o => o.label.toLowerCase() === String(option).toLowerCase());
+};
+
+// Resolve a traded/resolved option from either an index or a label ('yes'/'no')
+// Returns -1 when it does not match an option of the market
+marketSchema.methods.findOptionIndex = function ({ option, optionIndex }) {
+    if (optionIndex !== undefined) {
+        const index = Number(optionIndex);
+        return Number.isInteger(index) && index >= 0 && index < this.options.length ? index : -1;
+    }
+    return this.getOptionIndex(option);
+};
+
+// Option index of a position (legacy positions only stored the label)
+marketSchema.methods.getPositionIndex = function (position) {
+    return position.optionIndex ?? this.getOptionIndex(position.option);
+};
+
+// Current price of every option, in option order
+marketSchema.methods.getPrices = function () {
+    return lmsr.prices(this.getQuantities(), this.liquidityParameter);
+};
+
+// Market as shown to a viewer, with its current probability
+// Other traders' positions and LP entries are private: a viewer only gets
+// their own positions (userPositions)
+marketSchema.methods.toView = function (viewerId) {
+    const view = {
+        ...this.toJSON(),
+        positions: undefined,
+        liquidityProviders: undefined,
+        probability: this.getProbability(),
+    };
+    if (viewerId) {
+        view.userPositions = (this.positions || []).filter(p => p.user.toString() === viewerId.toString());
+    }
+    return view;
+};
+
+// AMM state per option, in option order (the LMSR state vector)
+marketSchema.methods.getQuantities = function () {
+    return this.options.map(o => o.ammShares ?? o.totalShares);
+};
+
+// Shares traders hold per option, in option order
+marketSchema.methods.getOutstandingShares = function () {
+    return this.options.map(o => o.totalShares);
+};
+
+// Record shares traded with the AMM (positive buys, negative sells)
+marketSchema.methods.applyAmmTrade = function (optionIndex, shares) {
+    const quantities = this.getQuantities();
+    this.options.forEach((option, index) => {
+        option.ammShares = quantities[index] + (index === optionIndex ? shares : 0);
+    });
+    this.options[optionIndex].totalShares += shares;
+    this.updatePrices();
+};
+
+// Quote a trade against the AMM without mutating the market
+// Positive shares buy, negative shares sell
+marketSchema.methods.quoteTrade = function (optionIndex, shares) {
+    const quantities = this.getQuantities();
+    const b = this.liquidityParameter;
+    const cost = lmsr.tradeCost(quantities, b, optionIndex, shares);
+
+    const next = quantities.slice();
+    next[optionIndex] += shares;
+
     return {
-        yes: (this.yesPrice * 100).toFixed(2),
-        no: (this.noPrice * 100).toFixed(2),
+        cost,
+        averagePrice: Math.abs(cost / shares),
+        priceBefore: lmsr.prices(quantities, b)[optionIndex],
+        pricesAfter: lmsr.prices(next, b),
     };
 };
 
-// Method to update prices after trade (simplified)
+// Find a user's aggregated position in an option
+// Legacy markets stored one entry per trade, so duplicates are merged into the first entry
+marketSchema.methods.getPosition = function (userId, optionIndex) {
+    const matches = this.positions.filter(
+        p => p.user.toString() === userId.toString() && this.getPositionIndex(p) === optionIndex
+    );
+    if (matches.length === 0) return null;
+
+    const [position, ...duplicates] = matches;
+    for (const duplicate of duplicates) {
+        position.shares += duplicate.shares;
+        position.investedAmount += duplicate.investedAmount;
+        position.realizedPnl += duplicate.realizedPnl || 0;
+        position.reservedShares += duplicate.reservedShares || 0;
+        position.boughtShares += duplicate.boughtShares || 0;
+        position.boughtCost += duplicate.boughtCost || 0;
+        this.positions.pull(duplicate._id);
+    }
+    if (duplicates.length > 0 && position.shares > 0) {
+        position.averagePrice = position.investedAmount / position.shares;
+    }
+    position.optionIndex = optionIndex;
+
+    return position;
+};
+
+// Shares a user can sell or commit to a new sell order
+marketSchema.methods.getAvailableShares = function (userId, optionIndex) {
+    const position = this.getPosition(userId, optionIndex);
+    return position ? position.shares - (position.reservedShares || 0) : 0;
+};
+
+// Check whether a user holds or has held any position in this market
+marketSchema.methods.hasTrader = function (userId) {
+    return this.positions.some(p => p.user.toString() === userId.toString());
+};
+
+// Record bought shares on the user's position
+marketSchema.methods.addToPosition = function (userId, optionIndex, shares, cost) {
+    let position = this.getPosition(userId, optionIndex);
+
+    if (!position) {
+        if (!this.hasTrader(userId)) this.traderCount += 1;
+        this.positions.push({
+            user: userId,
+            optionIndex,
+            option: this.options[optionIndex].label.toLowerCase(),
+            shares: 0,
+            averagePrice: 0,
+            investedAmount: 0,
+        });
+        position = this.positions[this.positions.length - 1];
+    }
+
+    position.shares += shares;
+    position.investedAmount += cost;
+    position.boughtShares += shares;
+    position.boughtCost += cost;
+    position.averagePrice = position.investedAmount / position.shares;
+
+    return position;
+};
+
+// Remove sold shares from the user's position and book the realized P&L
+// Returns the P&L realized by this sale
+marketSchema.methods.reduceFromPosition = function (userId, optionIndex, shares, proceeds) {
+    const position = this.getPosition(userId, optionIndex);
+    const costBasis = position.averagePrice * shares;
+    const realizedPnl = proceeds - costBasis;
+
+    position.shares -= shares;
+    position.investedAmount -= costBasis;
+    position.realizedPnl += realizedPnl;
+
+    // Close out fully sold positions (keep the entry for its realized P&L)
+    if (position.shares <= 1e-9) {
+        position.shares = 0;
+        position.investedAmount = 0;
+        position.averagePrice = 0;
+    }
+
+    return realizedPnl;
+};
+
+// Propose an outcome (winning option index or 'invalid') and open the dispute window
+// Trading stops immediately; positions settle once the window closes
+marketSchema.methods.proposeOutcome = function (outcome, resolverId, disputeWindowMs) {
+    const now = new Date();
+
+    this.setProposedOutcome(outcome);
+    this.proposedAt = now;
+    this.disputeWindowEndsAt = new Date(now.getTime() + disputeWindowMs);
+    this.resolver = resolverId;
+
+    if (!this.isClosed) {
+        this.isClosed = true;
+        this.closedAt = now;
+    }
+    this.resolutionQueuedAt = undefined;
+};
+
+// Replace the proposed outcome (winning option index or 'invalid'), e.g. after an upheld dispute
+marketSchema.methods.setProposedOutcome = function (outcome) {
+    const isInvalid = outcome === 'invalid';
+    this.proposedOption = isInvalid ? 'invalid' : this.options[outcome].label;
+    this.proposedOptionIndex = isInvalid ? undefined : outcome;
+};
+
+// Proposed outcome in the form settle() expects
+marketSchema.methods.getProposedOutcome = function () {
+    return this.proposedOption === 'invalid' ? 'invalid' : this.proposedOptionIndex;
+};
+
+// Settle every position against the resolved outcome (winning option index or 'invalid')
+// Winning shares pay 1.0 each, 'invalid' refunds the invested amount
+// Returns total payout per user id
+marketSchema.methods.settle = function (outcome) {
+    const payouts = new Map();
+    const now = new Date();
+    const isInvalid = outcome === 'invalid';
+
+    for (const position of this.positions) {
+        let payout = 0;
+        if (isInvalid) {
+            payout = position.investedAmount;
+        } else if (this.getPositionIndex(position) === outcome) {
+            payout = position.shares;
+        }
+
+        position.payout = payout;
+        position.realizedPnl += payout - position.investedAmount;
+        position.settledAt = now;
+
+        const userId = position.user.toString();
+        payouts.set(userId, (payouts.get(userId) || 0) + payout);
+    }
+
+    this.resolvedOption = isInvalid ? 'invalid' : this.options[outcome].label;
+    this.resolvedOptionIndex = isInvalid ? undefined : outcome;
+    this.resolvedAt = now;
+    this.isResolved = true;
+    this.totalPayout = [...payouts.values()].reduce((sum, p) => sum + p, 0);
+
+    return payouts;
+};
+
+// Method to update prices after trade (LMSR)
 marketSchema.methods.updatePrices = function () {
-    const yesShares = this.positions
-        .filter(p => p.option === 'yes')
-        .reduce((sum, p) => sum + p.shares, 0);
-    const noShares = this.positions
-        .filter(p => p.option === 'no')
-        .reduce((sum, p) => sum + p.shares, 0);
-
-    const total = yesShares + noShares;
-    if (total > 0) {
-        this.yesPrice = yesShares / total;
-        this.noPrice = noShares / total;
+    const prices = this.getPrices();
+    this.options.forEach((option, index) => {
+        option.price = prices[index];
+    });
+
+    if (this.type === 'binary') {
+        this.yesPrice = prices[0];
+        this.noPrice = prices[1];
     }
 };
 
+// Part of liquidityParameter funded by liquidity providers
+marketSchema.methods.getProvidedDepth = function () {
+    return this.totalLpShares / lmsr.maxLoss(1, this.options.length);
+};
+
+// Change the liquidity parameter without moving prices
+// Prices depend on quantities / b, so the AMM state is scaled with b; the
+// shares traders hold (totalShares) are left alone
+marketSchema.methods.setLiquidityParameter = function (liquidityParameter) {
+    const scale = liquidityParameter / this.liquidityParameter;
+    const quantities = this.getQuantities();
+    this.options.forEach((option, index) => {
+        option.ammShares = quantities[index] * scale;
+    });
+    this.liquidityParameter = liquidityParameter;
+    this.updatePrices();
+};
+
+// Liquidity provider entry of a user (null if they never provided liquidity)
+marketSchema.methods.getLiquidityProvider = function (userId) {
+    return this.liquidityProviders.find(lp => lp.user.toString() === userId.toString()) || null;
+};
+
+// Fees earned by a liquidity provider and not paid out yet
+marketSchema.methods.getPendingFees = function (provider) {
+    return Math.max(provider.shares * this.feesPerLpShare - provider.feeDebt, 0);
+};
+
+// Trading fee owed on a market maker trade amount: charged on the part of the
+// AMM funded by liquidity providers (none without them)
+marketSchema.methods.getTradingFee = function (amount) {
+    return amount * this.feeRate * (this.getProvidedDepth() / this.liquidityParameter);
+};
+
+// Credit a collected fee to every liquidity provider in proportion to their shares
+marketSchema.methods.distributeFee = function (fee) {
+    this.feesPerLpShare += fee / this.totalLpShares;
+    this.totalFees += fee;
+};
+
+// Initialize option prices for new markets
+marketSchema.pre('validate', function (next) {
+    if (this.isNew && this.options.length > 0) {
+        this.updatePrices();
+    }
+    next();
+});
+
 const Market = mongoose.model('Market', marketSchema);
 
 export default Market;
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+/**
+ * MarketTick Model
+ * One price/volume snapshot per market trade, used to build price history charts
+ */
+
+const marketTickSchema = new mongoose.Schema(
+    {
+        market: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Market',
+            required: [true, 'Market is required'],
+        },
+        trade: {
+            type: mongoose.Schema.Types.ObjectId,
+        },
+        optionIndex: {
+            type: Number,
+            required: true,
+        },
+        action: {
+            type: String,
+            enum: ['buy', 'sell'],
+            required: true,
+        },
+        shares: {
+            type: Number,
+            required: true,
+        },
+        // Points paid (buy) or received (sell)
+        amount: {
+            type: Number,
+            required: true,
+        },
+        // Post-trade price of every option, in option order
+        prices: [Number],
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+// Indexes
+marketTickSchema.index({ market: 1, createdAt: 1 });
+
+const MarketTick = mongoose.model('MarketTick', marketTickSchema);
+
+export default MarketTick;
@@ -1,4 +1,11 @@
 import mongoose from 'mongoose';
+import { publish } from '../utils/realtime.js';
+import { DOMAIN_EVENTS, emitDomainEvent } from '../utils/eventBus.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Read lazily: modules are imported before dotenv runs in server.js
+const retentionMs = () => (Number(process.env.NOTIFICATION_RETENTION_DAYS) || 90) * DAY;
 
 /**
  * Notification Model
@@ -16,6 +23,19 @@ const notificationSchema = new mongoose.Schema(
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
         },
+        // Everyone behind a collapsed burst ("12 people upvoted your post"); sender is the latest
+        actors: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        }],
+        actorCount: {
+            type: Number,
+            default: 1,
+        },
+        // Unread notifications with the same key collapse into one
+        groupKey: {
+            type: String,
+        },
         type: {
             type: String,
             enum: [
@@ -28,8 +48,12 @@ const notificationSchema = new mongoose.Schema(
                 'mention',
                 'community_invite',
                 'moderator_added',
+                'moderator_removed',
                 'market_resolved',
                 'market_expiring',
+                'market_resolution_proposed',
+                'market_disputed',
+                'dispute_ruled',
             ],
             required: [true, 'Notification type is required'],
         },
@@ -73,6 +97,44 @@ const notificationSchema = new mongoose.Schema(
             default: false,
         },
         readAt: Date,
+        // Archived notifications leave the inbox but can still be listed
+        isArchived: {
+            type: Boolean,
+            default: false,
+        },
+        archivedAt: Date,
+        // Removed by the TTL index once passed (NOTIFICATION_RETENTION_DAYS after creation)
+        expiresAt: {
+            type: Date,
+            default: () => new Date(Date.now() + retentionMs()),
+        },
+        // Push delivery to the recipient's devices (see pushService); 'deferred'
+        // until the recipient's quiet hours end (see jobs/deferredDelivery)
+        push: {
+            status: {
+                type: String,
+                enum: ['sent', 'failed', 'skipped', 'deferred'],
+            },
+            provider: String,
+            sent: Number,
+            failed: Number,
+            pruned: Number,
+            reason: String,
+            error: String,
+            attemptedAt: Date,
+        },
+        // Email delivery of important notifications (see mailService), deferred like push
+        email: {
+            status: {
+                type: String,
+                enum: ['sent', 'failed', 'skipped', 'deferred'],
+            },
+            provider: String,
+            messageId: String,
+            reason: String,
+            error: String,
+            attemptedAt: Date,
+        },
     },
     {
         timestamps: true,
@@ -81,7 +143,13 @@ const notificationSchema = new mongoose.Schema(
 
 // Indexes
 notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, isArchived: 1, type: 1, createdAt: -1 });
 notificationSchema.index({ createdAt: -1 });
+// Deliveries waiting for quiet hours to end
+notificationSchema.index({ 'push.status': 1, createdAt: 1 }, { partialFilterExpression: { 'push.status': 'deferred' } });
+notificationSchema.index({ 'email.status': 1, createdAt: 1 }, { partialFilterExpression: { 'email.status': 'deferred' } });
+notificationSchema.index({ recipient: 1, groupKey: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Mark as read
 notificationSchema.methods.markAsRead = function () {
@@ -90,6 +158,44 @@ notificationSchema.methods.markAsRead = function () {
     return this.save();
 };
 
+// Move out of (or back into) the inbox
+notificationSchema.methods.setArchived = function (isArchived) {
+    this.isArchived = isArchived;
+    this.archivedAt = isArchived ? new Date() : undefined;
+    return this.save();
+};
+
+// When a notification created at a given time expires
+notificationSchema.statics.expiresAtFor = function (createdAt) {
+    return new Date(createdAt.getTime() + retentionMs());
+};
+
+// Push new and re-collapsed notifications to the recipient's realtime channel
+const publishNotification = (notification) => {
+    publish('user', notification.recipient, 'notification', { notification: notification.toJSON() });
+};
+
+// New notifications (not collapsed updates) also go out as device pushes
+const announceNotification = (notification) => {
+    publishNotification(notification);
+    emitDomainEvent(DOMAIN_EVENTS.NOTIFICATION_CREATED, notification);
+};
+
+notificationSchema.pre('save', function (next) {
+    this.$locals.wasNew = this.isNew;
+    this.$locals.shouldPublish = this.isNew || this.isModified('actorCount');
+    next();
+});
+
+notificationSchema.post('save', function (notification) {
+    if (notification.$locals.wasNew) announceNotification(notification);
+    else if (notification.$locals.shouldPublish) publishNotification(notification);
+});
+
+notificationSchema.post('insertMany', function (notifications) {
+    notifications.forEach(announceNotification);
+});
+
 const Notification = mongoose.model('Notification', notificationSchema);
 
 export default Notification;
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+/**
+ * Order Model
+ * Resting limit orders on a market option. Incoming trades match against
+ * the best-priced orders before falling back to the market maker (LMSR).
+ * Buy orders escrow price * unfilled shares in the ledger, sell orders
+ * reserve shares on the seller's position.
+ */
+
+const orderSchema = new mongoose.Schema(
+    {
+        market: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Market',
+            required: [true, 'Market is required'],
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User is required'],
+        },
+        optionIndex: {
+            type: Number,
+            required: [true, 'Option index is required'],
+            min: 0,
+        },
+        side: {
+            type: String,
+            enum: ['buy', 'sell'],
+            required: [true, 'Side is required'],
+        },
+        // Limit price per share (probability between 0 and 1)
+        price: {
+            type: Number,
+            required: [true, 'Price is required'],
+            min: [0.01, 'Price must be at least 0.01'],
+            max: [0.99, 'Price cannot exceed 0.99'],
+        },
+        shares: {
+            type: Number,
+            required: [true, 'Shares are required'],
+            min: [0, 'Shares cannot be negative'],
+        },
+        filledShares: {
+            type: Number,
+            default: 0,
+        },
+        // Points held in escrow for the unfilled part of a buy order
+        lockedAmount: {
+            type: Number,
+            default: 0,
+        },
+        status: {
+            type: String,
+            enum: ['open', 'filled', 'cancelled', 'expired'],
+            default: 'open',
+        },
+        // Good-til-cancelled when not set
+        expiresAt: Date,
+        closedAt: Date,
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    }
+);
+
+// Indexes
+orderSchema.index({ market: 1, optionIndex: 1, side: 1, status: 1, price: 1, createdAt: 1 });
+orderSchema.index({ user: 1, market: 1, createdAt: -1 });
+orderSchema.index({ status: 1, expiresAt: 1 });
+
+// Shares still waiting to be filled
+orderSchema.virtual('remainingShares').get(function () {
+    return Math.max(this.shares - this.filledShares, 0);
+});
+
+const Order = mongoose.model('Order', orderSchema);
+
+export default Order;
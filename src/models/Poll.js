@@ -104,7 +104,7 @@ const pollSchema = new mongoose.Schema(
             type: Boolean,
             default: false,
         },
-        // Market-related fields
+        // Market-related fields (set when the poll is converted into a market)
         isMarket: {
             type: Boolean,
             default: false,
@@ -113,6 +113,11 @@ const pollSchema = new mongoose.Schema(
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Market',
         },
+        // Outcome of the linked market (-1 when it resolved invalid)
+        resolvedOptionIndex: {
+            type: Number,
+        },
+        resolvedAt: Date,
     },
     {
         timestamps: true,
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import * as ranking from '../utils/ranking.js';
 
 /**
  * Post Model
@@ -32,6 +33,11 @@ const postSchema = new mongoose.Schema(
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Bowl',
         },
+        // Users @mentioned in the title or content
+        mentions: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        }],
         // Company tags
         companyTags: [{
             type: mongoose.Schema.Types.ObjectId,
@@ -63,6 +69,26 @@ const postSchema = new mongoose.Schema(
             type: Number,
             default: 0,
         },
+        // Ranking scores for the hot, trending and top sorts (see utils/ranking.js),
+        // recomputed on save whenever votes or comments change
+        voteScore: {
+            type: Number,
+            default: 0,
+        },
+        hotScore: {
+            type: Number,
+            default: 0,
+        },
+        trendingScore: {
+            type: Number,
+            default: 0,
+        },
+        // Engagement points per hour within the trending window
+        recentActivity: [{
+            _id: false,
+            hour: Date,
+            amount: Number,
+        }],
         // Post type and status
         type: {
             type: String,
@@ -107,19 +133,45 @@ postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ community: 1, createdAt: -1 });
 postSchema.index({ bowl: 1, createdAt: -1 });
 postSchema.index({ companyTags: 1 });
+postSchema.index({ mentions: 1, createdAt: -1 });
+postSchema.index({ upvotes: 1, createdAt: -1 }); // For-you author affinity
 postSchema.index({ createdAt: -1 });
+postSchema.index({ hotScore: -1 });
+postSchema.index({ community: 1, hotScore: -1 });
+postSchema.index({ trendingScore: -1, hotScore: -1 });
+postSchema.index({ voteScore: -1, createdAt: -1 });
 postSchema.index({ title: 'text', content: 'text' }); // Text search
 
-// Virtual for vote score
-postSchema.virtual('voteScore').get(function () {
-    return this.upvotes.length - this.downvotes.length;
-});
+// Count engagement towards the trending score (net votes, or COMMENT_WEIGHT per comment)
+postSchema.methods.recordActivity = function (amount, now = new Date()) {
+    const hour = ranking.hourOf(now);
+    const bucket = this.recentActivity.find(b => b.hour.getTime() === hour.getTime());
+
+    if (bucket) {
+        bucket.amount += amount;
+    } else {
+        this.recentActivity.push({ hour, amount });
+    }
+};
+
+// Recompute the stored ranking scores
+postSchema.methods.updateRanking = function (now = new Date()) {
+    this.voteScore = this.upvotes.length - this.downvotes.length;
+    this.hotScore = ranking.hotScore(ranking.points(this.voteScore, this.commentCount), this.createdAt || now);
 
-// Virtual for hot score (simplified algorithm)
-postSchema.virtual('hotScore').get(function () {
-    const hoursSincePost = (Date.now() - this.createdAt) / (1000 * 60 * 60);
-    const score = this.upvotes.length - this.downvotes.length;
-    return score / Math.pow(hoursSincePost + 2, 1.5);
+    const activity = ranking.pruneActivity(this.recentActivity, now);
+    if (activity.length !== this.recentActivity.length) {
+        this.recentActivity = activity;
+    }
+    this.trendingScore = ranking.trendingScore(activity, now);
+};
+
+postSchema.pre('save', function (next) {
+    if (this.isNew || this.isModified('upvotes') || this.isModified('downvotes')
+        || this.isModified('commentCount') || this.isModified('recentActivity')) {
+        this.updateRanking();
+    }
+    next();
 });
 
 // Virtual for comments
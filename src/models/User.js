@@ -131,9 +131,78 @@ const userSchema = new mongoose.Schema(
                 type: Boolean,
                 default: true,
             },
+            // Summary email of unread notifications, community posts and expiring markets
+            digest: {
+                type: String,
+                enum: ['off', 'daily', 'weekly'],
+                default: 'off',
+            },
+            // Channel switches per notification type, e.g. types.mention.push = false;
+            // unset channels fall back to the defaults in notificationPreferences
+            types: {
+                type: Map,
+                of: new mongoose.Schema({
+                    inApp: Boolean,
+                    push: Boolean,
+                    email: Boolean,
+                }, { _id: false }),
+                default: {},
+            },
+            // No notifications about these
+            muted: {
+                posts: [{
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'Post',
+                }],
+                polls: [{
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'Poll',
+                }],
+                communities: [{
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'Community',
+                }],
+            },
+            // Push and email are held back between start and end (HH:mm, local time)
+            quietHours: {
+                enabled: {
+                    type: Boolean,
+                    default: false,
+                },
+                start: String,
+                end: String,
+                timezone: {
+                    type: String,
+                    default: 'UTC',
+                },
+            },
+        },
+        digestSentAt: Date,
+        // Privacy settings
+        privacySettings: {
+            // Show market positions and P&L to other users
+            showPortfolio: {
+                type: Boolean,
+                default: false,
+            },
         },
         // Device tokens for push notifications
         deviceTokens: [String],
+        // Points balance for prediction markets (mirrors the ledger, see LedgerEntry)
+        balance: {
+            available: {
+                type: Number,
+                default: 0,
+                min: [0, 'Balance cannot be negative'],
+            },
+        },
+        // Platform role ('resolver' may resolve any prediction market,
+        // 'moderator' arbitrates disputed market resolutions)
+        role: {
+            type: String,
+            enum: ['user', 'resolver', 'moderator'],
+            default: 'user',
+        },
         // Account status
         isActive: {
             type: Boolean,
@@ -156,6 +225,7 @@ userSchema.index({ username: 1 });
 userSchema.index({ email: 1 });
 userSchema.index({ primaryWallet: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ 'notificationSettings.digest': 1, digestSentAt: 1 });
 
 // Virtual for follower count
 userSchema.virtual('followerCount').get(function () {
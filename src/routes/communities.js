@@ -8,9 +8,11 @@ import {
     joinCommunity,
     leaveCommunity,
     getCommunityPosts,
+    addModerator,
+    removeModerator,
 } from '../controllers/communityController.js';
 import { authenticate } from '../middleware/auth.js';
-import { validate } from '../middleware/validation.js';
+import { validate, paginationValidation } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -20,6 +22,10 @@ const createValidation = [
     body('description').isLength({ min: 1, max: 500 }),
 ];
 
+const moderatorValidation = [
+    body('userId').isMongoId().withMessage('Invalid user ID'),
+];
+
 /**
  * @swagger
  * /api/communities:
@@ -78,7 +84,12 @@ router.post('/', authenticate, createValidation, validate, createCommunity);
  *         name: limit
  *         schema:
  *           type: integer
- *           default: 10
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
  *     responses:
  *       200:
  *         description: Communities retrieved successfully
@@ -87,7 +98,7 @@ router.post('/', authenticate, createValidation, validate, createCommunity);
  *             schema:
  *               $ref: '#/components/schemas/Success'
  */
-router.get('/', getCommunities);
+router.get('/', paginationValidation, validate, getCommunities);
 
 /**
  * @swagger
@@ -230,6 +241,16 @@ router.delete('/:id/leave', authenticate, leaveCommunity);
  *         schema:
  *           type: integer
  *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
  *     responses:
  *       200:
  *         description: Posts retrieved successfully
@@ -238,6 +259,92 @@ router.delete('/:id/leave', authenticate, leaveCommunity);
  *             schema:
  *               $ref: '#/components/schemas/Success'
  */
-router.get('/:id/posts', getCommunityPosts);
+router.get('/:id/posts', paginationValidation, validate, getCommunityPosts);
+
+/**
+ * @swagger
+ * /api/communities/{id}/moderators:
+ *   post:
+ *     summary: Add a community moderator (creator only)
+ *     description: The new moderator is notified.
+ *     tags: [Communities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Community ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 example: 65a1b2c3d4e5f6a7b8c9d0e1
+ *     responses:
+ *       200:
+ *         description: Moderator added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not the community creator
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/moderators', authenticate, moderatorValidation, validate, addModerator);
+
+/**
+ * @swagger
+ * /api/communities/{id}/moderators/{userId}:
+ *   delete:
+ *     summary: Remove a community moderator (creator only)
+ *     description: The former moderator is notified.
+ *     tags: [Communities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Community ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Moderator user ID
+ *     responses:
+ *       200:
+ *         description: Moderator removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: User is not a moderator
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not the community creator
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id/moderators/:userId', authenticate, removeModerator);
 
 export default router;
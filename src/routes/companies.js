@@ -1,5 +1,5 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import {
     createCompany,
     getCompanies,
@@ -9,9 +9,11 @@ import {
     createMarket,
     getCompanyMarkets,
     tradeMarket,
+    resolveMarket,
+    getMarketHistory,
 } from '../controllers/companyController.js';
-import { authenticate } from '../middleware/auth.js';
-import { validate } from '../middleware/validation.js';
+import { authenticate, optionalAuth } from '../middleware/auth.js';
+import { validate, paginationValidation } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -21,6 +23,52 @@ const createCompanyValidation = [
     body('description').isLength({ min: 1, max: 1000 }),
 ];
 
+const createMarketValidation = [
+    body('question').trim().isLength({ min: 1, max: 500 }),
+    body('expiresAt').isISO8601(),
+    body('liquidityParameter').optional().isFloat({ min: 1 }),
+    body('type').optional().isIn(['binary', 'categorical']).withMessage('Type must be binary or categorical'),
+    body('outcomes')
+        .if(body('type').equals('categorical'))
+        .isArray({ min: 3, max: 10 })
+        .withMessage('Categorical markets need 3-10 outcomes'),
+    body('outcomes.*')
+        .if(body('type').equals('categorical'))
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Outcome labels must be 1-100 characters'),
+];
+
+// Either optionIndex or an option label is required
+const optionValidation = body('optionIndex')
+    .if(body('option').not().exists())
+    .isInt({ min: 0 })
+    .withMessage('optionIndex or option is required');
+
+const tradeMarketValidation = [
+    optionValidation,
+    body('option').optional().isString(),
+    body('shares').isFloat({ gt: 0 }).withMessage('Shares must be a positive number'),
+    body('action').isIn(['buy', 'sell']).withMessage('Action must be buy or sell'),
+    body('maxSlippage').optional().isFloat({ min: 0 }).withMessage('Max slippage must be a non-negative number'),
+];
+
+const marketHistoryValidation = [
+    query('interval').optional().isIn(['1h', '1d']).withMessage('Interval must be 1h or 1d'),
+    query('optionIndex').optional().isInt({ min: 0 }),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+];
+
+const resolveMarketValidation = [
+    body('optionIndex')
+        .if(body('outcome').not().exists())
+        .isInt({ min: 0 })
+        .withMessage('optionIndex or outcome is required'),
+    body('outcome').optional().isString(),
+];
+
 /**
  * @swagger
  * /api/companies:
@@ -216,6 +264,22 @@ router.get('/:id/posts', getCompanyPosts);
  *               expiresAt:
  *                 type: string
  *                 format: date-time
+ *               liquidityParameter:
+ *                 type: number
+ *                 default: 100
+ *                 description: LMSR liquidity parameter (b); higher values move prices less per share
+ *               type:
+ *                 type: string
+ *                 enum: [binary, categorical]
+ *                 default: binary
+ *               outcomes:
+ *                 type: array
+ *                 minItems: 3
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                 example: [Q1, Q2, Q3, Later]
+ *                 description: Outcome labels (categorical markets only; binary markets are always Yes/No)
  *     responses:
  *       201:
  *         description: Market created successfully
@@ -226,13 +290,14 @@ router.get('/:id/posts', getCompanyPosts);
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.post('/:id/markets', authenticate, createMarket);
+router.post('/:id/markets', authenticate, createMarketValidation, validate, createMarket);
 
 /**
  * @swagger
  * /api/companies/{id}/markets:
  *   get:
  *     summary: Get markets for a company
+ *     description: Other traders' positions are not included; authenticated viewers get their own in userPositions.
  *     tags: [Companies]
  *     parameters:
  *       - in: path
@@ -241,6 +306,21 @@ router.post('/:id/markets', authenticate, createMarket);
  *         schema:
  *           type: string
  *         description: Company ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
  *     responses:
  *       200:
  *         description: Markets retrieved successfully
@@ -249,7 +329,7 @@ router.post('/:id/markets', authenticate, createMarket);
  *             schema:
  *               $ref: '#/components/schemas/Success'
  */
-router.get('/:id/markets', getCompanyMarkets);
+router.get('/:id/markets', optionalAuth, paginationValidation, validate, getCompanyMarkets);
 
 /**
  * @swagger
@@ -279,28 +359,144 @@ router.get('/:id/markets', getCompanyMarkets);
  *           schema:
  *             type: object
  *             required:
- *               - outcome
- *               - amount
- *               - side
+ *               - shares
+ *               - action
  *             properties:
- *               outcome:
+ *               optionIndex:
+ *                 type: integer
+ *                 description: Index of the traded outcome in market.options
+ *               option:
  *                 type: string
- *                 enum: [YES, NO]
- *               amount:
+ *                 example: yes
+ *                 description: Outcome label, alternative to optionIndex (e.g. yes/no)
+ *               shares:
  *                 type: number
- *               side:
+ *               action:
  *                 type: string
  *                 enum: [buy, sell]
+ *               maxSlippage:
+ *                 type: number
+ *                 example: 0.05
+ *                 description: Maximum accepted deviation of the average price from the quoted price, as a fraction
  *     responses:
  *       200:
- *         description: Trade executed successfully
+ *         description: Trade executed at the LMSR price; returns cost (buy) or proceeds and realized P&L (sell) with post-trade prices
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid trade, market closed, insufficient shares to sell or max slippage exceeded
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/:id/markets/:marketId/trade', authenticate, tradeMarketValidation, validate, tradeMarket);
+
+/**
+ * @swagger
+ * /api/companies/{id}/markets/{marketId}/history:
+ *   get:
+ *     summary: Get OHLC price candles and volume for a market
+ *     tags: [Companies]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company ID
+ *       - in: path
+ *         name: marketId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Market ID
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [1h, 1d]
+ *           default: 1h
+ *       - in: query
+ *         name: optionIndex
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Option to chart (0 is YES on binary markets)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to 7 days (1h) or 180 days (1d) before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now
+ *     responses:
+ *       200:
+ *         description: Candles retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/markets/:marketId/history', marketHistoryValidation, validate, getMarketHistory);
+
+/**
+ * @swagger
+ * /api/companies/{id}/markets/{marketId}/resolve:
+ *   post:
+ *     summary: Propose a market outcome
+ *     description: Restricted to the market creator or users with the resolver role. Trading stops and open orders are cancelled. Positions settle once the dispute window (DISPUTE_WINDOW_HOURS) closes without an open dispute - winning shares pay 1.0 each; invalid refunds the invested amount. With a window of 0 the market settles immediately.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company ID
+ *       - in: path
+ *         name: marketId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Market ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               optionIndex:
+ *                 type: integer
+ *                 description: Index of the winning outcome in market.options
+ *               outcome:
+ *                 type: string
+ *                 example: yes
+ *                 description: Winning outcome label, or invalid to refund every trader
+ *     responses:
+ *       200:
+ *         description: Outcome proposed and the market with its disputeWindowEndsAt returned, or (no dispute window) market resolved with the payout per user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Market is already resolved
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not the market creator or a resolver
  */
-router.post('/:id/markets/:marketId/trade', authenticate, tradeMarket);
+router.post('/:id/markets/:marketId/resolve', authenticate, resolveMarketValidation, validate, resolveMarket);
 
 export default router;
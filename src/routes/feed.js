@@ -5,6 +5,7 @@ import {
     getForYouFeed,
 } from '../controllers/feedController.js';
 import { authenticate } from '../middleware/auth.js';
+import { validate, paginationValidation } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -25,8 +26,13 @@ const router = express.Router();
  *         name: limit
  *         schema:
  *           type: integer
- *           default: 10
+ *           default: 20
  *         description: Number of items per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
  *     responses:
  *       200:
  *         description: Recommended feed retrieved successfully
@@ -35,7 +41,7 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/Success'
  */
-router.get('/recommended', getRecommendedFeed);
+router.get('/recommended', paginationValidation, validate, getRecommendedFeed);
 
 /**
  * @swagger
@@ -56,8 +62,13 @@ router.get('/recommended', getRecommendedFeed);
  *         name: limit
  *         schema:
  *           type: integer
- *           default: 10
+ *           default: 20
  *         description: Number of items per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
  *     responses:
  *       200:
  *         description: Following feed retrieved successfully
@@ -68,13 +79,14 @@ router.get('/recommended', getRecommendedFeed);
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/following', authenticate, getFollowingFeed);
+router.get('/following', authenticate, paginationValidation, validate, getFollowingFeed);
 
 /**
  * @swagger
  * /api/feed/for-you:
  *   get:
  *     summary: Get personalized "For You" feed
+ *     description: Recent posts ranked on recency, engagement and the user's affinity to authors, communities, bowls and companies, with at most 2 posts per author and 3 per community in any 10 consecutive items. Each post has an explanation, e.g. "because you joined c/defi".
  *     tags: [Feed]
  *     security:
  *       - bearerAuth: []
@@ -89,8 +101,13 @@ router.get('/following', authenticate, getFollowingFeed);
  *         name: limit
  *         schema:
  *           type: integer
- *           default: 10
+ *           default: 20
  *         description: Number of items per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
  *     responses:
  *       200:
  *         description: Personalized feed retrieved successfully
@@ -101,6 +118,6 @@ router.get('/following', authenticate, getFollowingFeed);
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/for-you', authenticate, getForYouFeed);
+router.get('/for-you', authenticate, paginationValidation, validate, getForYouFeed);
 
 export default router;
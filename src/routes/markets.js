@@ -0,0 +1,689 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+    getMarkets,
+    getMarket,
+    getLeaderboard,
+    placeOrder,
+    cancelOrder,
+    getMyOrders,
+    getOrderBook,
+    addLiquidity,
+    removeLiquidity,
+    createDispute,
+    getDisputes,
+    ruleOnDispute,
+} from '../controllers/marketController.js';
+import { authenticate, optionalAuth } from '../middleware/auth.js';
+import { validate, paginationValidation } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * Market Routes
+ * Cross-company prediction market endpoints
+ */
+
+const SECTORS = ['technology', 'finance', 'healthcare', 'energy', 'consumer', 'industrial', 'crypto', 'other'];
+
+// Validation rules
+const getMarketsValidation = [
+    query('q').optional().trim().isLength({ min: 1, max: 200 }),
+    query('status')
+        .optional()
+        .isIn(['open', 'expiring', 'closed', 'proposed', 'disputed', 'resolved'])
+        .withMessage('Status must be open, expiring, closed, proposed, disputed or resolved'),
+    query('sector').optional().isIn(SECTORS).withMessage('Invalid sector'),
+    query('company').optional().isMongoId().withMessage('Invalid company ID'),
+    query('type').optional().isIn(['binary', 'categorical']).withMessage('Type must be binary or categorical'),
+    query('minVolume').optional().isFloat({ min: 0 }).withMessage('minVolume must be a non-negative number'),
+    query('sort')
+        .optional()
+        .isIn(['volume', 'traders', 'closing', 'newest'])
+        .withMessage('Sort must be volume, traders, closing or newest'),
+    ...paginationValidation,
+];
+
+const leaderboardValidation = [
+    query('window')
+        .optional()
+        .isIn(['7d', '30d', 'all'])
+        .withMessage('Window must be 7d, 30d or all'),
+    query('sector')
+        .optional()
+        .isIn(SECTORS)
+        .withMessage('Invalid sector'),
+    query('sortBy')
+        .optional()
+        .isIn(['pnl', 'roi', 'accuracy'])
+        .withMessage('sortBy must be pnl, roi or accuracy'),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+];
+
+const placeOrderValidation = [
+    body('optionIndex')
+        .if(body('option').not().exists())
+        .isInt({ min: 0 })
+        .withMessage('optionIndex or option is required'),
+    body('option').optional().isString(),
+    body('side').isIn(['buy', 'sell']).withMessage('Side must be buy or sell'),
+    body('price')
+        .isFloat({ min: 0.01, max: 0.99 })
+        .withMessage('Price must be between 0.01 and 0.99'),
+    body('shares').isFloat({ gt: 0 }).withMessage('Shares must be a positive number'),
+    body('expiresAt').optional().isISO8601().withMessage('Invalid expiry date'),
+];
+
+const getOrdersValidation = [
+    query('status')
+        .optional()
+        .isIn(['open', 'filled', 'cancelled', 'expired'])
+        .withMessage('Invalid order status'),
+    ...paginationValidation,
+];
+
+const orderBookValidation = [
+    query('optionIndex').optional().isInt({ min: 0 }),
+];
+
+const addLiquidityValidation = [
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+];
+
+const removeLiquidityValidation = [
+    body('shares').optional().isFloat({ gt: 0 }).withMessage('Shares must be a positive number'),
+];
+
+const createDisputeValidation = [
+    body('outcome')
+        .if(body('optionIndex').not().exists())
+        .isString()
+        .withMessage('Outcome (option label or invalid) or optionIndex is required'),
+    body('optionIndex').optional().isInt({ min: 0 }),
+    body('stake').isFloat({ gt: 0 }).withMessage('Stake must be a positive number'),
+    body('reason')
+        .trim()
+        .isLength({ min: 1, max: 2000 })
+        .withMessage('Reason must be between 1 and 2000 characters'),
+    body('evidence')
+        .optional()
+        .isArray({ max: 10 })
+        .withMessage('Evidence must be an array of at most 10 links'),
+    body('evidence.*.url').isURL().withMessage('Evidence URL must be a valid URL'),
+    body('evidence.*.description').optional().isLength({ max: 500 }),
+];
+
+const getDisputesValidation = [
+    query('status')
+        .optional()
+        .isIn(['open', 'upheld', 'rejected'])
+        .withMessage('Status must be open, upheld or rejected'),
+    ...paginationValidation,
+];
+
+const ruleOnDisputeValidation = [
+    body('decision').isIn(['uphold', 'reject']).withMessage('Decision must be uphold or reject'),
+    body('note').optional().trim().isLength({ max: 2000 }),
+];
+
+// Routes
+
+/**
+ * @swagger
+ * /api/markets:
+ *   get:
+ *     summary: List and search markets across all companies
+ *     tags: [Markets]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Text search on question and description
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, expiring, closed, proposed, disputed, resolved]
+ *         description: expiring = open and expiring within 24 hours, closed = trading stopped and no outcome proposed yet, proposed = outcome proposed and waiting for the dispute window, disputed = proposed outcome under dispute
+ *       - in: query
+ *         name: sector
+ *         schema:
+ *           type: string
+ *           enum: [technology, finance, healthcare, energy, consumer, industrial, crypto, other]
+ *       - in: query
+ *         name: company
+ *         schema:
+ *           type: string
+ *         description: Company ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [binary, categorical]
+ *       - in: query
+ *         name: minVolume
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [volume, traders, closing, newest]
+ *           default: volume
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page (same sort); replaces page
+ *     responses:
+ *       200:
+ *         description: Markets retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid filter
+ */
+router.get('/', getMarketsValidation, validate, getMarkets);
+
+/**
+ * @swagger
+ * /api/markets/leaderboard:
+ *   get:
+ *     summary: Get the prediction market leaderboard
+ *     description: Ranks traders over resolved markets by realized P&L, ROI or a Brier-style accuracy score (squared error between the average price paid and the outcome, lower is better). Traders who did not enable privacySettings.showPortfolio are listed with user null. Results are cached for 5 minutes.
+ *     tags: [Markets]
+ *     parameters:
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           enum: [7d, 30d, all]
+ *           default: all
+ *         description: Only count markets resolved within this window
+ *       - in: query
+ *         name: sector
+ *         schema:
+ *           type: string
+ *           enum: [technology, finance, healthcare, energy, consumer, industrial, crypto, other]
+ *         description: Only count markets of companies in this sector
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [pnl, roi, accuracy]
+ *           default: pnl
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Leaderboard retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid filter
+ */
+router.get('/leaderboard', leaderboardValidation, validate, getLeaderboard);
+
+/**
+ * @swagger
+ * /api/markets/{id}:
+ *   get:
+ *     summary: Get market detail with outcome probabilities
+ *     description: Other traders' positions are not included. liquidityProviders lists LP positions with their pool share; their user is null unless the provider shows their portfolio. Authenticated viewers also get their own positions in userPositions and LP position in userLiquidity.
+ *     tags: [Markets]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Market ID
+ *     responses:
+ *       200:
+ *         description: Market retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', optionalAuth, getMarket);
+
+/**
+ * @swagger
+ * /api/markets/{id}/orderbook:
+ *   get:
+ *     summary: Get aggregated order book depth
+ *     description: Open limit orders grouped by price level per option (bids best-first descending, asks ascending), with the current market maker price of each option.
+ *     tags: [Markets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Market ID
+ *       - in: query
+ *         name: optionIndex
+ *         schema:
+ *           type: integer
+ *         description: Only return the book of this option
+ *     responses:
+ *       200:
+ *         description: Order book retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/orderbook', orderBookValidation, validate, getOrderBook);
+
+/**
+ * @swagger
+ * /api/markets/{id}/orders:
+ *   post:
+ *     summary: Place a limit order
+ *     description: The part of the order that crosses resting orders or the market maker price fills immediately; the remainder rests on the book until filled, cancelled, expired or the market resolves. Buy orders escrow price * remaining shares from the points balance, sell orders reserve shares of the position.
+ *     tags: [Markets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Market ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - side
+ *               - price
+ *               - shares
+ *             properties:
+ *               optionIndex:
+ *                 type: integer
+ *                 description: Option traded (or pass its label in option)
+ *               option:
+ *                 type: string
+ *               side:
+ *                 type: string
+ *                 enum: [buy, sell]
+ *               price:
+ *                 type: number
+ *                 description: Limit price per share, 0.01-0.99
+ *               shares:
+ *                 type: number
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Good-til-cancelled when omitted
+ *     responses:
+ *       201:
+ *         description: Order placed (or filled immediately)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Market closed, invalid option, insufficient balance or shares
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   get:
+ *     summary: Get your orders in a market
+ *     tags: [Markets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Market ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, filled, cancelled, expired]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
+ *     responses:
+ *       200:
+ *         description: Orders retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/:id/orders', authenticate, placeOrderValidation, validate, placeOrder);
+router.get('/:id/orders', authenticate, getOrdersValidation, validate, getMyOrders);
+
+/**
+ * @swagger
+ * /api/markets/{id}/orders/{orderId}:
+ *   delete:
+ *     summary: Cancel an open limit order
+ *     description: Refunds the escrow of buy orders and releases the reserved shares of sell orders.
+ *     tags: [Markets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Market ID
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Order cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Order is not open
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not your order
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id/orders/:orderId', authenticate, cancelOrder);
+
+/**
+ * @swagger
+ * /api/markets/{id}/liquidity:
+ *   post:
+ *     summary: Provide liquidity to a market's AMM pool
+ *     description: Deepens the market maker without moving prices, by as much depth as the amount covers in the worst case. Each LP share funds 1 / ln(number of options) of the liquidity parameter (one per point at even odds). Providers take their share of every market maker trade from then on, earn the market's feeRate on the part they fund, and are paid what their part of the market maker holds at settlement.
+ *     tags: [Markets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Market ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Points to provide
+ *     responses:
+ *       201:
+ *         description: Liquidity added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Market closed or insufficient balance
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/liquidity', authenticate, addLiquidityValidation, validate, addLiquidity);
+
+/**
+ * @swagger
+ * /api/markets/{id}/liquidity/withdraw:
+ *   post:
+ *     summary: Withdraw liquidity from a market's AMM pool
+ *     description: Redeems LP shares and pays out unpaid fees. The pool keeps enough of the provider's part to pay the shares it sold on any outcome; the rest is paid out. Prices do not move. Only possible while the market is trading; afterwards the pool is paid out at settlement.
+ *     tags: [Markets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Market ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               shares:
+ *                 type: number
+ *                 description: LP shares to redeem (all when omitted)
+ *     responses:
+ *       200:
+ *         description: Liquidity withdrawn
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Market closed or insufficient LP shares
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/liquidity/withdraw', authenticate, removeLiquidityValidation, validate, removeLiquidity);
+
+/**
+ * @swagger
+ * /api/markets/{id}/disputes:
+ *   post:
+ *     summary: Dispute a proposed market outcome
+ *     description: Open to traders of the market (other than the resolver) while the dispute window is open. The stake (at least DISPUTE_MIN_STAKE points) is held until a moderator rules - refunded if the dispute is upheld, forfeited to the treasury if rejected. Payouts are on hold while the dispute is open.
+ *     tags: [Markets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Market ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stake
+ *               - reason
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 description: Outcome claimed to be correct (option label or invalid)
+ *               optionIndex:
+ *                 type: integer
+ *                 description: Claimed winning option (alternative to outcome)
+ *               stake:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *               evidence:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Dispute opened
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: No proposed outcome, window closed, already disputed, same outcome or insufficient balance
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not a trader of this market, or the resolver
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   get:
+ *     summary: Get the disputes of a market
+ *     tags: [Markets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Market ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, upheld, rejected]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
+ *     responses:
+ *       200:
+ *         description: Disputes retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ */
+router.post('/:id/disputes', authenticate, createDisputeValidation, validate, createDispute);
+router.get('/:id/disputes', getDisputesValidation, validate, getDisputes);
+
+/**
+ * @swagger
+ * /api/markets/{id}/disputes/{disputeId}/ruling:
+ *   post:
+ *     summary: Rule on a dispute
+ *     description: Restricted to moderators who are neither the challenger nor the resolver. Upholding replaces the proposed outcome with the claimed one and refunds the stake; rejecting forfeits the stake. If the dispute window has already closed the market settles immediately.
+ *     tags: [Markets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Market ID
+ *       - in: path
+ *         name: disputeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Dispute ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [uphold, reject]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dispute ruled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Dispute already ruled on
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not a moderator, or a party to the dispute
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/disputes/:disputeId/ruling', authenticate, ruleOnDisputeValidation, validate, ruleOnDispute);
+
+export default router;
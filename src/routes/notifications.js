@@ -1,16 +1,100 @@
 import express from 'express';
+import { body, param, query } from 'express-validator';
 import {
     getNotifications,
+    getGroupedNotifications,
     markAsRead,
     markAllAsRead,
+    archiveNotification,
+    unarchiveNotification,
+    deleteNotification,
+    deleteAllNotifications,
     subscribeDevice,
     unsubscribeDevice,
+    getSettings,
     updateSettings,
+    muteTarget,
+    unmuteTarget,
 } from '../controllers/notificationController.js';
 import { authenticate } from '../middleware/auth.js';
+import { validate, paginationValidation } from '../middleware/validation.js';
 
 const router = express.Router();
 
+const listValidation = [
+    ...paginationValidation,
+    query(['unreadOnly', 'archived'])
+        .optional()
+        .isBoolean()
+        .withMessage('Filter must be true or false'),
+];
+
+const deleteAllValidation = [
+    query(['readOnly', 'archivedOnly'])
+        .optional()
+        .isBoolean()
+        .withMessage('Filter must be true or false'),
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isTimezone = (value) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const settingsValidation = [
+    body(['settings.email', 'settings.push', 'settings.comments', 'settings.follows', 'settings.mentions'])
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('Setting must be a boolean'),
+    body('settings.digest')
+        .optional()
+        .isIn(['off', 'daily', 'weekly'])
+        .withMessage('Digest must be off, daily or weekly'),
+    body(['settings.types', 'settings.types.*'])
+        .optional()
+        .isObject()
+        .withMessage('Type preferences must map types to { inApp, push, email }'),
+    body('settings.types.*.*')
+        .isBoolean({ strict: true })
+        .withMessage('Channel preference must be a boolean'),
+    body('settings.quietHours.enabled')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('quietHours.enabled must be a boolean'),
+    body(['settings.quietHours.start', 'settings.quietHours.end'])
+        .optional()
+        .matches(TIME_PATTERN)
+        .withMessage('Quiet hours must be HH:mm (24-hour)'),
+    body('settings.quietHours.timezone')
+        .optional()
+        .custom(isTimezone)
+        .withMessage('Timezone must be an IANA name such as Europe/Berlin'),
+];
+
+const muteValidation = [
+    body('targetType')
+        .isIn(['post', 'poll', 'community'])
+        .withMessage('Target type must be post, poll or community'),
+    body('targetId')
+        .isMongoId()
+        .withMessage('Invalid target ID'),
+];
+
+const unmuteValidation = [
+    param('targetType')
+        .isIn(['post', 'poll', 'community'])
+        .withMessage('Target type must be post, poll or community'),
+    param('targetId')
+        .isMongoId()
+        .withMessage('Invalid target ID'),
+];
+
 /**
  * @swagger
  * /api/notifications:
@@ -30,6 +114,25 @@ const router = express.Router();
  *         schema:
  *           type: integer
  *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
+ *       - in: query
+ *         name: unreadOnly
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: archived
+ *         schema:
+ *           type: boolean
+ *         description: List archived notifications instead of the inbox
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated notification types, e.g. mention,comment_reply
  *     responses:
  *       200:
  *         description: Notifications retrieved successfully
@@ -37,10 +140,82 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   delete:
+ *     summary: Delete all notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: readOnly
+ *         schema:
+ *           type: boolean
+ *         description: Only delete read notifications
+ *       - in: query
+ *         name: archivedOnly
+ *         schema:
+ *           type: boolean
+ *         description: Only delete archived notifications
+ *     responses:
+ *       200:
+ *         description: Notifications deleted (data.deletedCount)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/', authenticate, listValidation, validate, getNotifications);
+router.delete('/', authenticate, deleteAllValidation, validate, deleteAllNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/grouped:
+ *   get:
+ *     summary: Get inbox notifications grouped by post, poll or market
+ *     description: Each group has the entity, count, unreadCount, types and the latest notification. Notifications without a related post, poll or market are not included.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated notification types
+ *     responses:
+ *       200:
+ *         description: Notification groups retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/', authenticate, getNotifications);
+router.get('/grouped', authenticate, listValidation, validate, getGroupedNotifications);
 
 /**
  * @swagger
@@ -89,6 +264,64 @@ router.put('/:id/read', authenticate, markAsRead);
  */
 router.put('/read-all', authenticate, markAllAsRead);
 
+/**
+ * @swagger
+ * /api/notifications/{id}/archive:
+ *   put:
+ *     summary: Archive a notification
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification archived
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id/archive', authenticate, archiveNotification);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/unarchive:
+ *   put:
+ *     summary: Move an archived notification back to the inbox
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification moved to inbox
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id/unarchive', authenticate, unarchiveNotification);
+
 /**
  * @swagger
  * /api/notifications/device-token:
@@ -108,7 +341,7 @@ router.put('/read-all', authenticate, markAllAsRead);
  *             properties:
  *               token:
  *                 type: string
- *                 description: FCM Device Token
+ *                 description: Device token for the server push provider (FCM or APNs token, or a JSON Web Push subscription)
  *               platform:
  *                 type: string
  *                 enum: [ios, android, web]
@@ -155,11 +388,32 @@ router.post('/device-token', authenticate, subscribeDevice);
  */
 router.delete('/device-token', authenticate, unsubscribeDevice);
 
+/**
+ * @swagger
+ * /api/notifications/settings:
+ *   get:
+ *     summary: Get notification settings
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current notification settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/settings', authenticate, getSettings);
+
 /**
  * @swagger
  * /api/notifications/settings:
  *   put:
  *     summary: Update notification settings
+ *     description: Only the settings sent change; types and quietHours are merged key by key.
  *     tags: [Notifications]
  *     security:
  *       - bearerAuth: []
@@ -170,13 +424,58 @@ router.delete('/device-token', authenticate, unsubscribeDevice);
  *           schema:
  *             type: object
  *             properties:
- *               emailNotifications:
- *                 type: boolean
- *               pushNotifications:
- *                 type: boolean
- *               types:
+ *               settings:
  *                 type: object
- *                 description: Map of notification types to boolean
+ *                 properties:
+ *                   email:
+ *                     type: boolean
+ *                     description: Master switch for email
+ *                   push:
+ *                     type: boolean
+ *                     description: Master switch for push
+ *                   comments:
+ *                     type: boolean
+ *                     description: Legacy switch for comment notifications (used when types has no inApp preference)
+ *                   follows:
+ *                     type: boolean
+ *                     description: Legacy switch for follow notifications
+ *                   mentions:
+ *                     type: boolean
+ *                     description: Legacy switch for mention notifications
+ *                   digest:
+ *                     type: string
+ *                     enum: [off, daily, weekly]
+ *                     description: Summary email of unread notifications, community posts and expiring markets
+ *                   types:
+ *                     type: object
+ *                     description: Channel preferences keyed by notification type (follow, post_like, mention, market_resolved, ...)
+ *                     additionalProperties:
+ *                       type: object
+ *                       properties:
+ *                         inApp:
+ *                           type: boolean
+ *                         push:
+ *                           type: boolean
+ *                         email:
+ *                           type: boolean
+ *                     example:
+ *                       post_like: { push: false }
+ *                       follow: { email: true }
+ *                   quietHours:
+ *                     type: object
+ *                     description: Push and email are held back in this window
+ *                     properties:
+ *                       enabled:
+ *                         type: boolean
+ *                       start:
+ *                         type: string
+ *                         example: '22:00'
+ *                       end:
+ *                         type: string
+ *                         example: '07:00'
+ *                       timezone:
+ *                         type: string
+ *                         example: Europe/Berlin
  *     responses:
  *       200:
  *         description: Settings updated successfully
@@ -184,9 +483,114 @@ router.delete('/device-token', authenticate, unsubscribeDevice);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.put('/settings', authenticate, settingsValidation, validate, updateSettings);
+
+/**
+ * @swagger
+ * /api/notifications/mutes:
+ *   post:
+ *     summary: Mute notifications about a post, poll or community
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targetType
+ *               - targetId
+ *             properties:
+ *               targetType:
+ *                 type: string
+ *                 enum: [post, poll, community]
+ *               targetId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Target muted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/mutes', authenticate, muteValidation, validate, muteTarget);
+
+/**
+ * @swagger
+ * /api/notifications/mutes/{targetType}/{targetId}:
+ *   delete:
+ *     summary: Unmute a post, poll or community
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: targetType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [post, poll, community]
+ *       - in: path
+ *         name: targetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Target unmuted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.delete('/mutes/:targetType/:targetId', authenticate, unmuteValidation, validate, unmuteTarget);
+
+/**
+ * @swagger
+ * /api/notifications/{id}:
+ *   delete:
+ *     summary: Delete a notification
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
  */
-router.put('/settings', authenticate, updateSettings);
+// Declared last so /device-token is not taken for an ID
+router.delete('/:id', authenticate, deleteNotification);
 
 export default router;
@@ -7,9 +7,10 @@ import {
     getPolls,
     updatePoll,
     deletePoll,
+    createPollMarket,
 } from '../controllers/pollController.js';
 import { authenticate, optionalAuth } from '../middleware/auth.js';
-import { validate } from '../middleware/validation.js';
+import { validate, paginationValidation } from '../middleware/validation.js';
 import { createContentLimiter, voteLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
@@ -33,6 +34,10 @@ const createPollValidation = [
         .withMessage('Invalid expiry date'),
 ];
 
+const createPollMarketValidation = [
+    body('liquidityParameter').optional().isFloat({ min: 1 }),
+];
+
 const voteValidation = [
     body('optionIndex')
         .isInt({ min: 0, max: 3 })
@@ -104,7 +109,12 @@ router.post('/', authenticate, createContentLimiter, createPollValidation, valid
  *         name: limit
  *         schema:
  *           type: integer
- *           default: 10
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
  *       - in: query
  *         name: sort
  *         schema:
@@ -124,7 +134,7 @@ router.post('/', authenticate, createContentLimiter, createPollValidation, valid
  *             schema:
  *               $ref: '#/components/schemas/Success'
  */
-router.get('/', optionalAuth, getPolls);
+router.get('/', optionalAuth, paginationValidation, validate, getPolls);
 
 /**
  * @swagger
@@ -260,4 +270,47 @@ router.delete('/:id', authenticate, deletePoll);
  */
 router.post('/:id/vote', authenticate, voteLimiter, voteValidation, validate, votePoll);
 
+/**
+ * @swagger
+ * /api/polls/{id}/market:
+ *   post:
+ *     summary: Convert a poll into a prediction market
+ *     description: Creates a market with the poll's question, options (as outcomes, same order) and expiry. Two-option polls become binary markets, larger polls categorical. Allowed for the poll author or a moderator of the poll's community; the poll must be tagged with a company. When the market resolves, the poll is closed with the same outcome.
+ *     tags: [Polls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poll ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               liquidityParameter:
+ *                 type: number
+ *                 description: LMSR liquidity parameter (default 100)
+ *     responses:
+ *       201:
+ *         description: Market created from poll
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Poll already converted, closed, or not tagged with a company
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not the poll author or a community moderator
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/market', authenticate, createPollMarketValidation, validate, createPollMarket);
+
 export default router;
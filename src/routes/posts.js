@@ -1,5 +1,5 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import {
     createPost,
     getPosts,
@@ -13,7 +13,7 @@ import {
     searchPosts,
 } from '../controllers/postController.js';
 import { authenticate, optionalAuth } from '../middleware/auth.js';
-import { validate } from '../middleware/validation.js';
+import { validate, paginationValidation } from '../middleware/validation.js';
 import { createContentLimiter, voteLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
@@ -35,6 +35,18 @@ const createPostValidation = [
         .withMessage('Content must be 1-10000 characters'),
 ];
 
+const getPostsValidation = [
+    query('sort')
+        .optional()
+        .isIn(['hot', 'trending', 'new', 'top'])
+        .withMessage('Sort must be hot, trending, new or top'),
+    query('t')
+        .optional()
+        .isIn(['day', 'week', 'month', 'all'])
+        .withMessage('Time window must be day, week, month or all'),
+    ...paginationValidation,
+];
+
 const voteValidation = [
     body('voteType')
         .isIn(['upvote', 'downvote'])
@@ -112,18 +124,36 @@ router.post('/', authenticate, createContentLimiter, createPostValidation, valid
  *         name: limit
  *         schema:
  *           type: integer
- *           default: 10
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
  *       - in: query
  *         name: sort
  *         schema:
  *           type: string
- *           enum: [latest, popular, controversial]
- *           default: latest
+ *           enum: [hot, trending, new, top]
+ *           default: hot
+ *         description: hot (votes and comments with time decay), trending (engagement in the last 24 hours), new, or top (net votes)
+ *       - in: query
+ *         name: t
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month, all]
+ *           default: all
+ *         description: Time window for sort=top
  *       - in: query
  *         name: community
  *         schema:
  *           type: string
  *         description: Filter by Community ID
+ *       - in: query
+ *         name: company
+ *         schema:
+ *           type: string
+ *         description: Filter by Company ID
  *     responses:
  *       200:
  *         description: Posts retrieved successfully
@@ -131,8 +161,10 @@ router.post('/', authenticate, createContentLimiter, createPostValidation, valid
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/', optionalAuth, getPosts);
+router.get('/', optionalAuth, getPostsValidation, validate, getPosts);
 
 /**
  * @swagger
@@ -0,0 +1,56 @@
+import express from 'express';
+import { streamEvents } from '../controllers/realtimeController.js';
+import { streamAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Realtime Routes
+ * Server-Sent Events stream (the WebSocket endpoint is attached in server.js)
+ */
+
+/**
+ * @swagger
+ * /api/realtime/stream:
+ *   get:
+ *     summary: Subscribe to realtime events (Server-Sent Events)
+ *     description: |
+ *       Keeps the connection open and sends an event whenever something happens on a subscribed channel.
+ *       Channels are post:{id} (post:vote, comment:new), poll:{id} (poll:vote), market:{id} (market:trade)
+ *       and user:{id} (notification, only for the authenticated user). Each event's data is
+ *       { channel, event, data, timestamp }. A ready event lists the subscribed channels.
+ *       EventSource cannot send headers, so the access token may be passed as access_token.
+ *       On non-serverless hosts the same channels are available over WebSocket at /api/realtime/ws.
+ *     tags: [Realtime]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: query
+ *         name: channels
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comma-separated channel names (up to 20), e.g. market:65a1b2c3d4e5f6a7b8c9d0e1,user:60d0fe4f5311236168a109ca
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: Access token, alternative to the Authorization header
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Missing, too many or invalid channels
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: User channel of another user
+ */
+router.get('/stream', streamAuth, streamEvents);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { body, param } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import {
     getUserProfile,
     updateUserProfile,
@@ -8,9 +8,13 @@ import {
     addBookmark,
     removeBookmark,
     getBookmarks,
+    getBalance,
+    getLedgerHistory,
+    getPortfolio,
+    getMentions,
 } from '../controllers/userController.js';
-import { authenticate } from '../middleware/auth.js';
-import { validate } from '../middleware/validation.js';
+import { authenticate, optionalAuth } from '../middleware/auth.js';
+import { validate, paginationValidation } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -36,6 +40,10 @@ const updateProfileValidation = [
         .optional()
         .isURL()
         .withMessage('Avatar must be a valid URL'),
+    body('privacySettings.showPortfolio')
+        .optional()
+        .isBoolean()
+        .withMessage('showPortfolio must be a boolean'),
 ];
 
 const addBookmarkValidation = [
@@ -47,8 +55,140 @@ const addBookmarkValidation = [
         .withMessage('Invalid item ID'),
 ];
 
+const ledgerHistoryValidation = [
+    ...paginationValidation,
+    query('reason')
+        .optional()
+        .isIn([
+            'signup_grant',
+            'market_buy',
+            'market_sell',
+            'market_payout',
+            'order_escrow',
+            'order_fill',
+            'order_refund',
+            'dispute_stake',
+            'dispute_refund',
+            'dispute_forfeit',
+            'liquidity_add',
+            'liquidity_remove',
+            'trading_fee',
+            'lp_fee',
+        ])
+        .withMessage('Invalid ledger reason'),
+];
+
+const mentionsValidation = [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('type')
+        .optional()
+        .isIn(['post', 'comment'])
+        .withMessage('Type must be post or comment'),
+];
+
 // Routes
 
+/**
+ * @swagger
+ * /api/users/me/balance:
+ *   get:
+ *     summary: Get current user's points balance
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Balance retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/me/balance', authenticate, getBalance);
+
+/**
+ * @swagger
+ * /api/users/me/ledger:
+ *   get:
+ *     summary: Get current user's points ledger history
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [signup_grant, market_buy, market_sell, market_payout, order_escrow, order_fill, order_refund, dispute_stake, dispute_refund, dispute_forfeit, liquidity_add, liquidity_remove, trading_fee, lp_fee]
+ *     responses:
+ *       200:
+ *         description: Ledger entries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/me/ledger', authenticate, ledgerHistoryValidation, validate, getLedgerHistory);
+
+/**
+ * @swagger
+ * /api/users/me/mentions:
+ *   get:
+ *     summary: Get posts and comments that @mention the current user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [post, comment]
+ *         description: Only mentions in posts or in comments
+ *     responses:
+ *       200:
+ *         description: Mentions retrieved successfully, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/me/mentions', authenticate, mentionsValidation, validate, getMentions);
+
 /**
  * @swagger
  * /api/users/{id}:
@@ -102,6 +242,12 @@ router.get('/:id', getUserProfile);
  *                 type: string
  *               avatar:
  *                 type: string
+ *               privacySettings:
+ *                 type: object
+ *                 properties:
+ *                   showPortfolio:
+ *                     type: boolean
+ *                     description: Let other users see your market portfolio
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -114,6 +260,37 @@ router.get('/:id', getUserProfile);
  */
 router.put('/:id', authenticate, updateProfileValidation, validate, updateUserProfile);
 
+/**
+ * @swagger
+ * /api/users/{id}/portfolio:
+ *   get:
+ *     summary: Get a user's prediction market portfolio
+ *     description: Open positions valued at current market prices, plus resolved and fully sold positions. Visible to the owner, or to everyone if the user enabled privacySettings.showPortfolio.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Portfolio retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       403:
+ *         description: Portfolio is private
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/portfolio', optionalAuth, getPortfolio);
+
 /**
  * @swagger
  * /api/users/{id}/follow:
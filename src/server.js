@@ -11,6 +11,11 @@ import errorHandler from './middleware/errorHandler.js';
 import { swaggerSpec, swaggerUi, swaggerUiOptions } from './config/swagger.js';
 import { validateEnv } from './config/envValidation.js';
 import { apiLimiter } from './middleware/rateLimiter.js';
+import { startScheduler } from './jobs/scheduler.js';
+import { attachWebSocketServer } from './config/websocket.js';
+import { registerNotificationHandlers } from './services/notificationService.js';
+import { registerPushDelivery } from './services/pushService.js';
+import { registerEmailDelivery } from './services/mailService.js';
 import {
     requestId,
     checkRequestSize,
@@ -28,9 +33,11 @@ import pollRoutes from './routes/polls.js';
 import communityRoutes from './routes/communities.js';
 import bowlRoutes from './routes/bowls.js';
 import companyRoutes from './routes/companies.js';
+import marketRoutes from './routes/markets.js';
 import notificationRoutes from './routes/notifications.js';
 import feedRoutes from './routes/feed.js';
 import walletRoutes from './routes/wallet.js';
+import realtimeRoutes from './routes/realtime.js';
 
 // Load environment variables
 dotenv.config();
@@ -50,6 +57,11 @@ const app = express();
 // Connect to database
 connectDB();
 
+// Notifications for follows, comments, votes and moderator changes
+registerNotificationHandlers();
+registerPushDelivery();
+registerEmailDelivery();
+
 // Security Middleware
 app.use(requestId);
 app.use(helmet({
@@ -156,9 +168,11 @@ app.use('/api/polls', pollRoutes);
 app.use('/api/communities', communityRoutes);
 app.use('/api/bowls', bowlRoutes);
 app.use('/api/companies', companyRoutes);
+app.use('/api/markets', marketRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/feed', feedRoutes);
 app.use('/api/wallet', walletRoutes);
+app.use('/api/realtime', realtimeRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -184,9 +198,17 @@ if (process.env.VERCEL !== '1') {
         console.log(`🏥 Health check: http://localhost:${PORT}/health\n`);
     });
 
+    // Background jobs (market/poll expiry); disable when running scripts/worker.js separately
+    const stopScheduler = process.env.ENABLE_SCHEDULER !== 'false' ? startScheduler() : () => {};
+
+    // Realtime channel over WebSocket (serverless hosts only get the SSE stream)
+    const closeWebSocket = process.env.ENABLE_WEBSOCKET !== 'false' ? attachWebSocketServer(server) : () => {};
+
     // Graceful shutdown
     process.on('SIGTERM', () => {
         console.log('SIGTERM signal received: closing HTTP server');
+        stopScheduler();
+        closeWebSocket();
         server.close(() => {
             console.log('HTTP server closed');
             process.exit(0);
@@ -0,0 +1,120 @@
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import Post from '../models/Post.js';
+import Market from '../models/Market.js';
+import { isMailEnabled, sendMail } from './mailService.js';
+import { digestEmail } from './mail/templates.js';
+
+/**
+ * Digest Service
+ * Opt-in daily or weekly email (notificationSettings.digest) summarizing
+ * unread notifications, top posts in the user's communities since the last
+ * digest and markets expiring before the next one.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+export const DIGEST_PERIODS = {
+    daily: DAY,
+    weekly: 7 * DAY,
+};
+
+const MAX_DIGESTS_PER_RUN = 100; // Remaining users are picked up on the next run
+const DIGEST_ITEMS = 5;
+
+/**
+ * Collect the content of a user's digest
+ * @param {Document} user - User with joinedCommunities
+ * @param {Date} since - Start of the period covered
+ * @param {Date} until - End of the period covered (now)
+ * @param {Number} period - Period length in milliseconds
+ * @returns {Object} { unreadCount, notifications, posts, markets }
+ */
+export const buildDigest = async (user, since, until, period) => {
+    const unreadQuery = { recipient: user._id, isRead: false, isArchived: { $ne: true } };
+    const unreadCount = await Notification.countDocuments(unreadQuery);
+    const notifications = await Notification.find(unreadQuery)
+        .sort({ createdAt: -1 })
+        .limit(DIGEST_ITEMS * 2)
+        .select('title type actionUrl createdAt');
+
+    const posts = user.joinedCommunities?.length > 0 ? await Post.aggregate([
+        {
+            $match: {
+                community: { $in: user.joinedCommunities },
+                isActive: true,
+                createdAt: { $gte: since, $lte: until },
+            },
+        },
+        {
+            $project: {
+                title: 1,
+                community: 1,
+                createdAt: 1,
+                voteScore: { $subtract: [{ $size: '$upvotes' }, { $size: '$downvotes' }] },
+            },
+        },
+        { $sort: { voteScore: -1, createdAt: -1 } },
+        { $limit: DIGEST_ITEMS },
+    ]) : [];
+
+    const markets = await Market.find({
+        isClosed: false,
+        isResolved: false,
+        expiresAt: { $gt: until, $lte: new Date(until.getTime() + period) },
+    })
+        .sort({ totalVolume: -1 })
+        .limit(DIGEST_ITEMS)
+        .select('question company expiresAt');
+
+    return { unreadCount, notifications, posts, markets };
+};
+
+/**
+ * Send the digests that are due
+ * @returns {Number} Digests sent
+ */
+export const sendDueDigests = async (now = new Date()) => {
+    if (!isMailEnabled()) return 0;
+
+    let claimed = 0;
+    let sent = 0;
+    const failed = [];
+
+    for (const [frequency, period] of Object.entries(DIGEST_PERIODS)) {
+        while (claimed < MAX_DIGESTS_PER_RUN) {
+            // Claim one user at a time so concurrent workers never send twice;
+            // the previous digestSentAt starts the period covered
+            const user = await User.findOneAndUpdate(
+                {
+                    'notificationSettings.digest': frequency,
+                    email: { $exists: true, $ne: null },
+                    isActive: { $ne: false },
+                    _id: { $nin: failed },
+                    $or: [{ digestSentAt: null }, { digestSentAt: { $lte: new Date(now.getTime() - period) } }],
+                },
+                { digestSentAt: now }
+            ).select('username email joinedCommunities digestSentAt');
+
+            if (!user) break;
+            claimed += 1;
+
+            try {
+                const since = user.digestSentAt || new Date(now.getTime() - period);
+                const digest = await buildDigest(user, since, now, period);
+
+                // Nothing to report: skip this period rather than send an empty email
+                if (digest.unreadCount === 0 && digest.posts.length === 0 && digest.markets.length === 0) continue;
+
+                await sendMail({ to: user.email, ...digestEmail({ user, frequency, ...digest }) });
+                sent += 1;
+            } catch (error) {
+                // Release the claim so the next run retries the same period
+                failed.push(user._id);
+                await User.updateOne({ _id: user._id, digestSentAt: now }, { digestSentAt: user.digestSentAt ?? null });
+                console.error(`❌ Digest for user ${user._id} failed: ${error.message}`);
+            }
+        }
+    }
+
+    return sent;
+};
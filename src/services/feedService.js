@@ -0,0 +1,296 @@
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import Company from '../models/Company.js';
+import AppError from '../utils/appError.js';
+import { createCache } from '../utils/cache.js';
+import { encodeCursor } from '../utils/pagination.js';
+import * as ranking from '../utils/ranking.js';
+
+/**
+ * Feed Service
+ * Ranks the for-you feed. Candidates are recent posts from the user's
+ * communities and bowls, from authors they follow or engaged with and
+ * tagging companies they took a side on, plus popular posts for discovery.
+ * Each post scores on:
+ * - recency: halves every RECENCY_HALF_LIFE
+ * - engagement: log-scaled points and trending score
+ * - affinity: one weight per signal the post matches (see WEIGHTS)
+ * The ranking is then reordered so no author or community crowds a block
+ * of the feed, and each item explains its strongest signal.
+ *
+ * A ranking is kept per user for RANKING_TTL so later pages follow the
+ * same order; requesting the first page always ranks afresh. Rankings live
+ * in this process only, at most RANKING_CACHE_SIZE of them (least recently
+ * used dropped first).
+ */
+
+const HOUR = 60 * 60 * 1000;
+const CANDIDATE_WINDOW = 7 * 24 * HOUR;
+const CANDIDATE_LIMIT = 300;
+const DISCOVERY_LIMIT = 50;
+const HISTORY_LIMIT = 200; // Recent upvotes and comments read for author affinity
+const RECENCY_HALF_LIFE = 24 * HOUR;
+
+const RANKING_TTL = 10 * 60 * 1000; // 10 minutes in milliseconds
+const RANKING_CACHE_SIZE = 1000;
+
+// Kept apart from the shared cache so feed readers do not evict leaderboards
+const rankings = createCache({ maxEntries: RANKING_CACHE_SIZE });
+
+const WEIGHTS = {
+    recency: 1,
+    engagement: 0.5, // Per order of magnitude of points or trending score
+    following: 1.5,
+    author: 0.5, // Per doubling of past interactions, up to `following`
+    community: 1,
+    bowl: 0.75,
+    company: 0.75,
+};
+
+// Caps per block of DIVERSITY.window consecutive items
+export const DIVERSITY = {
+    window: 10,
+    perAuthor: 2,
+    perCommunity: 3,
+};
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+/**
+ * Collect the signals the feed is personalized on
+ * @param {Document} user - User with following, joinedCommunities and joinedBowls
+ * @returns {Object} Sets of ids plus authors (id → interactions) and companies (id → sentiment)
+ */
+export const buildProfile = async (user) => {
+    const authors = new Map();
+    const addAuthor = (author, amount) => {
+        const id = idOf(author);
+        if (!id || id === user._id.toString()) return;
+        authors.set(id, (authors.get(id) || 0) + amount);
+    };
+
+    const upvoted = await Post.find({ upvotes: user._id })
+        .sort({ createdAt: -1 })
+        .limit(HISTORY_LIMIT)
+        .select('author')
+        .lean();
+    upvoted.forEach(post => addAuthor(post.author, 1));
+
+    // A comment says more than a vote
+    const comments = await Comment.find({ author: user._id, post: { $ne: null } })
+        .sort({ createdAt: -1 })
+        .limit(HISTORY_LIMIT)
+        .select('post')
+        .populate('post', 'author')
+        .lean();
+    comments.forEach(comment => addAuthor(comment.post?.author, 2));
+
+    const companies = new Map();
+    for (const sentiment of ['bullish', 'bearish']) {
+        const tagged = await Company.find({ [`${sentiment}Users`]: user._id }).select('ticker').lean();
+        tagged.forEach(company => companies.set(company._id.toString(), { ticker: company.ticker, sentiment }));
+    }
+
+    return {
+        following: new Set((user.following || []).map(idOf)),
+        communities: new Set((user.joinedCommunities || []).map(idOf)),
+        bowls: new Set((user.joinedBowls || []).map(idOf)),
+        authors,
+        companies,
+    };
+};
+
+/**
+ * Signals a post matches, strongest first
+ * @param {Object} post - Post with author, community, bowl and companyTags populated
+ * @param {Object} profile - From buildProfile
+ * @returns {Object[]} { weight, explanation }
+ */
+export const affinityReasons = (post, profile) => {
+    const reasons = [];
+    const authorId = idOf(post.author);
+    const username = post.author?.username;
+
+    if (profile.following.has(authorId)) {
+        reasons.push({ weight: WEIGHTS.following, explanation: `because you follow u/${username}` });
+    } else if (profile.authors.has(authorId)) {
+        const weight = Math.min(WEIGHTS.author * Math.log2(1 + profile.authors.get(authorId)), WEIGHTS.following);
+        reasons.push({ weight, explanation: `because you engaged with u/${username}` });
+    }
+
+    if (post.community && profile.communities.has(idOf(post.community))) {
+        reasons.push({ weight: WEIGHTS.community, explanation: `because you joined c/${post.community.name}` });
+    }
+
+    if (post.bowl && profile.bowls.has(idOf(post.bowl))) {
+        reasons.push({ weight: WEIGHTS.bowl, explanation: `because you joined b/${post.bowl.name}` });
+    }
+
+    // Several tagged companies count once
+    const company = (post.companyTags || []).find(tag => profile.companies.has(idOf(tag)));
+    if (company) {
+        const { ticker, sentiment } = profile.companies.get(idOf(company));
+        reasons.push({ weight: WEIGHTS.company, explanation: `because you're ${sentiment} on $${ticker}` });
+    }
+
+    return reasons.sort((a, b) => b.weight - a.weight);
+};
+
+/**
+ * Score a post for a user
+ * @param {Object} post - Candidate post
+ * @param {Object} profile - From buildProfile
+ * @param {Date} now - Current time
+ * @returns {Object} { score, explanation }
+ */
+export const scorePost = (post, profile, now) => {
+    const age = Math.max(0, now - post.createdAt);
+    const recency = Math.pow(0.5, age / RECENCY_HALF_LIFE);
+
+    const postPoints = Math.max(0, ranking.points(post.voteScore || 0, post.commentCount || 0));
+    const engagement = Math.log10(1 + postPoints) + Math.log10(1 + (post.trendingScore || 0));
+
+    const reasons = affinityReasons(post, profile);
+    const affinity = reasons.reduce((sum, reason) => sum + reason.weight, 0);
+
+    return {
+        score: WEIGHTS.recency * recency + WEIGHTS.engagement * engagement + affinity,
+        explanation: reasons[0]?.explanation || (postPoints > 0 ? 'popular right now' : 'recently posted'),
+    };
+};
+
+/**
+ * Reorder ranked items so that every block of DIVERSITY.window items has at
+ * most perAuthor posts by one author and perCommunity from one community.
+ * Items that do not fit move to the next block; a block is filled in score
+ * order when too few items remain to honour the caps.
+ * @param {Object[]} items - Ranked items with author and community ids
+ * @returns {Object[]} Reordered items
+ */
+export const diversify = (items) => {
+    const remaining = [...items];
+    const ordered = [];
+
+    while (remaining.length > 0) {
+        const authors = new Map();
+        const communities = new Map();
+        const block = [];
+
+        for (let i = 0; i < remaining.length && block.length < DIVERSITY.window;) {
+            const { author, community } = remaining[i];
+            const fits = (authors.get(author) || 0) < DIVERSITY.perAuthor
+                && (!community || (communities.get(community) || 0) < DIVERSITY.perCommunity);
+
+            if (fits) {
+                block.push(...remaining.splice(i, 1));
+                authors.set(author, (authors.get(author) || 0) + 1);
+                if (community) communities.set(community, (communities.get(community) || 0) + 1);
+            } else {
+                i += 1;
+            }
+        }
+
+        while (block.length < DIVERSITY.window && remaining.length > 0) {
+            block.push(remaining.shift());
+        }
+
+        ordered.push(...block);
+    }
+
+    return ordered;
+};
+
+/**
+ * Rank the for-you feed of a user
+ * @param {Document} user - Current user
+ * @param {Date} now - Current time
+ * @returns {Object[]} Entries in feed order ({ post: id, explanation })
+ */
+export const rankForYou = async (user, now = new Date()) => {
+    const profile = await buildProfile(user);
+    const base = {
+        isActive: true,
+        author: { $ne: user._id },
+        createdAt: { $gte: new Date(now.getTime() - CANDIDATE_WINDOW) },
+    };
+
+    const populate = (query) => query
+        .select('author community bowl companyTags voteScore commentCount trendingScore createdAt')
+        .populate('author', 'username')
+        .populate('community', 'name')
+        .populate('bowl', 'name')
+        .populate('companyTags', 'ticker')
+        .lean();
+
+    const personal = await populate(Post.find({
+        ...base,
+        $or: [
+            { community: { $in: [...profile.communities] } },
+            { bowl: { $in: [...profile.bowls] } },
+            { author: { $in: [...profile.following, ...profile.authors.keys()] } },
+            { companyTags: { $in: [...profile.companies.keys()] } },
+        ],
+    })
+        .sort({ hotScore: -1 })
+        .limit(CANDIDATE_LIMIT));
+
+    const discovery = await populate(Post.find({ ...base, _id: { $nin: personal.map(post => post._id) } })
+        .sort({ hotScore: -1 })
+        .limit(DISCOVERY_LIMIT));
+
+    const ranked = [...personal, ...discovery]
+        .map(post => ({
+            post: post._id.toString(),
+            author: idOf(post.author),
+            community: idOf(post.community),
+            ...scorePost(post, profile, now),
+        }))
+        .sort((a, b) => b.score - a.score || b.post.localeCompare(a.post));
+
+    return diversify(ranked).map(({ post, explanation }) => ({ post, explanation }));
+};
+
+/**
+ * Get one page of the for-you feed
+ * @param {Document} user - Current user
+ * @param {Object} pagination - From getPagination
+ * @returns {Object} { items, nextCursor } (items are posts with an explanation)
+ */
+export const getForYouPage = async (user, { limit, skip, page, cursor }) => {
+    if (cursor && !(Number.isInteger(cursor.position) && cursor.position >= 0)) {
+        throw new AppError(400, 'Cursor does not match the requested sort');
+    }
+
+    const key = user._id.toString();
+    const fresh = !cursor && page === 1;
+    let ranked = fresh ? undefined : rankings.get(key);
+
+    // An expired or evicted ranking is rebuilt; the page may then repeat a few posts
+    if (!ranked) {
+        ranked = await rankForYou(user);
+        rankings.set(key, ranked, RANKING_TTL);
+    }
+
+    const position = cursor ? cursor.position : skip;
+    const entries = ranked.slice(position, position + limit);
+
+    const posts = await Post.find({ _id: { $in: entries.map(entry => entry.post) }, isActive: true })
+        .select('-recentActivity')
+        .populate('author', 'username avatar')
+        .populate('community', 'name displayName avatar')
+        .populate('companyTags', 'name ticker logo');
+    const byId = new Map(posts.map(post => [post._id.toString(), post]));
+
+    // Posts removed since the ranking was built are left out
+    const items = entries
+        .filter(entry => byId.has(entry.post))
+        .map(entry => ({ ...byId.get(entry.post).toObject(), explanation: entry.explanation }));
+
+    const next = position + limit;
+    return {
+        items,
+        nextCursor: next < ranked.length
+            ? encodeCursor({ position: next }, { position: 1 })
+            : null,
+    };
+};
@@ -0,0 +1,194 @@
+import Market from '../models/Market.js';
+import Company from '../models/Company.js';
+import { getCached, setCached, clearCache } from '../utils/cache.js';
+
+/**
+ * Leaderboard Service
+ * Ranks traders over resolved markets by realized P&L, ROI and forecasting accuracy.
+ *
+ * Accuracy is a Brier-style score: the squared error between the average price
+ * paid for an option (the trader's implied probability) and its outcome (1 or 0),
+ * averaged over positions in markets that did not resolve invalid. Lower is better.
+ *
+ * Traders who keep their portfolio private (privacySettings.showPortfolio) are
+ * still ranked, but listed anonymously.
+ */
+
+const CACHE_PREFIX = 'leaderboard:';
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes in milliseconds
+
+const DAY = 24 * 60 * 60 * 1000;
+export const LEADERBOARD_WINDOWS = {
+    '7d': 7 * DAY,
+    '30d': 30 * DAY,
+    all: null,
+};
+
+// Sort stage per ranking; ties fall back to realized P&L
+const SORTS = {
+    pnl: { realizedPnl: -1, roi: -1 },
+    roi: { roi: -1, realizedPnl: -1 },
+    accuracy: { brierScore: 1, realizedPnl: -1 },
+};
+export const LEADERBOARD_SORTS = Object.keys(SORTS);
+
+/**
+ * Build the aggregation pipeline over resolved markets
+ * @param {Object} match - $match on markets (resolution window, companies)
+ * @param {String} sortBy - pnl | roi | accuracy
+ * @param {Number} limit - Number of traders returned
+ * @returns {Object[]} Pipeline stages
+ */
+const buildPipeline = (match, sortBy, limit) => [
+    { $match: match },
+    { $unwind: '$positions' },
+    {
+        $project: {
+            user: '$positions.user',
+            realizedPnl: { $ifNull: ['$positions.realizedPnl', 0] },
+            // Positions opened before lifetime totals were tracked fall back to their cost basis
+            capital: {
+                $cond: [
+                    { $gt: ['$positions.boughtCost', 0] },
+                    '$positions.boughtCost',
+                    '$positions.investedAmount',
+                ],
+            },
+            entryPrice: {
+                $cond: [
+                    { $gt: ['$positions.boughtShares', 0] },
+                    { $divide: ['$positions.boughtCost', '$positions.boughtShares'] },
+                    '$positions.averagePrice',
+                ],
+            },
+            isInvalid: { $eq: ['$resolvedOption', 'invalid'] },
+            won: {
+                $eq: [
+                    {
+                        $ifNull: [
+                            '$positions.optionIndex',
+                            {
+                                $indexOfArray: [
+                                    { $map: { input: '$options', in: { $toLower: '$$this.label' } } },
+                                    '$positions.option',
+                                ],
+                            },
+                        ],
+                    },
+                    '$resolvedOptionIndex',
+                ],
+            },
+        },
+    },
+    {
+        $addFields: {
+            isScored: { $and: [{ $not: ['$isInvalid'] }, { $gt: ['$entryPrice', 0] }] },
+        },
+    },
+    {
+        $group: {
+            _id: '$user',
+            realizedPnl: { $sum: '$realizedPnl' },
+            invested: { $sum: '$capital' },
+            markets: { $addToSet: '$_id' },
+            positions: { $sum: 1 },
+            wins: { $sum: { $cond: [{ $and: ['$isScored', '$won'] }, 1, 0] } },
+            scoredPositions: { $sum: { $cond: ['$isScored', 1, 0] } },
+            brierTotal: {
+                $sum: {
+                    $cond: [
+                        '$isScored',
+                        { $pow: [{ $subtract: ['$entryPrice', { $cond: ['$won', 1, 0] }] }, 2] },
+                        0,
+                    ],
+                },
+            },
+        },
+    },
+    {
+        $project: {
+            realizedPnl: 1,
+            invested: 1,
+            positions: 1,
+            wins: 1,
+            marketsTraded: { $size: '$markets' },
+            roi: {
+                $cond: [{ $gt: ['$invested', 0] }, { $divide: ['$realizedPnl', '$invested'] }, 0],
+            },
+            brierScore: {
+                $cond: [
+                    { $gt: ['$scoredPositions', 0] },
+                    { $divide: ['$brierTotal', '$scoredPositions'] },
+                    null,
+                ],
+            },
+        },
+    },
+    // Traders without a scored position cannot be ranked on accuracy
+    ...(sortBy === 'accuracy' ? [{ $match: { brierScore: { $ne: null } } }] : []),
+    { $sort: SORTS[sortBy] },
+    { $limit: limit },
+    {
+        $lookup: {
+            from: 'users',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'user',
+            pipeline: [{ $project: { username: 1, avatar: 1, 'privacySettings.showPortfolio': 1 } }],
+        },
+    },
+    { $unwind: '$user' },
+];
+
+/**
+ * Get the market leaderboard (cached per filter combination)
+ * @param {Object} options
+ * @param {String} options.window - 7d | 30d | all (by market resolution date)
+ * @param {String} options.sector - Optional company sector
+ * @param {String} options.sortBy - pnl | roi | accuracy
+ * @param {Number} options.limit - Number of traders returned
+ * @returns {Object} { leaderboard, generatedAt }
+ */
+export const getLeaderboard = async ({ window = 'all', sector, sortBy = 'pnl', limit = 50 }) => {
+    const key = `${CACHE_PREFIX}${window}:${sector || 'all'}:${sortBy}:${limit}`;
+    const cached = getCached(key);
+    if (cached) return cached;
+
+    const match = { isResolved: true };
+    if (LEADERBOARD_WINDOWS[window]) {
+        match.resolvedAt = { $gte: new Date(Date.now() - LEADERBOARD_WINDOWS[window]) };
+    }
+    if (sector) {
+        match.company = { $in: await Company.find({ sector }).distinct('_id') };
+    }
+
+    const rows = await Market.aggregate(buildPipeline(match, sortBy, limit));
+
+    const result = {
+        leaderboard: rows.map((row, index) => ({
+            rank: index + 1,
+            user: row.user.privacySettings?.showPortfolio
+                ? { _id: row.user._id, username: row.user.username, avatar: row.user.avatar }
+                : null,
+            realizedPnl: row.realizedPnl,
+            invested: row.invested,
+            roi: row.roi,
+            brierScore: row.brierScore,
+            marketsTraded: row.marketsTraded,
+            positions: row.positions,
+            wins: row.wins,
+        })),
+        generatedAt: new Date(),
+    };
+
+    setCached(key, result, CACHE_TTL);
+    return result;
+};
+
+/**
+ * Drop cached leaderboards (call when a market resolves or a trader changes
+ * their portfolio visibility)
+ */
+export const invalidateLeaderboard = () => {
+    clearCache(CACHE_PREFIX);
+};
@@ -0,0 +1,172 @@
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import { runInTransaction } from '../utils/transaction.js';
+
+/**
+ * Ledger Service
+ * Moves points between accounts and records both legs in the ledger.
+ * Accounts are described as { type: 'user' | 'market' | 'order' | 'dispute' | 'treasury' | 'issuance', id }.
+ * No account can go below zero except issuance, which funds the treasury
+ * once with its fixed supply: every point in circulation comes from there.
+ */
+
+// Read lazily: modules are imported before dotenv runs in server.js
+const getSignupGrant = () => Number(process.env.SIGNUP_GRANT ?? 1000);
+const getTreasurySupply = () => Number(process.env.TREASURY_SUPPLY ?? 1e9);
+
+// Balance shortfalls below this are floating point dust
+const EPSILON = 1e-6;
+
+export const userAccount = (userId) => ({ type: 'user', id: userId });
+export const marketAccount = (marketId) => ({ type: 'market', id: marketId });
+export const orderAccount = (orderId) => ({ type: 'order', id: orderId });
+export const disputeAccount = (disputeId) => ({ type: 'dispute', id: disputeId });
+export const treasuryAccount = () => ({ type: 'treasury', id: null });
+export const issuanceAccount = () => ({ type: 'issuance', id: null });
+
+/**
+ * Apply one leg of a transfer to the account balance
+ * Only user balances are materialized; other account balances are the sum of their entries
+ * @returns {Number|undefined} User balance after the change
+ */
+const applyLeg = async (account, direction, amount, session) => {
+    if (account.type !== 'user') {
+        if (direction === 'debit' && account.type !== 'issuance') {
+            const available = await getAccountBalance(account, session);
+            if (available < amount - EPSILON) {
+                // An empty treasury is an operational limit; any other pool running dry is a bug
+                throw new AppError(account.type === 'treasury' ? 503 : 500, `Insufficient ${account.type} balance`, {
+                    available,
+                    required: amount,
+                });
+            }
+        }
+        return undefined;
+    }
+
+    if (direction === 'debit') {
+        const user = await User.findOneAndUpdate(
+            { _id: account.id, 'balance.available': { $gte: amount } },
+            { $inc: { 'balance.available': -amount } },
+            { new: true, session }
+        );
+        if (!user) {
+            throw new AppError(400, 'Insufficient balance', { required: amount });
+        }
+        return user.balance.available;
+    }
+
+    const user = await User.findByIdAndUpdate(
+        account.id,
+        { $inc: { 'balance.available': amount } },
+        { new: true, session }
+    );
+    if (!user) {
+        throw new AppError(404, 'User not found');
+    }
+    return user.balance.available;
+};
+
+/**
+ * Transfer points between two accounts
+ * Must be called inside a transaction so both legs commit together
+ * @param {Object} params
+ * @param {Object} params.from - Debited account
+ * @param {Object} params.to - Credited account
+ * @param {Number} params.amount - Points to move (positive)
+ * @param {String} params.reason - Ledger reason
+ * @param {ObjectId} params.market - Optional related market
+ * @param {ObjectId} params.trade - Optional related trade
+ * @param {ClientSession} params.session - Transaction session
+ * @returns {Object} Transaction id and the resulting user balances by direction
+ */
+export const transfer = async ({ from, to, amount, reason, market, trade, session }) => {
+    const transaction = new mongoose.Types.ObjectId();
+
+    const debitBalance = await applyLeg(from, 'debit', amount, session);
+    const creditBalance = await applyLeg(to, 'credit', amount, session);
+
+    const common = { transaction, amount, reason, market, trade };
+    await LedgerEntry.create([
+        { ...common, accountType: from.type, accountId: from.id, direction: 'debit', balanceAfter: debitBalance },
+        { ...common, accountType: to.type, accountId: to.id, direction: 'credit', balanceAfter: creditBalance },
+    ], { session, ordered: true });
+
+    return { transaction, debitBalance, creditBalance };
+};
+
+/**
+ * Balance of an account computed from its ledger entries
+ * Used for accounts whose balance is not materialized (markets, orders, disputes)
+ * @param {Object} account - Account
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Number} Credits minus debits
+ */
+export const getAccountBalance = async (account, session) => {
+    const [totals] = await LedgerEntry.aggregate([
+        { $match: { accountType: account.type, accountId: account.id } },
+        {
+            $group: {
+                _id: null,
+                balance: {
+                    $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] },
+                },
+            },
+        },
+    ]).session(session || null);
+
+    return totals ? totals.balance : 0;
+};
+
+let treasuryFunded = false;
+
+/**
+ * Fund the treasury with its supply the first time it is needed
+ * Call before starting a transaction that debits the treasury: a transaction
+ * does not see the funding if it started before it committed
+ */
+export const fundTreasury = async () => {
+    if (treasuryFunded) return;
+
+    if (!(await LedgerEntry.exists({ reason: 'treasury_funding' }))) {
+        try {
+            await runInTransaction(session => transfer({
+                from: issuanceAccount(),
+                to: treasuryAccount(),
+                amount: getTreasurySupply(),
+                reason: 'treasury_funding',
+                session,
+            }));
+        } catch (error) {
+            // Another instance funded it first (the funding entries are unique)
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    treasuryFunded = true;
+};
+
+/**
+ * Credit the signup grant to a new user
+ * Run in the transaction that creates the user, so no account exists
+ * without its grant; call fundTreasury before it starts
+ * @param {ObjectId} userId - New user ID
+ * @param {ClientSession} session - Transaction session
+ * @returns {Number} User balance after the grant
+ */
+export const grantSignupBonus = async (userId, session) => {
+    const amount = getSignupGrant();
+    if (amount <= 0) return 0;
+
+    const { creditBalance } = await transfer({
+        from: treasuryAccount(),
+        to: userAccount(userId),
+        amount,
+        reason: 'signup_grant',
+        session,
+    });
+
+    return creditBalance;
+};
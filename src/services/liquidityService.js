@@ -0,0 +1,305 @@
+import AppError from '../utils/appError.js';
+import * as lmsr from '../utils/lmsr.js';
+import * as ledger from './ledgerService.js';
+
+/**
+ * Liquidity Service
+ * Liquidity providers deepen a market's AMM. Deposits and withdrawals scale
+ * the liquidity parameter and the AMM state together, so prices never move.
+ * Each provider owns a slice of the AMM that behaves like its own market
+ * maker: it takes its share of every trade from the moment it joined, so
+ * adding liquidity, trading and withdrawing again is no better than trading
+ * on the original market. A deposit buys as much depth as it covers in the
+ * worst case (the AMM's loss if the least likely option were pushed to
+ * certainty), which keeps the pool solvent whoever provides liquidity.
+ * Providers earn the trading fee on the part of market maker trades they fund.
+ * Every function must run inside a transaction and mutates the market
+ * document in memory: callers save it.
+ */
+
+// Share amounts below this are treated as zero (floating point dust)
+const EPSILON = 1e-6;
+
+// Liquidity parameter funded per LP share
+const depthPerShare = (market) => 1 / lmsr.maxLoss(1, market.options.length);
+
+// AMM state per unit of liquidity parameter, and its cost C(u)
+const normalizedState = (market) => {
+    const state = market.getQuantities().map(q => q / market.liquidityParameter);
+    return { state, cost: lmsr.cost(state, 1) };
+};
+
+/**
+ * Cash held and shares sold by part of a provider's slice of the AMM
+ * @param {Document} market - Market
+ * @param {Object} provider - Liquidity provider entry
+ * @param {Number} fraction - Part of the provider's slice (0-1)
+ * @returns {Object} { depth, cash, sold } (sold per option, in option order)
+ */
+const sliceOf = (market, provider, fraction) => {
+    const { state, cost } = normalizedState(market);
+    const depth = provider.shares * fraction * depthPerShare(market);
+
+    return {
+        depth,
+        cash: provider.cashBasis * fraction + depth * cost,
+        sold: state.map((u, index) => depth * u + (provider.shareBasis[index] || 0) * fraction),
+    };
+};
+
+// Keep the part of a provider's slice that was not withdrawn
+const shrinkBasis = (provider, keep) => {
+    provider.cashBasis *= keep;
+    provider.shareBasis = provider.shareBasis.map(value => value * keep);
+};
+
+/**
+ * Pay a liquidity provider the fees earned since their last payout
+ * @returns {Number} Fees paid
+ */
+const payPendingFees = async (market, provider, session) => {
+    const fees = market.getPendingFees(provider);
+    provider.feeDebt = provider.shares * market.feesPerLpShare;
+    if (fees <= EPSILON) return 0;
+
+    await ledger.transfer({
+        from: ledger.marketAccount(market._id),
+        to: ledger.userAccount(provider.user),
+        amount: fees,
+        reason: 'lp_fee',
+        market: market._id,
+        session,
+    });
+    provider.feesPaid += fees;
+    return fees;
+};
+
+/**
+ * Fund the part of a market's AMM that liquidity providers do not from the treasury
+ * The market maker loses at most b·ln(n) whatever traders do, so the pool
+ * can always pay out. Call fundTreasury before the transaction starts.
+ * @param {Document} market - Market without a subsidy yet
+ * @param {ClientSession} session - Transaction session
+ * @returns {Number} Points moved into the pool
+ */
+export const fundSubsidy = async (market, session) => {
+    const depth = Math.max(market.liquidityParameter - market.getProvidedDepth(), 0);
+    const amount = lmsr.maxLoss(depth, market.options.length);
+
+    if (amount > 0) {
+        await ledger.transfer({
+            from: ledger.treasuryAccount(),
+            to: ledger.marketAccount(market._id),
+            amount,
+            reason: 'market_subsidy',
+            market: market._id,
+            session,
+        });
+    }
+
+    market.subsidy = amount;
+    return amount;
+};
+
+/**
+ * Return what is left in a settled market's pool to the treasury
+ * Call after traders and liquidity providers were paid: the rest is the
+ * part of the subsidy the market maker did not lose
+ * @param {Document} market - Settled market
+ * @param {ClientSession} session - Transaction session
+ * @returns {Number} Points returned
+ */
+export const returnSubsidy = async (market, session) => {
+    const remaining = await ledger.getAccountBalance(ledger.marketAccount(market._id), session);
+    if (remaining <= 0) return 0;
+
+    await ledger.transfer({
+        from: ledger.marketAccount(market._id),
+        to: ledger.treasuryAccount(),
+        amount: remaining,
+        reason: 'market_subsidy_return',
+        market: market._id,
+        session,
+    });
+    return remaining;
+};
+
+/**
+ * Add liquidity to a market's AMM pool
+ * @param {Object} params
+ * @param {Document} params.market - Market (loaded in the session)
+ * @param {ObjectId} params.userId - Liquidity provider
+ * @param {Number} params.amount - Points provided
+ * @param {ClientSession} params.session - Transaction session
+ * @returns {Object} { provider, fees, balance }
+ */
+export const addLiquidity = async ({ market, userId, amount, session }) => {
+    let provider = market.getLiquidityProvider(userId);
+    if (!provider) {
+        market.liquidityProviders.push({ user: userId });
+        provider = market.liquidityProviders[market.liquidityProviders.length - 1];
+    }
+
+    // Fees earned so far are paid out before the share count changes
+    const fees = await payPendingFees(market, provider, session);
+
+    const { debitBalance } = await ledger.transfer({
+        from: ledger.userAccount(userId),
+        to: ledger.marketAccount(market._id),
+        amount,
+        reason: 'liquidity_add',
+        market: market._id,
+        session,
+    });
+
+    // The new slice starts with the deposit and nothing sold; the most it can
+    // lose per unit of depth is C(u) - u_i for the least likely option i
+    const { state, cost } = normalizedState(market);
+    const depth = amount / (cost - Math.min(...state));
+    const lpShares = depth / depthPerShare(market);
+
+    provider.cashBasis += amount - depth * cost;
+    provider.shareBasis = state.map((u, index) => (provider.shareBasis[index] || 0) - depth * u);
+    market.setLiquidityParameter(market.liquidityParameter + depth);
+
+    provider.shares += lpShares;
+    provider.deposited += amount;
+    provider.feeDebt = provider.shares * market.feesPerLpShare;
+    market.totalLpShares += lpShares;
+    market.totalLiquidity += amount;
+
+    return { provider, fees, balance: debitBalance };
+};
+
+/**
+ * Withdraw liquidity from a market's AMM pool
+ * The provider's slice leaves the AMM; the shares it sold stay with traders,
+ * so the pool keeps enough of its cash to pay them on any outcome and the
+ * provider is paid the rest
+ * @param {Object} params
+ * @param {Document} params.market - Market (loaded in the session)
+ * @param {ObjectId} params.userId - Liquidity provider
+ * @param {Number} params.shares - LP shares to redeem (all when omitted)
+ * @param {ClientSession} params.session - Transaction session
+ * @returns {Object} { provider, amount, fees, balance }
+ */
+export const removeLiquidity = async ({ market, userId, shares, session }) => {
+    const provider = market.getLiquidityProvider(userId);
+    const available = provider ? provider.shares : 0;
+    const amount = shares === undefined ? available : shares;
+
+    if (amount <= EPSILON || amount > available + EPSILON) {
+        throw new AppError(400, 'Insufficient LP shares', { available });
+    }
+
+    const fees = await payPendingFees(market, provider, session);
+
+    const fraction = Math.min(amount / available, 1);
+    const slice = sliceOf(market, provider, fraction);
+    const paid = Math.max(slice.cash - Math.max(...slice.sold), 0);
+
+    market.setLiquidityParameter(market.liquidityParameter - slice.depth);
+    market.totalLiquidity = Math.max(market.totalLiquidity * (1 - amount / market.totalLpShares), 0);
+    shrinkBasis(provider, 1 - fraction);
+
+    const balance = paid > EPSILON
+        ? (await ledger.transfer({
+            from: ledger.marketAccount(market._id),
+            to: ledger.userAccount(userId),
+            amount: paid,
+            reason: 'liquidity_remove',
+            market: market._id,
+            session,
+        })).creditBalance
+        : await ledger.getAccountBalance(ledger.userAccount(userId), session);
+
+    provider.shares = Math.max(provider.shares - amount, 0);
+    provider.withdrawn += paid;
+    provider.feeDebt = provider.shares * market.feesPerLpShare;
+    market.totalLpShares = Math.max(market.totalLpShares - amount, 0);
+
+    return { provider, amount: paid, fees, balance };
+};
+
+/**
+ * Charge the trading fee on the market maker part of a trade
+ * Nothing is charged while the market has no liquidity providers
+ * @param {Object} params
+ * @param {Document} params.market - Market (loaded in the session)
+ * @param {ObjectId} params.userId - Trader
+ * @param {Number} params.amount - Amount traded with the market maker
+ * @param {ObjectId} params.tradeId - Trade id recorded on ledger entries
+ * @param {ClientSession} params.session - Transaction session
+ * @returns {Object} { fee, balance } (balance is undefined when no fee was charged)
+ */
+export const chargeTradingFee = async ({ market, userId, amount, tradeId, session }) => {
+    const fee = market.getTradingFee(amount);
+    if (fee <= 0) return { fee: 0 };
+
+    const { debitBalance } = await ledger.transfer({
+        from: ledger.userAccount(userId),
+        to: ledger.marketAccount(market._id),
+        amount: fee,
+        reason: 'trading_fee',
+        market: market._id,
+        trade: tradeId,
+        session,
+    });
+    market.distributeFee(fee);
+
+    return { fee, balance: debitBalance };
+};
+
+/**
+ * Pay liquidity providers out of a settled market's pool
+ * Call after trader payouts: each provider gets the cash their slice of the
+ * AMM holds minus the winning shares it sold (on an invalid outcome, minus
+ * the most it sold of any option, as traders were refunded instead)
+ * @param {Document} market - Settled market (loaded in the session)
+ * @param {ClientSession} session - Transaction session
+ * @returns {Map} Points paid per user id (liquidity and fees)
+ */
+export const settleLiquidity = async (market, session) => {
+    const payouts = new Map();
+    if (market.totalLpShares <= EPSILON) return payouts;
+
+    const outcome = market.resolvedOption === 'invalid' ? null : market.resolvedOptionIndex;
+    const claims = market.liquidityProviders.map((provider) => {
+        if (provider.shares <= EPSILON) return 0;
+        const { cash, sold } = sliceOf(market, provider, 1);
+        return Math.max(cash - (outcome === null ? Math.max(...sold) : sold[outcome]), 0);
+    });
+
+    const fees = [];
+    for (const provider of market.liquidityProviders) {
+        fees.push(await payPendingFees(market, provider, session));
+    }
+
+    // Never pay out more than the pool holds (rounding on long-lived markets)
+    const poolBalance = await ledger.getAccountBalance(ledger.marketAccount(market._id), session);
+    const totalClaims = claims.reduce((sum, claim) => sum + claim, 0);
+    const scale = totalClaims > poolBalance ? Math.max(poolBalance, 0) / totalClaims : 1;
+
+    for (const [index, provider] of market.liquidityProviders.entries()) {
+        const payout = claims[index] * scale;
+
+        if (payout > EPSILON) {
+            await ledger.transfer({
+                from: ledger.marketAccount(market._id),
+                to: ledger.userAccount(provider.user),
+                amount: payout,
+                reason: 'liquidity_remove',
+                market: market._id,
+                session,
+            });
+        }
+
+        provider.payout = payout;
+        if (payout + fees[index] > 0) {
+            const userId = provider.user.toString();
+            payouts.set(userId, (payouts.get(userId) || 0) + payout + fees[index]);
+        }
+    }
+
+    return payouts;
+};
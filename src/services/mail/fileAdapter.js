@@ -0,0 +1,28 @@
+import crypto from 'crypto';
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import nodemailer from 'nodemailer';
+
+/**
+ * File Mail Adapter
+ * Development/test adapter: writes every email as an .eml file into
+ * MAIL_OUTPUT_DIR (default ./mail-outbox) instead of sending it. Messages
+ * are built by nodemailer, exactly as the SMTP adapter would send them.
+ */
+
+export const createFileAdapter = () => {
+    const directory = process.env.MAIL_OUTPUT_DIR || 'mail-outbox';
+    const transport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    const send = async ({ from, to, subject, text, html }) => {
+        const { messageId, message } = await transport.sendMail({ from, to, subject, text, html });
+
+        await mkdir(directory, { recursive: true });
+        const path = join(directory, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+        await writeFile(path, message);
+
+        return { messageId, path };
+    };
+
+    return { name: 'file', send };
+};
@@ -0,0 +1,39 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * SMTP Mail Adapter
+ * Sends through nodemailer: implicit TLS when SMTP_SECURE=true (port 465),
+ * STARTTLS whenever the server offers it otherwise. With SMTP_USER set the
+ * connection must be encrypted before the credentials are sent, unless
+ * SMTP_ALLOW_INSECURE_AUTH=true (e.g. a local relay without TLS).
+ */
+
+const TIMEOUT = 30 * 1000;
+
+export const createSmtpAdapter = () => {
+    const host = process.env.SMTP_HOST;
+    const secure = process.env.SMTP_SECURE === 'true';
+    const port = Number(process.env.SMTP_PORT) || (secure ? 465 : 587);
+    const user = process.env.SMTP_USER;
+    const pass = process.env.SMTP_PASS;
+    const allowInsecureAuth = process.env.SMTP_ALLOW_INSECURE_AUTH === 'true';
+
+    const transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        // Fails when the server does not offer STARTTLS instead of sending AUTH in cleartext
+        requireTLS: Boolean(user) && !secure && !allowInsecureAuth,
+        auth: user ? { user, pass } : undefined,
+        connectionTimeout: TIMEOUT,
+        greetingTimeout: TIMEOUT,
+        socketTimeout: TIMEOUT,
+    });
+
+    const send = async ({ from, to, subject, text, html }) => {
+        const { messageId } = await transport.sendMail({ from, to, subject, text, html });
+        return { messageId };
+    };
+
+    return { name: 'smtp', send };
+};
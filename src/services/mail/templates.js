@@ -0,0 +1,123 @@
+/**
+ * Email Templates
+ * Subject, plain text and HTML bodies for notification and digest emails.
+ * Links point at APP_URL (the web app), since actionUrl values are app paths.
+ */
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const appUrl = (path = '/') => `${(process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '')}${path}`;
+
+const layout = (title, content, footer) => `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#18181b;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(title)}</h1>
+    ${content}
+    <p style="font-size:12px;color:#71717a;margin-top:24px;">${escapeHtml(footer)} <a href="${appUrl('/settings/notifications')}">Notification settings</a></p>
+  </div>
+</body>
+</html>`;
+
+const button = (url, label) => `<p><a href="${escapeHtml(url)}" style="display:inline-block;background:#18181b;color:#ffffff;padding:10px 16px;border-radius:6px;text-decoration:none;">${escapeHtml(label)}</a></p>`;
+
+/**
+ * Email for a single notification
+ * @param {Object} notification - Notification (title, message, actionUrl)
+ * @param {Object} user - Recipient (username)
+ * @returns {Object} { subject, text, html }
+ */
+export const notificationEmail = (notification, user) => {
+    const url = appUrl(notification.actionUrl || '/notifications');
+    const footer = 'You receive these emails because email notifications are on.';
+
+    const text = [
+        `Hi ${user.username},`,
+        '',
+        notification.title,
+        ...(notification.message ? [notification.message] : []),
+        '',
+        `Open: ${url}`,
+        '',
+        `${footer} Change it in your notification settings: ${appUrl('/settings/notifications')}`,
+    ].join('\n');
+
+    const html = layout(notification.title, `
+    <p>Hi ${escapeHtml(user.username)},</p>
+    ${notification.message ? `<p>${escapeHtml(notification.message)}</p>` : ''}
+    ${button(url, 'Open Anonn')}`, footer);
+
+    return { subject: notification.title, text, html };
+};
+
+/**
+ * Digest email
+ * @param {Object} digest
+ * @param {Object} digest.user - Recipient (username)
+ * @param {String} digest.frequency - daily | weekly
+ * @param {Number} digest.unreadCount - Unread notifications
+ * @param {Object[]} digest.notifications - Latest unread notifications
+ * @param {Object[]} digest.posts - Top posts in joined communities ({ _id, title, voteScore, community })
+ * @param {Object[]} digest.markets - Markets expiring soon ({ _id, question, company, expiresAt })
+ * @returns {Object} { subject, text, html }
+ */
+export const digestEmail = ({ user, frequency, unreadCount, notifications, posts, markets }) => {
+    const period = frequency === 'weekly' ? 'week' : 'day';
+    const subject = unreadCount > 0
+        ? `Your ${frequency} Anonn digest: ${unreadCount} unread notification${unreadCount === 1 ? '' : 's'}`
+        : `Your ${frequency} Anonn digest`;
+    const footer = `You receive this ${frequency} digest because you subscribed to it.`;
+
+    const marketUrl = (market) => appUrl(`/companies/${market.company}/markets/${market._id}`);
+    const expires = (market) => new Date(market.expiresAt).toUTCString();
+
+    const text = [
+        `Hi ${user.username},`,
+        '',
+        ...(unreadCount > 0 ? [
+            `You have ${unreadCount} unread notification${unreadCount === 1 ? '' : 's'}:`,
+            ...notifications.map(notification => `- ${notification.title}`),
+            appUrl('/notifications'),
+            '',
+        ] : []),
+        ...(posts.length > 0 ? [
+            `Top posts in your communities this ${period}:`,
+            ...posts.map(post => `- ${post.title} (${post.voteScore} votes) ${appUrl(`/posts/${post._id}`)}`),
+            '',
+        ] : []),
+        ...(markets.length > 0 ? [
+            'Markets expiring soon:',
+            ...markets.map(market => `- ${market.question} (closes ${expires(market)}) ${marketUrl(market)}`),
+            '',
+        ] : []),
+        `${footer} Change it in your notification settings: ${appUrl('/settings/notifications')}`,
+    ].join('\n');
+
+    const list = (items) => `<ul style="padding-left:20px;">${items.join('')}</ul>`;
+    const sections = [];
+
+    if (unreadCount > 0) {
+        sections.push(`<h2 style="font-size:16px;">${unreadCount} unread notification${unreadCount === 1 ? '' : 's'}</h2>
+    ${list(notifications.map(notification => `<li>${escapeHtml(notification.title)}</li>`))}
+    ${button(appUrl('/notifications'), 'See all notifications')}`);
+    }
+    if (posts.length > 0) {
+        sections.push(`<h2 style="font-size:16px;">Top posts in your communities this ${period}</h2>
+    ${list(posts.map(post => `<li><a href="${escapeHtml(appUrl(`/posts/${post._id}`))}">${escapeHtml(post.title)}</a> (${post.voteScore} votes)</li>`))}`);
+    }
+    if (markets.length > 0) {
+        sections.push(`<h2 style="font-size:16px;">Markets expiring soon</h2>
+    ${list(markets.map(market => `<li><a href="${escapeHtml(marketUrl(market))}">${escapeHtml(market.question)}</a> (closes ${escapeHtml(expires(market))})</li>`))}`);
+    }
+
+    const html = layout(`Your ${frequency} digest`, `
+    <p>Hi ${escapeHtml(user.username)},</p>
+    ${sections.join('\n    ')}`, footer);
+
+    return { subject, text, html };
+};
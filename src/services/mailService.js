@@ -0,0 +1,97 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { DOMAIN_EVENTS, onDomainEvent } from '../utils/eventBus.js';
+import { getChannelPreference, isQuietHours } from './notificationPreferences.js';
+import { createFileAdapter } from './mail/fileAdapter.js';
+import { createSmtpAdapter } from './mail/smtpAdapter.js';
+import { notificationEmail } from './mail/templates.js';
+
+/**
+ * Mail Service
+ * Sends email through the adapter selected by MAIL_PROVIDER, and emails
+ * notifications as they are created when the recipient wants the type by
+ * email (see notificationPreferences); during quiet hours they are deferred
+ * until the deferred delivery job sends them. Everything else waits for the
+ * opt-in digest.
+ *
+ * Adapters implement send({ from, to, subject, text, html }) and resolve to
+ * { messageId } or throw.
+ */
+
+const ADAPTERS = {
+    file: createFileAdapter,
+    smtp: createSmtpAdapter,
+};
+
+let adapter = null;
+
+// Read lazily: modules are imported before dotenv runs in server.js
+const getAdapter = () => {
+    const provider = process.env.MAIL_PROVIDER || 'file';
+    if (!ADAPTERS[provider]) return null;
+
+    if (!adapter || adapter.name !== provider) {
+        adapter = ADAPTERS[provider]();
+    }
+    return adapter;
+};
+
+/**
+ * Whether a mail provider is configured (MAIL_PROVIDER is not 'none')
+ */
+export const isMailEnabled = () => Boolean(getAdapter());
+
+/**
+ * Send an email
+ * @param {Object} mail - { to, subject, text, html }
+ * @returns {Object} { messageId, provider }
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+    const mailAdapter = getAdapter();
+    if (!mailAdapter) throw new Error('No mail provider configured');
+
+    const from = process.env.EMAIL_FROM || 'Anonn <noreply@anonn.app>';
+    const { messageId } = await mailAdapter.send({ from, to, subject, text, html });
+    return { messageId, provider: mailAdapter.name };
+};
+
+/**
+ * Email a notification to its recipient if they want the type by email
+ * @param {Document} notification - Newly created notification
+ * @returns {Object|null} Delivery record stored on the notification, null for types not emailed
+ */
+export const deliverNotificationEmail = async (notification) => {
+    const user = await User.findById(notification.recipient).select('username email notificationSettings');
+    const settings = user?.notificationSettings;
+    if (!getChannelPreference(settings, notification.type, 'email')) return null;
+
+    let email;
+    if (!isMailEnabled()) email = { status: 'skipped', reason: 'no_provider' };
+    else if (!user || settings.email === false) email = { status: 'skipped', reason: 'disabled' };
+    else if (!user.email) email = { status: 'skipped', reason: 'no_email' };
+    else if (isQuietHours(settings)) email = { status: 'deferred', reason: 'quiet_hours' };
+
+    if (!email) {
+        try {
+            const { messageId, provider } = await sendMail({ to: user.email, ...notificationEmail(notification, user) });
+            email = { status: 'sent', provider, messageId };
+        } catch (error) {
+            email = { status: 'failed', error: error.message };
+        }
+    }
+
+    await Notification.updateOne({ _id: notification._id }, { email: { ...email, attemptedAt: new Date() } });
+    return email;
+};
+
+let registered = false;
+
+/**
+ * Email important notifications created in this process (once per process)
+ */
+export const registerEmailDelivery = () => {
+    if (registered) return;
+    registered = true;
+
+    onDomainEvent(DOMAIN_EVENTS.NOTIFICATION_CREATED, deliverNotificationEmail);
+};
@@ -0,0 +1,56 @@
+import User from '../models/User.js';
+
+/**
+ * Mention Service
+ * Finds @username mentions in user content and resolves them to users
+ */
+
+export const MAX_MENTIONS = 10; // per post or comment
+
+// '@' not preceded by a username character, so e-mail addresses are not mentions
+const MENTION_PATTERN = /(?<![a-zA-Z0-9_@])@([a-zA-Z0-9_]{3,30})(?![a-zA-Z0-9_])/g;
+
+/**
+ * Extract mentioned usernames
+ * @param {string[]} texts - Texts to scan (missing values are skipped)
+ * @returns {string[]} Unique usernames in order of appearance, at most MAX_MENTIONS
+ */
+export const parseMentions = (texts) => {
+    const usernames = new Set();
+    for (const text of texts) {
+        for (const [, username] of String(text || '').matchAll(MENTION_PATTERN)) {
+            usernames.add(username);
+        }
+    }
+    return [...usernames].slice(0, MAX_MENTIONS);
+};
+
+/**
+ * Resolve the users mentioned in some texts
+ * Unknown usernames and the author mentioning themselves are ignored
+ * @param {string[]} texts - Texts to scan
+ * @param {ObjectId} authorId - Author of the texts
+ * @returns {ObjectId[]} Mentioned user ids
+ */
+export const resolveMentions = async (texts, authorId) => {
+    const usernames = parseMentions(texts);
+    if (usernames.length === 0) return [];
+
+    const users = await User.find({
+        username: { $in: usernames },
+        _id: { $ne: authorId },
+    }).select('_id');
+
+    return users.map(user => user._id);
+};
+
+/**
+ * Mentions added by an edit
+ * @param {ObjectId[]} previous - Mentions before the edit
+ * @param {ObjectId[]} current - Mentions after the edit
+ * @returns {ObjectId[]} Users mentioned now but not before
+ */
+export const getAddedMentions = (previous, current) => {
+    const before = new Set(previous.map(id => id.toString()));
+    return current.filter(id => !before.has(id.toString()));
+};
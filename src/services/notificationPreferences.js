@@ -0,0 +1,117 @@
+import Notification from '../models/Notification.js';
+
+/**
+ * Notification Preferences
+ * Decides from a user's notificationSettings whether a notification is
+ * created (in-app) and whether it goes out by push and email:
+ * - types: per-type channel switches ({ mention: { inApp, push, email } });
+ *   channels left unset use the defaults below
+ * - push / email: master switches per channel
+ * - muted: posts, polls and communities the user hears nothing about
+ * - quietHours: push and email are held back between start and end in the
+ *   user's timezone and sent once they end; the notification still shows up
+ *   in the app
+ */
+
+export const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+export const CHANNELS = ['inApp', 'push', 'email'];
+
+// Types emailed as they happen unless the user turns email off for them
+const EMAIL_TYPES = [
+    'mention',
+    'comment_reply',
+    'moderator_added',
+    'moderator_removed',
+    'market_expiring',
+    'market_resolution_proposed',
+    'market_disputed',
+    'dispute_ruled',
+    'market_resolved',
+];
+
+// Older per-topic switches, still honoured for types without an inApp preference
+const LEGACY_SETTINGS = {
+    follow: 'follows',
+    post_comment: 'comments',
+    comment_reply: 'comments',
+    mention: 'mentions',
+};
+
+const DEFAULTS = {
+    inApp: (settings, type) => settings?.[LEGACY_SETTINGS[type]] !== false,
+    push: () => true,
+    email: (settings, type) => EMAIL_TYPES.includes(type),
+};
+
+/**
+ * Whether a user wants a type of notification on a channel
+ * Ignores the push/email master switches and quiet hours
+ * @param {Object} settings - User notificationSettings
+ * @param {String} type - Notification type
+ * @param {String} channel - inApp | push | email
+ * @returns {Boolean}
+ */
+export const getChannelPreference = (settings, type, channel) => {
+    // A Map on documents, a plain object on lean results
+    const types = settings?.types;
+    const preference = types instanceof Map ? types.get(type) : types?.[type];
+
+    return typeof preference?.[channel] === 'boolean'
+        ? preference[channel]
+        : DEFAULTS[channel](settings, type);
+};
+
+const includesId = (ids, id) => Boolean(id) && (ids || []).some(muted => muted.toString() === id.toString());
+
+/**
+ * Whether a notification concerns a post, poll or community the user muted
+ * @param {Object} settings - User notificationSettings
+ * @param {Object} notification - Notification fields (related*)
+ */
+export const isMuted = (settings, notification) => {
+    const muted = settings?.muted;
+    return includesId(muted?.posts, notification.relatedPost)
+        || includesId(muted?.polls, notification.relatedPoll)
+        || includesId(muted?.communities, notification.relatedCommunity);
+};
+
+/**
+ * Whether a notification should be created for its recipient
+ * @param {Object} settings - Recipient notificationSettings
+ * @param {Object} notification - Notification fields (type, related*)
+ */
+export const shouldNotify = (settings, notification) => {
+    return getChannelPreference(settings, notification.type, 'inApp') && !isMuted(settings, notification);
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Whether it is currently within the user's quiet hours
+ * @param {Object} settings - User notificationSettings
+ * @param {Date} now - Current time
+ */
+export const isQuietHours = (settings, now = new Date()) => {
+    const quietHours = settings?.quietHours;
+    if (!quietHours?.enabled || !quietHours.start || !quietHours.end) return false;
+
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: quietHours.timezone || 'UTC',
+        hour: 'numeric',
+        minute: 'numeric',
+        hourCycle: 'h23',
+    }).formatToParts(now);
+    const part = (type) => Number(parts.find(p => p.type === type).value);
+    const local = part('hour') * 60 + part('minute');
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+
+    // Windows like 22:00-07:00 wrap past midnight
+    return start <= end
+        ? local >= start && local < end
+        : local >= start || local < end;
+};
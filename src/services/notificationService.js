@@ -0,0 +1,248 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import Comment from '../models/Comment.js';
+import { DOMAIN_EVENTS, onDomainEvent } from '../utils/eventBus.js';
+import { shouldNotify } from './notificationPreferences.js';
+
+/**
+ * Notification Service
+ * Turns domain events into notifications for the users they concern.
+ *
+ * Notifications respect the recipient's preferences (see
+ * notificationPreferences), and unread notifications about the same thing
+ * (upvotes on a post, votes on a poll...) collapse into one within
+ * COLLAPSE_WINDOW instead of piling up.
+ */
+
+const COLLAPSE_WINDOW = 60 * 60 * 1000; // 1 hour in milliseconds
+
+// What the actor did, used as "<name> <action>" or "<count> people <action>"
+const ACTIONS = {
+    follow: 'followed you',
+    post_like: 'upvoted your post',
+    post_comment: 'commented on your post',
+    comment_reply: 'replied to your comment',
+    poll_vote: 'voted on your poll',
+};
+
+const excerpt = (text, length = 200) => (text.length > length ? `${text.slice(0, length - 3)}...` : text);
+
+const buildTitle = (action, actor, count) => {
+    return count > 1 ? `${count} people ${action}` : `${actor.username} ${action}`;
+};
+
+// Collapsing reads then writes: queue per group so a burst handled by this
+// process lands in a single notification
+const groupQueues = new Map();
+
+const inGroupQueue = (key, task) => {
+    const run = (groupQueues.get(key) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    groupQueues.set(key, tail);
+    tail.then(() => {
+        if (groupQueues.get(key) === tail) groupQueues.delete(key);
+    });
+    return run;
+};
+
+/**
+ * Add an actor to a collapsed notification
+ * Actors already counted (e.g. an upvote removed and added again) change nothing
+ */
+const collapseInto = async (notification, actor, fields) => {
+    if (notification.actors.some(id => id.toString() === actor._id.toString())) {
+        return notification;
+    }
+
+    notification.actors.push(actor._id);
+    notification.actorCount = notification.actors.length;
+    notification.sender = actor._id;
+    notification.title = buildTitle(ACTIONS[notification.type], actor, notification.actorCount);
+    Object.assign(notification, fields);
+
+    return notification.save();
+};
+
+/**
+ * Notify a user of something another user did
+ * @param {Object} params
+ * @param {ObjectId} params.recipient - User notified (never the actor)
+ * @param {Object} params.actor - User who acted ({ _id, username })
+ * @param {String} params.type - Notification type
+ * @param {String} params.action - Title text after the actor name (defaults per type)
+ * @param {String} params.groupKey - Collapse key; omit for notifications that never collapse
+ * @param {Object} params.fields - message, actionUrl and related* fields
+ * @returns {Document|null} Created or collapsed notification, null if not sent
+ */
+export const notify = async ({ recipient, actor, type, action = ACTIONS[type], groupKey, ...fields }) => {
+    if (!recipient || recipient.toString() === actor._id.toString()) return null;
+
+    const user = await User.findById(recipient).select('notificationSettings');
+    if (!user || !shouldNotify(user.notificationSettings, { type, ...fields })) return null;
+
+    const create = () => Notification.create({
+        recipient,
+        sender: actor._id,
+        actors: [actor._id],
+        type,
+        title: buildTitle(action, actor, 1),
+        groupKey,
+        ...fields,
+    });
+
+    if (!groupKey) return create();
+
+    return inGroupQueue(`${recipient}:${groupKey}`, async () => {
+        const group = await Notification.findOne({
+            recipient,
+            groupKey,
+            isRead: false,
+            isArchived: { $ne: true },
+            createdAt: { $gte: new Date(Date.now() - COLLAPSE_WINDOW) },
+        }).sort({ createdAt: -1 });
+
+        return group ? collapseInto(group, actor, fields) : create();
+    });
+};
+
+/**
+ * Create notifications that are not about another user's action (market
+ * updates...) for many recipients, leaving out those whose preferences turn
+ * them off
+ * @param {Object[]} notifications - Notification fields, one per recipient
+ * @returns {Document[]} Created notifications
+ */
+export const createNotifications = async (notifications) => {
+    if (notifications.length === 0) return [];
+
+    const users = await User.find({ _id: { $in: notifications.map(n => n.recipient) } })
+        .select('notificationSettings');
+    const settings = new Map(users.map(user => [user._id.toString(), user.notificationSettings]));
+
+    const wanted = notifications.filter(notification => {
+        const recipientSettings = settings.get(notification.recipient.toString());
+        return recipientSettings && shouldNotify(recipientSettings, notification);
+    });
+
+    return wanted.length > 0 ? Notification.insertMany(wanted) : [];
+};
+
+const handlers = {
+    [DOMAIN_EVENTS.USER_FOLLOWED]: ({ actor, followee }) => notify({
+        recipient: followee,
+        actor,
+        type: 'follow',
+        groupKey: 'follow',
+        actionUrl: `/users/${actor._id}`,
+    }),
+
+    [DOMAIN_EVENTS.POST_UPVOTED]: ({ actor, post }) => notify({
+        recipient: post.author,
+        actor,
+        type: 'post_like',
+        groupKey: `post_like:${post._id}`,
+        message: excerpt(post.title),
+        relatedPost: post._id,
+        relatedCommunity: post.community,
+        actionUrl: `/posts/${post._id}`,
+    }),
+
+    [DOMAIN_EVENTS.COMMENT_CREATED]: async ({ actor, post, comment }) => {
+        // Mentioned users get the mention notification instead
+        const isMentioned = (userId) => comment.mentions?.some(id => id.toString() === userId.toString());
+
+        const fields = {
+            message: excerpt(comment.content),
+            relatedPost: post._id,
+            relatedComment: comment._id,
+            relatedCommunity: post.community,
+            actionUrl: `/posts/${post._id}`,
+        };
+
+        // A reply notifies the parent comment's author; the post author once, not twice
+        let repliedTo = null;
+        if (comment.parentComment) {
+            const parent = await Comment.findById(comment.parentComment).select('author');
+            if (parent && !isMentioned(parent.author)) {
+                repliedTo = parent.author;
+                await notify({
+                    recipient: parent.author,
+                    actor,
+                    type: 'comment_reply',
+                    groupKey: `comment_reply:${parent._id}`,
+                    ...fields,
+                });
+            }
+        }
+
+        if (isMentioned(post.author)) return;
+        if (repliedTo && repliedTo.toString() === post.author.toString()) return;
+
+        await notify({
+            recipient: post.author,
+            actor,
+            type: 'post_comment',
+            groupKey: `post_comment:${post._id}`,
+            ...fields,
+        });
+    },
+
+    [DOMAIN_EVENTS.POLL_VOTED]: ({ actor, poll }) => notify({
+        recipient: poll.author,
+        actor,
+        type: 'poll_vote',
+        groupKey: `poll_vote:${poll._id}`,
+        message: excerpt(poll.question),
+        relatedPoll: poll._id,
+        relatedCommunity: poll.community,
+        actionUrl: `/polls/${poll._id}`,
+    }),
+
+    [DOMAIN_EVENTS.USERS_MENTIONED]: async ({ actor, users, post, comment }) => {
+        for (const recipient of users) {
+            await notify({
+                recipient,
+                actor,
+                type: 'mention',
+                action: comment ? 'mentioned you in a comment' : 'mentioned you in a post',
+                message: excerpt(comment ? comment.content : post.title),
+                relatedPost: post._id,
+                relatedComment: comment?._id,
+                relatedCommunity: post.community,
+                actionUrl: `/posts/${post._id}`,
+            });
+        }
+    },
+
+    [DOMAIN_EVENTS.MODERATOR_ADDED]: ({ actor, community, moderator }) => notify({
+        recipient: moderator,
+        actor,
+        type: 'moderator_added',
+        action: `made you a moderator of ${community.displayName}`,
+        relatedCommunity: community._id,
+        actionUrl: `/communities/${community.name}`,
+    }),
+
+    [DOMAIN_EVENTS.MODERATOR_REMOVED]: ({ actor, community, moderator }) => notify({
+        recipient: moderator,
+        actor,
+        type: 'moderator_removed',
+        action: `removed you as a moderator of ${community.displayName}`,
+        relatedCommunity: community._id,
+        actionUrl: `/communities/${community.name}`,
+    }),
+};
+
+let registered = false;
+
+/**
+ * Subscribe the notification handlers to the domain events (once per process)
+ */
+export const registerNotificationHandlers = () => {
+    if (registered) return;
+    registered = true;
+
+    for (const [event, handler] of Object.entries(handlers)) {
+        onDomainEvent(event, handler);
+    }
+};
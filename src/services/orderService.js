@@ -0,0 +1,359 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import AppError from '../utils/appError.js';
+import * as lmsr from '../utils/lmsr.js';
+import * as ledger from './ledgerService.js';
+import * as liquidity from './liquidityService.js';
+
+/**
+ * Order Service
+ * Executes trades against the order book and the market maker, and manages
+ * the escrow of resting limit orders. Every function must run inside a
+ * transaction and mutates the market document in memory: callers save it.
+ */
+
+// Share amounts below this are treated as zero (floating point dust)
+const EPSILON = 1e-6;
+
+// Open orders that have not reached their expiry
+const liveOrdersQuery = (now) => ({
+    status: 'open',
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+});
+
+/**
+ * Best resting order on the other side of an incoming trade
+ * Buys take the lowest-priced sell order, sells the highest-priced buy order;
+ * equal prices fill oldest first
+ */
+const findBestMakerOrder = (market, optionIndex, side, userId, session) => {
+    const isBuy = side === 'buy';
+    return Order.findOne({
+        market: market._id,
+        optionIndex,
+        side: isBuy ? 'sell' : 'buy',
+        user: { $ne: userId },
+        ...liveOrdersQuery(new Date()),
+    })
+        .sort({ price: isBuy ? 1 : -1, createdAt: 1 })
+        .session(session);
+};
+
+/**
+ * Fill part of a resting order against an incoming trade
+ * Moves points between the two traders and updates the maker's position;
+ * the taker's position is updated once the whole trade is executed
+ * @returns {Number|undefined} Taker balance after the fill
+ */
+const fillMakerOrder = async ({ market, order, takerId, shares, tradeId, session }) => {
+    const amount = shares * order.price;
+    let takerBalance;
+
+    if (order.side === 'sell') {
+        // Taker buys the maker's reserved shares
+        const { debitBalance } = await ledger.transfer({
+            from: ledger.userAccount(takerId),
+            to: ledger.userAccount(order.user),
+            amount,
+            reason: 'order_fill',
+            market: market._id,
+            trade: tradeId,
+            session,
+        });
+        takerBalance = debitBalance;
+
+        const makerPosition = market.getPosition(order.user, order.optionIndex);
+        makerPosition.reservedShares -= shares;
+        market.reduceFromPosition(order.user, order.optionIndex, shares, amount);
+    } else {
+        // Taker sells into the maker's escrowed bid
+        const { creditBalance } = await ledger.transfer({
+            from: ledger.orderAccount(order._id),
+            to: ledger.userAccount(takerId),
+            amount,
+            reason: 'order_fill',
+            market: market._id,
+            trade: tradeId,
+            session,
+        });
+        takerBalance = creditBalance;
+
+        order.lockedAmount -= amount;
+        market.addToPosition(order.user, order.optionIndex, shares, amount);
+    }
+
+    order.filledShares += shares;
+    if (order.remainingShares <= EPSILON) {
+        order.status = 'filled';
+        order.closedAt = new Date();
+        // Release rounding dust left in escrow
+        if (order.side === 'buy' && order.lockedAmount > 0) {
+            await refundEscrow(market, order, session);
+        }
+    }
+    await order.save({ session });
+
+    market.totalVolume += amount;
+    return takerBalance;
+};
+
+/**
+ * Return the escrow of a buy order to its owner
+ */
+const refundEscrow = async (market, order, session) => {
+    const amount = order.lockedAmount;
+    order.lockedAmount = 0;
+    if (amount <= 0) return;
+
+    await ledger.transfer({
+        from: ledger.orderAccount(order._id),
+        to: ledger.userAccount(order.user),
+        amount,
+        reason: 'order_refund',
+        market: market._id,
+        session,
+    });
+};
+
+/**
+ * Execute a trade for a taker: resting orders first whenever they are at least
+ * as good as the market maker price, the market maker for the rest
+ * @param {Object} params
+ * @param {Document} params.market - Market (loaded in the session)
+ * @param {ObjectId} params.userId - Taker
+ * @param {Number} params.optionIndex - Option traded
+ * @param {String} params.side - 'buy' or 'sell'
+ * @param {Number} params.shares - Shares to trade
+ * @param {Number} params.limitPrice - Worst acceptable price per share (optional)
+ * @param {ObjectId} params.tradeId - Trade id recorded on ledger entries
+ * @param {ClientSession} params.session - Transaction session
+ * @returns {Object} { filledShares, amount, fee, averagePrice, fills, position, realizedPnl, balance }
+ */
+export const executeOrder = async ({ market, userId, optionIndex, side, shares, limitPrice, tradeId, session }) => {
+    const isBuy = side === 'buy';
+    const withinLimit = (price) => limitPrice === undefined || (isBuy ? price <= limitPrice : price >= limitPrice);
+
+    const fills = [];
+    let remaining = shares;
+    let amount = 0;
+    let ammShares = 0;
+    let ammAmount = 0;
+    let fee = 0;
+    let balance;
+
+    while (remaining > EPSILON) {
+        const order = await findBestMakerOrder(market, optionIndex, side, userId, session);
+        const canFillOrder = Boolean(order) && withinLimit(order.price);
+
+        // Trade with the market maker until its price reaches the best order or the limit
+        const stops = [];
+        if (canFillOrder) stops.push(order.price);
+        if (limitPrice !== undefined) stops.push(limitPrice);
+
+        let ammQuantity = remaining;
+        if (stops.length > 0) {
+            const stop = isBuy ? Math.min(...stops) : Math.max(...stops);
+            const delta = lmsr.sharesToPrice(market.getQuantities(), market.liquidityParameter, optionIndex, stop);
+            ammQuantity = Math.min(Math.max(isBuy ? delta : -delta, 0), remaining);
+        }
+
+        if (ammQuantity > EPSILON) {
+            const quote = market.quoteTrade(optionIndex, isBuy ? ammQuantity : -ammQuantity);
+            const segmentAmount = Math.abs(quote.cost);
+
+            market.applyAmmTrade(optionIndex, isBuy ? ammQuantity : -ammQuantity);
+
+            fills.push({ source: 'amm', shares: ammQuantity, price: quote.averagePrice, amount: segmentAmount });
+            ammShares += ammQuantity;
+            ammAmount += segmentAmount;
+            amount += segmentAmount;
+            remaining -= ammQuantity;
+            continue;
+        }
+
+        if (!canFillOrder) break;
+
+        const quantity = Math.min(remaining, order.remainingShares);
+        balance = await fillMakerOrder({ market, order, takerId: userId, shares: quantity, tradeId, session });
+
+        fills.push({ source: 'order', order: order._id, shares: quantity, price: order.price, amount: quantity * order.price });
+        amount += quantity * order.price;
+        remaining -= quantity;
+    }
+
+    // Settle the market maker part in one transfer
+    if (ammShares > 0) {
+        const { debitBalance, creditBalance } = await ledger.transfer({
+            from: isBuy ? ledger.userAccount(userId) : ledger.marketAccount(market._id),
+            to: isBuy ? ledger.marketAccount(market._id) : ledger.userAccount(userId),
+            amount: ammAmount,
+            reason: isBuy ? 'market_buy' : 'market_sell',
+            market: market._id,
+            trade: tradeId,
+            session,
+        });
+        balance = isBuy ? debitBalance : creditBalance;
+        market.totalVolume += ammAmount;
+
+        // Liquidity providers earn a fee on the market maker part, charged on top
+        const charged = await liquidity.chargeTradingFee({
+            market,
+            userId,
+            amount: ammAmount,
+            tradeId,
+            session,
+        });
+        fee = charged.fee;
+        if (fee > 0) balance = charged.balance;
+    }
+
+    const filledShares = remaining > EPSILON ? shares - remaining : shares;
+    let position = market.getPosition(userId, optionIndex);
+    let realizedPnl;
+
+    if (filledShares > EPSILON) {
+        if (isBuy) {
+            position = market.addToPosition(userId, optionIndex, filledShares, amount);
+        } else {
+            realizedPnl = market.reduceFromPosition(userId, optionIndex, filledShares, amount);
+        }
+    }
+
+    return {
+        filledShares: filledShares > EPSILON ? filledShares : 0,
+        amount,
+        fee,
+        averagePrice: filledShares > EPSILON ? amount / filledShares : 0,
+        fills,
+        position,
+        realizedPnl,
+        balance,
+    };
+};
+
+/**
+ * Place a limit order: fill what crosses now, rest the remainder on the book
+ * @param {Object} params
+ * @param {Document} params.market - Market (loaded in the session)
+ * @param {ObjectId} params.userId - Order owner
+ * @param {Number} params.optionIndex - Option traded
+ * @param {String} params.side - 'buy' or 'sell'
+ * @param {Number} params.price - Limit price per share
+ * @param {Number} params.shares - Shares to trade
+ * @param {Date} params.expiresAt - Optional expiry (good-til-cancelled otherwise)
+ * @param {ClientSession} params.session - Transaction session
+ * @returns {Object} { order, execution, balance }
+ */
+export const placeLimitOrder = async ({ market, userId, optionIndex, side, price, shares, expiresAt, session }) => {
+    if (side === 'sell' && market.getAvailableShares(userId, optionIndex) < shares - EPSILON) {
+        throw new AppError(400, 'Insufficient shares to sell', {
+            available: market.getAvailableShares(userId, optionIndex),
+        });
+    }
+
+    const order = new Order({
+        market: market._id,
+        user: userId,
+        optionIndex,
+        side,
+        price,
+        shares,
+        expiresAt,
+    });
+
+    const execution = await executeOrder({
+        market,
+        userId,
+        optionIndex,
+        side,
+        shares,
+        limitPrice: price,
+        tradeId: order._id,
+        session,
+    });
+
+    order.filledShares = execution.filledShares;
+    const remaining = order.remainingShares;
+    let { balance } = execution;
+
+    if (remaining <= EPSILON) {
+        order.status = 'filled';
+        order.closedAt = new Date();
+    } else if (side === 'buy') {
+        order.lockedAmount = remaining * price;
+        ({ debitBalance: balance } = await ledger.transfer({
+            from: ledger.userAccount(userId),
+            to: ledger.orderAccount(order._id),
+            amount: order.lockedAmount,
+            reason: 'order_escrow',
+            market: market._id,
+            trade: order._id,
+            session,
+        }));
+    } else {
+        market.getPosition(userId, optionIndex).reservedShares += remaining;
+    }
+
+    await order.save({ session });
+    return { order, execution, balance };
+};
+
+/**
+ * Close an open order and release its escrow or reserved shares
+ * @param {Document} market - Market of the order (loaded in the session)
+ * @param {Document} order - Open order
+ * @param {String} status - 'cancelled' or 'expired'
+ * @param {ClientSession} session - Transaction session
+ */
+export const closeOrder = async (market, order, status, session) => {
+    if (order.side === 'buy') {
+        await refundEscrow(market, order, session);
+    } else {
+        const position = market.getPosition(order.user, order.optionIndex);
+        if (position) {
+            position.reservedShares = Math.max(position.reservedShares - order.remainingShares, 0);
+        }
+    }
+
+    order.status = status;
+    order.closedAt = new Date();
+    await order.save({ session });
+};
+
+/**
+ * Cancel every open order of a market (before settlement)
+ * @returns {Number} Orders cancelled
+ */
+export const cancelMarketOrders = async (market, session) => {
+    const orders = await Order.find({ market: market._id, status: 'open' }).session(session);
+    for (const order of orders) {
+        await closeOrder(market, order, 'cancelled', session);
+    }
+    return orders.length;
+};
+
+/**
+ * Aggregated depth of the live orders of a market
+ * @param {ObjectId} marketId - Market
+ * @param {Number} optionIndex - Optional option filter
+ * @returns {Object[]} Price levels: { _id: { optionIndex, side, price }, shares, orders }
+ */
+export const getDepth = (marketId, optionIndex) => {
+    return Order.aggregate([
+        {
+            $match: {
+                market: new mongoose.Types.ObjectId(marketId),
+                ...(optionIndex !== undefined && { optionIndex }),
+                ...liveOrdersQuery(new Date()),
+            },
+        },
+        {
+            $group: {
+                _id: { optionIndex: '$optionIndex', side: '$side', price: '$price' },
+                shares: { $sum: { $subtract: ['$shares', '$filledShares'] } },
+                orders: { $sum: 1 },
+            },
+        },
+        { $sort: { '_id.optionIndex': 1, '_id.price': -1 } },
+    ]);
+};
@@ -0,0 +1,86 @@
+import http2 from 'http2';
+import jwt from 'jsonwebtoken';
+
+/**
+ * APNs Push Adapter
+ * Apple Push Notification service over HTTP/2 with token-based authentication
+ * (APNS_KEY_ID, APNS_TEAM_ID, APNS_PRIVATE_KEY, APNS_BUNDLE_ID).
+ * Uses the sandbox unless APNS_PRODUCTION=true.
+ */
+
+const PRODUCTION_HOST = 'https://api.push.apple.com';
+const SANDBOX_HOST = 'https://api.sandbox.push.apple.com';
+
+// Apple rejects provider tokens older than an hour and refreshes more often than every 20 minutes
+const PROVIDER_TOKEN_TTL = 50 * 60 * 1000;
+const IDLE_TIMEOUT = 5 * 60 * 1000;
+
+// Reasons that mean the device token will never be accepted again
+const INVALID_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+
+export const createApnsAdapter = () => {
+    const host = process.env.APNS_PRODUCTION === 'true' ? PRODUCTION_HOST : SANDBOX_HOST;
+    const keyId = process.env.APNS_KEY_ID;
+    const teamId = process.env.APNS_TEAM_ID;
+    const bundleId = process.env.APNS_BUNDLE_ID;
+    const privateKey = (process.env.APNS_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+
+    let providerToken = null;
+    let providerTokenIssuedAt = 0;
+    let session = null;
+
+    const getProviderToken = () => {
+        if (!providerToken || Date.now() - providerTokenIssuedAt > PROVIDER_TOKEN_TTL) {
+            providerToken = jwt.sign({}, privateKey, { algorithm: 'ES256', issuer: teamId, keyid: keyId });
+            providerTokenIssuedAt = Date.now();
+        }
+        return providerToken;
+    };
+
+    // One HTTP/2 connection shared by all pushes, closed when idle
+    const getSession = () => {
+        if (session && !session.closed && !session.destroyed) return session;
+
+        session = http2.connect(host);
+        session.on('error', () => { session = null; });
+        session.on('close', () => { session = null; });
+        session.setTimeout(IDLE_TIMEOUT, () => session?.close());
+        session.unref();
+        return session;
+    };
+
+    const send = (token, { title, body, data }) => new Promise((resolve) => {
+        const request = getSession().request({
+            ':method': 'POST',
+            ':path': `/3/device/${token}`,
+            authorization: `bearer ${getProviderToken()}`,
+            'apns-topic': bundleId,
+            'apns-push-type': 'alert',
+            'content-type': 'application/json',
+        });
+
+        let status;
+        let responseBody = '';
+        request.setEncoding('utf8');
+        request.on('response', (headers) => { status = headers[':status']; });
+        request.on('data', (chunk) => { responseBody += chunk; });
+        request.on('error', (error) => resolve({ status: 'failed', error: error.message }));
+        request.on('end', () => {
+            if (status === 200) return resolve({ status: 'sent' });
+
+            let reason;
+            try {
+                ({ reason } = JSON.parse(responseBody));
+            } catch {
+                reason = undefined;
+            }
+
+            const isInvalid = status === 410 || INVALID_REASONS.includes(reason);
+            resolve({ status: isInvalid ? 'invalid' : 'failed', error: reason || `HTTP ${status}` });
+        });
+
+        request.end(JSON.stringify({ aps: { alert: { title, body }, sound: 'default' }, ...data }));
+    });
+
+    return { name: 'apns', send };
+};
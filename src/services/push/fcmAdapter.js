@@ -0,0 +1,74 @@
+import jwt from 'jsonwebtoken';
+
+/**
+ * FCM Push Adapter
+ * Firebase Cloud Messaging HTTP v1 API, authenticated with a service account
+ * (FCM_PROJECT_ID, FCM_CLIENT_EMAIL, FCM_PRIVATE_KEY). Reaches Android, iOS
+ * and web clients registered with Firebase.
+ */
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+export const createFcmAdapter = () => {
+    const projectId = process.env.FCM_PROJECT_ID;
+    const clientEmail = process.env.FCM_CLIENT_EMAIL;
+    // Keys pasted into env files usually carry escaped newlines
+    const privateKey = (process.env.FCM_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+
+    let accessToken = null;
+    let accessTokenExpiresAt = 0;
+
+    // OAuth2 access token from a signed service account assertion, reused until shortly before expiry
+    const getAccessToken = async () => {
+        if (accessToken && Date.now() < accessTokenExpiresAt - 60 * 1000) return accessToken;
+
+        const assertion = jwt.sign({ scope: SCOPE }, privateKey, {
+            algorithm: 'RS256',
+            issuer: clientEmail,
+            audience: TOKEN_URL,
+            expiresIn: '1h',
+        });
+
+        const response = await fetch(TOKEN_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+                assertion,
+            }),
+        });
+        if (!response.ok) {
+            throw new Error(`FCM authentication failed with status ${response.status}`);
+        }
+
+        const body = await response.json();
+        accessToken = body.access_token;
+        accessTokenExpiresAt = Date.now() + body.expires_in * 1000;
+        return accessToken;
+    };
+
+    const send = async (token, { title, body, data }) => {
+        const response = await fetch(`https://fcm.googleapis.com/v1/projects/${projectId}/messages:send`, {
+            method: 'POST',
+            headers: {
+                Authorization: `Bearer ${await getAccessToken()}`,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ message: { token, notification: { title, body }, data } }),
+        });
+
+        if (response.ok) return { status: 'sent' };
+
+        const { error = {} } = await response.json().catch(() => ({}));
+        const errorCode = error.details?.find(detail => detail.errorCode)?.errorCode;
+
+        // The app was uninstalled or the token expired: it will never work again
+        if (response.status === 404 || errorCode === 'UNREGISTERED') {
+            return { status: 'invalid', error: errorCode || 'UNREGISTERED' };
+        }
+        return { status: 'failed', error: errorCode || error.message || `HTTP ${response.status}` };
+    };
+
+    return { name: 'fcm', send };
+};
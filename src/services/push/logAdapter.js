@@ -0,0 +1,25 @@
+import { appendFile } from 'fs/promises';
+
+/**
+ * Log Push Adapter
+ * Development/test adapter: records every push as a JSON line in
+ * PUSH_LOG_FILE, or on the console when no file is configured.
+ */
+
+export const createLogAdapter = () => {
+    const file = process.env.PUSH_LOG_FILE;
+
+    const send = async (token, message) => {
+        const line = JSON.stringify({ token, ...message, sentAt: new Date().toISOString() });
+
+        if (file) {
+            await appendFile(file, `${line}\n`);
+        } else {
+            console.log(`📲 Push ${line}`);
+        }
+
+        return { status: 'sent' };
+    };
+
+    return { name: 'log', send };
+};
@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Web Push Adapter
+ * Sends to browser push subscriptions (the device token is the JSON
+ * PushSubscription: { endpoint, keys: { p256dh, auth } }), with payloads
+ * encrypted per RFC 8291 and VAPID authentication (RFC 8292) using
+ * VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY (base64url) and VAPID_SUBJECT.
+ */
+
+const TTL = 24 * 60 * 60; // Seconds the push service keeps undelivered messages
+const RECORD_SIZE = 4096;
+
+/**
+ * Encrypt a payload for a subscription (aes128gcm content encoding, single record)
+ * @param {Object} keys - Subscription keys { p256dh, auth }
+ * @param {string} payload - Plaintext
+ * @returns {Buffer} Request body
+ */
+export const encryptPayload = (keys, payload) => {
+    const userAgentPublicKey = Buffer.from(keys.p256dh, 'base64url');
+    const authSecret = Buffer.from(keys.auth, 'base64url');
+
+    const ecdh = crypto.createECDH('prime256v1');
+    const serverPublicKey = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(userAgentPublicKey);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+
+    const salt = crypto.randomBytes(16);
+    const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    // 0x02 marks the last (and only) record
+    const ciphertext = Buffer.concat([
+        cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])),
+        cipher.final(),
+        cipher.getAuthTag(),
+    ]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverPublicKey.length, 20);
+
+    return Buffer.concat([header, serverPublicKey, ciphertext]);
+};
+
+export const createWebPushAdapter = () => {
+    const publicKey = process.env.VAPID_PUBLIC_KEY;
+    const subject = process.env.VAPID_SUBJECT;
+
+    // Raw P-256 keys (65-byte public point, 32-byte private scalar) as a signing key
+    const publicPoint = Buffer.from(publicKey || '', 'base64url');
+    const signingKey = crypto.createPrivateKey({
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: publicPoint.subarray(1, 33).toString('base64url'),
+            y: publicPoint.subarray(33, 65).toString('base64url'),
+            d: process.env.VAPID_PRIVATE_KEY,
+        },
+        format: 'jwk',
+    });
+
+    const send = async (token, message) => {
+        let subscription;
+        try {
+            subscription = JSON.parse(token);
+        } catch {
+            return { status: 'invalid', error: 'Malformed subscription' };
+        }
+        if (!subscription?.endpoint || !subscription.keys?.p256dh || !subscription.keys?.auth) {
+            return { status: 'invalid', error: 'Malformed subscription' };
+        }
+
+        const vapidToken = jwt.sign({ sub: subject }, signingKey, {
+            algorithm: 'ES256',
+            audience: new URL(subscription.endpoint).origin,
+            expiresIn: '12h',
+        });
+
+        const response = await fetch(subscription.endpoint, {
+            method: 'POST',
+            headers: {
+                Authorization: `vapid t=${vapidToken}, k=${publicKey}`,
+                'Content-Encoding': 'aes128gcm',
+                'Content-Type': 'application/octet-stream',
+                TTL: String(TTL),
+            },
+            body: encryptPayload(subscription.keys, JSON.stringify(message)),
+        });
+
+        if (response.ok) return { status: 'sent' };
+
+        // The subscription expired or the user revoked permission
+        if (response.status === 404 || response.status === 410) {
+            return { status: 'invalid', error: `HTTP ${response.status}` };
+        }
+        return { status: 'failed', error: `HTTP ${response.status}` };
+    };
+
+    return { name: 'webpush', send };
+};
@@ -0,0 +1,119 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { DOMAIN_EVENTS, onDomainEvent } from '../utils/eventBus.js';
+import { getChannelPreference, isQuietHours } from './notificationPreferences.js';
+import { createLogAdapter } from './push/logAdapter.js';
+import { createFcmAdapter } from './push/fcmAdapter.js';
+import { createApnsAdapter } from './push/apnsAdapter.js';
+import { createWebPushAdapter } from './push/webPushAdapter.js';
+
+/**
+ * Push Service
+ * Delivers new notifications to the recipient's registered devices through
+ * the adapter selected by PUSH_PROVIDER unless the recipient turned push off
+ * for the type, prunes device tokens the provider reports as invalid, and
+ * records the outcome on the notification. During the recipient's quiet hours
+ * the push is deferred and sent by the deferred delivery job once they end.
+ *
+ * Adapters implement send(token, { title, body, data }) and resolve to
+ * { status: 'sent' | 'invalid' | 'failed', error }.
+ */
+
+const ADAPTERS = {
+    log: createLogAdapter,
+    fcm: createFcmAdapter,
+    apns: createApnsAdapter,
+    webpush: createWebPushAdapter,
+};
+
+let adapter = null;
+
+// Read lazily: modules are imported before dotenv runs in server.js
+const getAdapter = () => {
+    const provider = process.env.PUSH_PROVIDER || 'log';
+    if (!ADAPTERS[provider]) return null;
+
+    if (!adapter || adapter.name !== provider) {
+        adapter = ADAPTERS[provider]();
+    }
+    return adapter;
+};
+
+const recordDelivery = (notification, push) => {
+    return Notification.updateOne({ _id: notification._id }, { push: { ...push, attemptedAt: new Date() } });
+};
+
+/**
+ * Send a notification to every device of its recipient
+ * @param {Document} notification - Newly created notification
+ * @returns {Object} Delivery record stored on the notification
+ */
+export const deliverPush = async (notification) => {
+    const user = await User.findById(notification.recipient).select('deviceTokens notificationSettings');
+    const settings = user?.notificationSettings;
+    const tokens = user?.deviceTokens || [];
+    const pushAdapter = getAdapter();
+
+    let skipReason = null;
+    if (!pushAdapter) skipReason = 'no_provider';
+    else if (!user || settings?.push === false || !getChannelPreference(settings, notification.type, 'push')) {
+        skipReason = 'disabled';
+    } else if (tokens.length === 0) skipReason = 'no_devices';
+
+    if (skipReason) {
+        const push = { status: 'skipped', reason: skipReason };
+        await recordDelivery(notification, push);
+        return push;
+    }
+
+    if (isQuietHours(settings)) {
+        const push = { status: 'deferred', reason: 'quiet_hours' };
+        await recordDelivery(notification, push);
+        return push;
+    }
+
+    // Data values must be strings for FCM
+    const message = {
+        title: notification.title,
+        body: notification.message || '',
+        data: {
+            notificationId: notification._id.toString(),
+            type: notification.type,
+            actionUrl: notification.actionUrl || '',
+        },
+    };
+
+    const results = await Promise.all(tokens.map(token => (
+        pushAdapter.send(token, message).catch(error => ({ status: 'failed', error: error.message }))
+    )));
+
+    const invalidTokens = tokens.filter((_, index) => results[index].status === 'invalid');
+    if (invalidTokens.length > 0) {
+        await User.updateOne({ _id: user._id }, { $pull: { deviceTokens: { $in: invalidTokens } } });
+    }
+
+    const sent = results.filter(result => result.status === 'sent').length;
+    const push = {
+        status: sent > 0 ? 'sent' : 'failed',
+        provider: pushAdapter.name,
+        sent,
+        failed: results.length - sent,
+        pruned: invalidTokens.length,
+        error: sent > 0 ? undefined : results.find(result => result.error)?.error,
+    };
+
+    await recordDelivery(notification, push);
+    return push;
+};
+
+let registered = false;
+
+/**
+ * Push every notification created in this process (once per process)
+ */
+export const registerPushDelivery = () => {
+    if (registered) return;
+    registered = true;
+
+    onDomainEvent(DOMAIN_EVENTS.NOTIFICATION_CREATED, deliverPush);
+};
@@ -0,0 +1,112 @@
+import Market from '../models/Market.js';
+import Poll from '../models/Poll.js';
+import { runInTransaction } from '../utils/transaction.js';
+import * as ledger from './ledgerService.js';
+import * as orders from './orderService.js';
+import * as liquidity from './liquidityService.js';
+import { invalidateLeaderboard } from './leaderboardService.js';
+import { createNotifications } from './notificationService.js';
+
+/**
+ * Settlement Service
+ * A resolver proposes a market outcome; it becomes final once the dispute
+ * window closes without an open dispute. Settlement then pays out positions
+ * from the market pool, liquidity providers from what is left, and returns
+ * the rest to the treasury.
+ */
+
+// Read lazily: modules are imported before dotenv runs in server.js
+export const getDisputeWindowMs = () => Number(process.env.DISPUTE_WINDOW_HOURS ?? 48) * 60 * 60 * 1000;
+export const getMinDisputeStake = () => Number(process.env.DISPUTE_MIN_STAKE ?? 10);
+
+/**
+ * Settle a market whose proposed outcome is final
+ * Skips markets still in their dispute window, disputed, or already settled
+ * @param {ObjectId} marketId - Market to settle
+ * @param {Date} now - Reference time
+ * @returns {Object|null} { market, payouts, liquidityPayouts } or null when nothing was settled
+ */
+export const settleMarket = async (marketId, now = new Date()) => {
+    const settled = await runInTransaction(async (session) => {
+        const market = await Market.findById(marketId).session(session);
+
+        if (!market || market.isResolved || !market.proposedAt || market.isDisputed) return null;
+        if (market.disputeWindowEndsAt > now) return null;
+
+        // Orders are cancelled when the outcome is proposed; this catches any left behind
+        await orders.cancelMarketOrders(market, session);
+
+        const outcome = market.getProposedOutcome();
+        const payouts = market.settle(outcome);
+
+        for (const [userId, payout] of payouts) {
+            if (payout <= 0) continue;
+            await ledger.transfer({
+                from: ledger.marketAccount(market._id),
+                to: ledger.userAccount(userId),
+                amount: payout,
+                reason: 'market_payout',
+                market: market._id,
+                session,
+            });
+        }
+
+        const liquidityPayouts = await liquidity.settleLiquidity(market, session);
+        await liquidity.returnSubsidy(market, session);
+
+        // Record the final outcome on the poll the market was converted from
+        if (market.poll) {
+            await Poll.updateOne({ _id: market.poll }, {
+                isClosed: true,
+                resolvedOptionIndex: outcome === 'invalid' ? -1 : outcome,
+                resolvedAt: market.resolvedAt,
+            }, { session });
+        }
+
+        await market.save();
+        return { market, payouts, liquidityPayouts };
+    });
+
+    if (!settled) return null;
+
+    invalidateLeaderboard();
+
+    // Notify every trader and liquidity provider of the outcome and their payout
+    const { market, payouts, liquidityPayouts } = settled;
+    const credits = new Map(payouts);
+    for (const [userId, amount] of liquidityPayouts) {
+        credits.set(userId, (credits.get(userId) || 0) + amount);
+    }
+
+    const outcomeLabel = market.resolvedOption.toUpperCase();
+    await createNotifications([...credits].map(([userId, payout]) => ({
+        recipient: userId,
+        sender: market.resolver,
+        type: 'market_resolved',
+        title: `Market resolved ${outcomeLabel}`,
+        message: `"${market.question.slice(0, 400)}" resolved ${outcomeLabel}. Your payout: ${payout.toFixed(2)}`,
+        relatedMarket: market._id,
+        actionUrl: `/companies/${market.company}/markets/${market._id}`,
+    })));
+
+    return settled;
+};
+
+/**
+ * Settle every market whose dispute window closed without an open dispute
+ * @returns {Number} Markets settled
+ */
+export const settleDueMarkets = async (now = new Date()) => {
+    const due = await Market.find({
+        isResolved: false,
+        isDisputed: false,
+        disputeWindowEndsAt: { $lte: now },
+    }).distinct('_id');
+
+    let settled = 0;
+    for (const marketId of due) {
+        if (await settleMarket(marketId, now)) settled += 1;
+    }
+
+    return settled;
+};
@@ -0,0 +1,33 @@
+import { ErrorCodes } from './errorCodes.js';
+
+/**
+ * Application Error
+ * Error carrying an HTTP status, rendered by the global error handler.
+ * Throw it where an early `errorResponse` is not possible, e.g. inside a
+ * MongoDB transaction that has to be aborted.
+ */
+
+const defaultCodes = {
+    400: ErrorCodes.INVALID_INPUT,
+    403: ErrorCodes.RESOURCE_ACCESS_DENIED,
+    404: ErrorCodes.RESOURCE_NOT_FOUND,
+    409: ErrorCodes.RESOURCE_CONFLICT,
+};
+
+export class AppError extends Error {
+    /**
+     * @param {Number} statusCode - HTTP status code
+     * @param {String} message - Error message
+     * @param {Object} errors - Optional error details
+     * @param {String} errorCode - Optional code from utils/errorCodes.js
+     */
+    constructor(statusCode, message, errors = null, errorCode = undefined) {
+        super(message);
+        this.name = 'AppError';
+        this.statusCode = statusCode;
+        this.errors = errors;
+        this.errorCode = errorCode || defaultCodes[statusCode];
+    }
+}
+
+export default AppError;
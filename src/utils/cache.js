@@ -0,0 +1,81 @@
+/**
+ * In-Memory Cache Utilities
+ * Small TTL cache for expensive read-only queries (leaderboards, rankings)
+ *
+ * The cache is per process: each API instance keeps its own copy,
+ * so entries should be short-lived and safe to serve slightly stale.
+ * Each cache holds at most maxEntries and drops the least recently used
+ * entry first; expired entries are dropped when read or evicted.
+ */
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * Create a bounded TTL cache
+ * @param {Object} options
+ * @param {number} options.maxEntries - Entries kept before the least recently used is dropped
+ * @returns {Object} { get, set, clear }
+ */
+export const createCache = ({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) => {
+    // Maps iterate in insertion order: re-inserting an entry on every read
+    // keeps the least recently used one first
+    const store = new Map();
+
+    const get = (key) => {
+        const stored = store.get(key);
+
+        if (!stored) {
+            return undefined;
+        }
+
+        store.delete(key);
+        if (Date.now() > stored.expiresAt) {
+            return undefined;
+        }
+
+        store.set(key, stored);
+        return stored.value;
+    };
+
+    const set = (key, value, ttlMs) => {
+        store.delete(key);
+        store.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+        while (store.size > maxEntries) {
+            store.delete(store.keys().next().value);
+        }
+    };
+
+    const clear = (prefix = '') => {
+        for (const key of store.keys()) {
+            if (key.startsWith(prefix)) {
+                store.delete(key);
+            }
+        }
+    };
+
+    return { get, set, clear };
+};
+
+const defaultCache = createCache();
+
+/**
+ * Get a cached value
+ * @param {string} key - Cache key
+ * @returns {*} Cached value, or undefined if missing or expired
+ */
+export const getCached = (key) => defaultCache.get(key);
+
+/**
+ * Store a value with expiration
+ * @param {string} key - Cache key
+ * @param {*} value - Value to cache
+ * @param {number} ttlMs - Time to live in milliseconds
+ */
+export const setCached = (key, value, ttlMs) => defaultCache.set(key, value, ttlMs);
+
+/**
+ * Remove every entry whose key starts with a prefix
+ * @param {string} prefix - Key prefix, e.g. 'leaderboard:'
+ */
+export const clearCache = (prefix = '') => defaultCache.clear(prefix);
@@ -20,6 +20,7 @@ export const ErrorCodes = {
     RESOURCE_NOT_FOUND: 'RESOURCE_NOT_FOUND',
     RESOURCE_ALREADY_EXISTS: 'RESOURCE_ALREADY_EXISTS',
     RESOURCE_ACCESS_DENIED: 'RESOURCE_ACCESS_DENIED',
+    RESOURCE_CONFLICT: 'RESOURCE_CONFLICT',
 
     // Server Errors
     INTERNAL_SERVER_ERROR: 'INTERNAL_SERVER_ERROR',
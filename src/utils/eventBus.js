@@ -0,0 +1,63 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Event Bus
+ * In-process domain events: controllers announce what happened after the
+ * change is saved, and services (notifications, ...) react to it without the
+ * controllers knowing about them.
+ *
+ * Handlers run after the request has been answered, so their failures are
+ * logged instead of reaching the client.
+ */
+
+export const DOMAIN_EVENTS = {
+    USER_FOLLOWED: 'user:followed',
+    POST_UPVOTED: 'post:upvoted',
+    COMMENT_CREATED: 'comment:created',
+    POLL_VOTED: 'poll:voted',
+    USERS_MENTIONED: 'content:mentioned',
+    MODERATOR_ADDED: 'community:moderator_added',
+    MODERATOR_REMOVED: 'community:moderator_removed',
+    NOTIFICATION_CREATED: 'notification:created',
+};
+
+const bus = new EventEmitter();
+
+// Handlers still running, so short-lived processes can wait for them
+const pending = new Set();
+
+/**
+ * Announce a domain event
+ * @param {string} event - One of DOMAIN_EVENTS
+ * @param {Object} payload - Event data (ids and the acting user)
+ */
+export const emitDomainEvent = (event, payload) => {
+    bus.emit(event, payload);
+};
+
+/**
+ * Handle a domain event
+ * @param {string} event - One of DOMAIN_EVENTS
+ * @param {Function} handler - Async handler called with the payload
+ * @returns {Function} Removes the handler
+ */
+export const onDomainEvent = (event, handler) => {
+    const listener = (payload) => {
+        const run = Promise.resolve()
+            .then(() => handler(payload))
+            .catch((error) => console.error(`❌ Handler for ${event} failed: ${error.message}`))
+            .finally(() => pending.delete(run));
+        pending.add(run);
+    };
+    bus.on(event, listener);
+    return () => bus.off(event, listener);
+};
+
+/**
+ * Wait for the handlers of every event emitted so far (and those they emit)
+ */
+export const drainDomainEvents = async () => {
+    while (pending.size > 0) {
+        await Promise.all([...pending]);
+    }
+};
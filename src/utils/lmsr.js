@@ -0,0 +1,82 @@
+/**
+ * LMSR Utilities
+ * Logarithmic Market Scoring Rule pricing for prediction markets
+ *
+ * Outstanding shares are passed as a vector (one entry per market option),
+ * so the same functions price binary and multi-outcome markets.
+ * `b` is the liquidity parameter: higher values mean prices move less per share.
+ */
+
+/**
+ * Numerically stable log(sum(exp(x_i)))
+ * @param {Number[]} values - Exponents
+ * @returns {Number} Log of the summed exponentials
+ */
+const logSumExp = (values) => {
+    const max = Math.max(...values);
+    const sum = values.reduce((acc, v) => acc + Math.exp(v - max), 0);
+    return max + Math.log(sum);
+};
+
+/**
+ * LMSR cost function C(q) = b * ln(sum(exp(q_i / b)))
+ * @param {Number[]} quantities - Outstanding shares per option
+ * @param {Number} b - Liquidity parameter
+ * @returns {Number} Total cost of the current market state
+ */
+export const cost = (quantities, b) => {
+    return b * logSumExp(quantities.map(q => q / b));
+};
+
+/**
+ * Instantaneous price of every option (always sums to 1)
+ * @param {Number[]} quantities - Outstanding shares per option
+ * @param {Number} b - Liquidity parameter
+ * @returns {Number[]} Price per option between 0 and 1
+ */
+export const prices = (quantities, b) => {
+    const exponents = quantities.map(q => q / b);
+    const normalizer = logSumExp(exponents);
+    return exponents.map(e => Math.exp(e - normalizer));
+};
+
+/**
+ * Cost of changing the shares of one option
+ * Positive deltas are buys (returns the amount to pay),
+ * negative deltas are sells (returns a negative amount, i.e. proceeds)
+ * @param {Number[]} quantities - Outstanding shares per option
+ * @param {Number} b - Liquidity parameter
+ * @param {Number} optionIndex - Option being traded
+ * @param {Number} delta - Shares bought (positive) or sold (negative)
+ * @returns {Number} C(q + delta) - C(q)
+ */
+export const tradeCost = (quantities, b, optionIndex, delta) => {
+    const next = quantities.slice();
+    next[optionIndex] += delta;
+    return cost(next, b) - cost(quantities, b);
+};
+
+/**
+ * Maximum amount the market maker can lose on any outcome
+ * @param {Number} b - Liquidity parameter
+ * @param {Number} optionCount - Number of options
+ * @returns {Number} b * ln(n)
+ */
+export const maxLoss = (b, optionCount) => {
+    return b * Math.log(optionCount);
+};
+
+/**
+ * Shares of one option to buy (positive) or sell (negative)
+ * to move its price to a target
+ * @param {Number[]} quantities - Outstanding shares per option
+ * @param {Number} b - Liquidity parameter
+ * @param {Number} optionIndex - Option being traded
+ * @param {Number} price - Target price, strictly between 0 and 1
+ * @returns {Number} Share delta that reaches the target price
+ */
+export const sharesToPrice = (quantities, b, optionIndex, price) => {
+    const others = quantities.filter((_, index) => index !== optionIndex).map(q => q / b);
+    const target = b * (logSumExp(others) + Math.log(price / (1 - price)));
+    return target - quantities[optionIndex];
+};
@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import AppError from './appError.js';
+
+/**
+ * Pagination Utilities
+ * List endpoints accept either page/limit (skip-based) or an opaque cursor
+ * (?cursor=&limit=). A cursor holds the sort values of the last item
+ * returned and the next page starts strictly after it, so items created
+ * meanwhile do not shift pages. Every sort ends with _id, which breaks ties
+ * between equal scores or timestamps.
+ */
+
+const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+// Dates and ObjectIds are tagged so they survive the JSON round trip
+const serialize = (value) => {
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+    return value ?? null;
+};
+
+// Cursor values reach Mongo filters: anything but a primitive or a tagged
+// date/ObjectId (e.g. { $ne: null }) is rejected
+const deserialize = (value) => {
+    if (value === null || ['string', 'boolean'].includes(typeof value)) return value;
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+
+    const keys = value && typeof value === 'object' ? Object.keys(value) : [];
+    if (keys.length === 1 && keys[0] === '$date' && typeof value.$date === 'string') {
+        const date = new Date(value.$date);
+        if (!Number.isNaN(date.getTime())) return date;
+    }
+    if (keys.length === 1 && keys[0] === '$oid' && typeof value.$oid === 'string'
+        && /^[0-9a-f]{24}$/i.test(value.$oid)) {
+        return new mongoose.Types.ObjectId(value.$oid);
+    }
+
+    throw new Error('Invalid cursor value');
+};
+
+const valueOf = (item, key) => (typeof item.get === 'function' ? item.get(key) : item[key]);
+
+/**
+ * Add _id as the final tie-breaker of a sort
+ * @param {Object} sort - Mongo sort, e.g. { hotScore: -1 }
+ * @returns {Object} Sort ending with _id
+ */
+export const withTieBreaker = (sort) => ('_id' in sort ? sort : { ...sort, _id: -1 });
+
+/**
+ * Build the cursor pointing after an item
+ * @param {Object} item - Last item of the page (document or plain object)
+ * @param {Object} sort - Sort the page was read with (including _id)
+ * @returns {String} Opaque cursor
+ */
+export const encodeCursor = (item, sort) => {
+    const values = Object.fromEntries(Object.keys(sort).map(key => [key, serialize(valueOf(item, key))]));
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+/**
+ * Read a cursor from a query string
+ * @param {String} cursor - Opaque cursor
+ * @returns {Object} Sort values of the last item seen
+ */
+export const decodeCursor = (cursor) => {
+    try {
+        const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!values || typeof values !== 'object' || Array.isArray(values)) throw new Error();
+        return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, deserialize(value)]));
+    } catch {
+        throw new AppError(400, 'Invalid cursor');
+    }
+};
+
+/**
+ * Filter matching the items after a cursor in a sort order
+ * e.g. { a: -1, _id: -1 } → a < A, or a = A and _id < ID
+ * @param {Object} sort - Sort including _id
+ * @param {Object} cursor - Decoded cursor
+ * @returns {Object} Mongo filter
+ */
+export const cursorFilter = (sort, cursor) => {
+    const keys = Object.keys(sort);
+    if (!keys.every(key => key in cursor)) {
+        throw new AppError(400, 'Cursor does not match the requested sort');
+    }
+
+    return {
+        $or: keys.map((key, index) => ({
+            ...Object.fromEntries(keys.slice(0, index).map(previous => [previous, cursor[previous]])),
+            [key]: { [sort[key] < 0 ? '$lt' : '$gt']: cursor[key] },
+        })),
+    };
+};
+
+/**
+ * Read pagination parameters from a request query
+ * @param {Object} params - req.query (page, limit, cursor)
+ * @returns {Object} { limit, page, skip, cursor } (page is null in cursor mode; limit is at most MAX_LIMIT)
+ */
+export const getPagination = (params, defaultLimit = DEFAULT_LIMIT) => {
+    const limit = Math.min(Math.max(parseInt(params.limit) || defaultLimit, 1), MAX_LIMIT);
+
+    if (params.cursor) {
+        return { limit, page: null, skip: 0, cursor: decodeCursor(params.cursor) };
+    }
+
+    const page = Math.max(parseInt(params.page) || 1, 1);
+    return { limit, page, skip: (page - 1) * limit, cursor: null };
+};
+
+/**
+ * Run a find query for one page
+ * @param {Query} query - Mongoose find query (filters, populate, select)
+ * @param {Object} sort - Sort order; _id is appended as tie-breaker
+ * @param {Object} pagination - From getPagination
+ * @returns {Object} { items, nextCursor } (nextCursor is null on the last page)
+ */
+export const findPage = async (query, sort, { limit, skip, cursor }) => {
+    const order = withTieBreaker(sort);
+    if (cursor) {
+        query.and([cursorFilter(order, cursor)]);
+    }
+
+    const items = await query.sort(order).skip(skip).limit(limit + 1);
+    const hasMore = items.length > limit;
+    if (hasMore) items.pop();
+
+    return {
+        items,
+        nextCursor: hasMore ? encodeCursor(items[items.length - 1], order) : null,
+    };
+};
@@ -0,0 +1,81 @@
+/**
+ * Ranking Utilities
+ * Scores behind the hot, trending and top post sorts. They are stored on
+ * each post (see the Post model) so MongoDB can index and sort by them.
+ *
+ * Engagement points are net votes plus COMMENT_WEIGHT per comment.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const HOT_EPOCH = Date.UTC(2024, 0, 1) / 1000; // Seconds; any fixed point works
+const HOT_DECAY_SECONDS = 45000; // 12.5 hours
+
+export const COMMENT_WEIGHT = 0.5;
+export const TRENDING_WINDOW = DAY;
+const TRENDING_HALF_LIFE = 6 * HOUR;
+
+// Windows for sort=top (t=...); null means all time
+export const TOP_WINDOWS = {
+    day: DAY,
+    week: 7 * DAY,
+    month: 30 * DAY,
+    all: null,
+};
+
+/**
+ * Engagement points of a post
+ * @param {Number} voteScore - Upvotes minus downvotes
+ * @param {Number} commentCount - Comments on the post
+ * @returns {Number} Points
+ */
+export const points = (voteScore, commentCount) => voteScore + COMMENT_WEIGHT * commentCount;
+
+/**
+ * Hot score: log-scaled points plus a bonus that grows with the creation
+ * time, so a post needs 10x the points to rank level with one posted
+ * 12.5 hours later. The decay is built in: the score only changes with points.
+ * @param {Number} postPoints - Engagement points
+ * @param {Date} createdAt - Post creation time
+ * @returns {Number} Hot score
+ */
+export const hotScore = (postPoints, createdAt) => {
+    const order = Math.log10(Math.max(Math.abs(postPoints), 1));
+    const seconds = createdAt.getTime() / 1000 - HOT_EPOCH;
+    return Math.sign(postPoints) * order + seconds / HOT_DECAY_SECONDS;
+};
+
+/**
+ * Start of the hour bucket a time falls into
+ * @param {Date} date - Time of the activity
+ * @returns {Date} Bucket start
+ */
+export const hourOf = (date) => new Date(Math.floor(date.getTime() / HOUR) * HOUR);
+
+/**
+ * Activity buckets still inside the trending window
+ * @param {Object[]} activity - Hour buckets ({ hour, amount })
+ * @param {Date} now - Current time
+ * @returns {Object[]} Buckets to keep
+ */
+export const pruneActivity = (activity, now) => {
+    return activity.filter(bucket => now - bucket.hour < TRENDING_WINDOW);
+};
+
+/**
+ * Trending score: engagement velocity over the last TRENDING_WINDOW, each
+ * hour weighing half as much every TRENDING_HALF_LIFE. It falls as activity
+ * slows, so it is refreshed periodically (see jobs/postRanking.js).
+ * @param {Object[]} activity - Hour buckets ({ hour, amount })
+ * @param {Date} now - Current time
+ * @returns {Number} Trending score (never negative)
+ */
+export const trendingScore = (activity, now) => {
+    const score = pruneActivity(activity, now).reduce((sum, bucket) => {
+        const age = now - bucket.hour;
+        return sum + bucket.amount * Math.pow(0.5, age / TRENDING_HALF_LIFE);
+    }, 0);
+
+    return Math.max(0, score);
+};
@@ -0,0 +1,87 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Realtime Utilities
+ * In-process publish/subscribe hub behind the SSE and WebSocket endpoints
+ *
+ * Channels are named '<type>:<id>': post, poll and market channels are public,
+ * user channels carry a user's own notifications. The hub is per process:
+ * clients only receive events published by the instance they are connected to.
+ */
+
+export const CHANNEL_TYPES = ['post', 'poll', 'market', 'user'];
+export const MAX_CHANNELS = 20; // per connection
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+const hub = new EventEmitter();
+// One listener per connected subscription
+hub.setMaxListeners(0);
+
+/**
+ * Parse a channel name
+ * @param {string} name - Channel name, e.g. 'market:65a1b2c3d4e5f6a7b8c9d0e1'
+ * @returns {Object|null} { type, id }, or null if the name is invalid
+ */
+export const parseChannel = (name) => {
+    const [type, id, ...rest] = String(name).split(':');
+    if (rest.length > 0 || !CHANNEL_TYPES.includes(type) || !OBJECT_ID.test(id || '')) {
+        return null;
+    }
+    return { type, id: id.toLowerCase() };
+};
+
+/**
+ * Check whether a user may subscribe to a channel
+ * @param {Object} channel - Parsed channel
+ * @param {Object} user - Authenticated user, if any
+ * @returns {boolean} True if allowed
+ */
+export const canSubscribe = (channel, user) => {
+    if (channel.type !== 'user') return true;
+    return Boolean(user) && user._id.toString() === channel.id;
+};
+
+/**
+ * Validate channel names for a subscriber
+ * @param {string[]} names - Channel names
+ * @param {Object} user - Authenticated user, if any
+ * @returns {Object} { channels } (normalized names), or { status, message } when a channel is rejected
+ */
+export const resolveChannels = (names, user) => {
+    const channels = [];
+    for (const name of names) {
+        const channel = parseChannel(name);
+        if (!channel) {
+            return { status: 400, message: `Invalid channel: ${name}` };
+        }
+        if (!canSubscribe(channel, user)) {
+            return { status: 403, message: `Not authorized to subscribe to ${name}` };
+        }
+        channels.push(`${channel.type}:${channel.id}`);
+    }
+    return { channels: [...new Set(channels)] };
+};
+
+/**
+ * Publish an event to every subscriber of a channel
+ * @param {string} type - Channel type
+ * @param {*} id - Entity id
+ * @param {string} event - Event name, e.g. 'post:vote'
+ * @param {Object} data - Event payload
+ */
+export const publish = (type, id, event, data) => {
+    const channel = `${type}:${id.toString().toLowerCase()}`;
+    hub.emit(channel, { channel, event, data, timestamp: new Date().toISOString() });
+};
+
+/**
+ * Subscribe to a channel
+ * @param {string} channel - Channel name
+ * @param {Function} listener - Called with { channel, event, data, timestamp }
+ * @returns {Function} Unsubscribes the listener
+ */
+export const subscribe = (channel, listener) => {
+    hub.on(channel, listener);
+    return () => hub.off(channel, listener);
+};
@@ -40,25 +40,38 @@ export const errorResponse = (res, statusCode = 500, message = 'Internal Server
 
 /**
  * Send paginated response
+ * Endpoints without a cursor (see utils/pagination.js) leave nextCursor
+ * undefined; feeds that are not counted leave total undefined.
  * @param {Object} res - Express response object
- * @param {Array} data - Array of items
- * @param {Number} page - Current page
- * @param {Number} limit - Items per page
- * @param {Number} total - Total count
+ * @param {String} key - Name of the item array in data (e.g. 'posts')
+ * @param {Array} items - Items of the current page
+ * @param {Object} meta - { page, limit, total, nextCursor } (page is null when paging by cursor)
+ * @param {String} message - Optional success message
+ * @param {Object} extra - Optional fields added to data (e.g. unreadCount)
  */
-export const paginatedResponse = (res, data, page, limit, total) => {
+export const paginatedResponse = (res, key, items, meta, message = 'Success', extra = {}) => {
+    const { page, limit, total, nextCursor } = meta;
+    const counted = total !== undefined;
+
+    const pagination = {
+        currentPage: page,
+        itemsPerPage: limit,
+        totalItems: counted ? total : null,
+        totalPages: counted ? Math.ceil(total / limit) : null,
+        hasNextPage: nextCursor !== undefined ? nextCursor !== null : page * limit < total,
+        hasPrevPage: page === null || page > 1,
+    };
+    if (nextCursor !== undefined) {
+        pagination.nextCursor = nextCursor;
+    }
+
     return res.status(200).json({
         success: true,
+        message,
         data: {
-            posts: data,
-            pagination: {
-                currentPage: page,
-                itemsPerPage: limit,
-                totalItems: total,
-                totalPages: Math.ceil(total / limit),
-                hasNextPage: page * limit < total,
-                hasPrevPage: page > 1,
-            },
+            [key]: items,
+            ...extra,
+            pagination,
         },
     });
 };
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+/**
+ * Transaction Utilities
+ * Wraps MongoDB multi-document transactions (requires a replica set, e.g. Atlas)
+ */
+
+/**
+ * Run a function inside a transaction
+ * The function may be retried on transient errors, so it must load
+ * every document it modifies through the given session.
+ * @param {Function} fn - Async function receiving the session
+ * @returns {*} Value returned by fn
+ */
+export const runInTransaction = async (fn) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await fn(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};